@@ -0,0 +1,289 @@
+/**
+ * Access control and audit log of the web app.
+ *
+ * The ACCESS_CONTROL script property lists who may use the web app, and with which role:
+ *
+ * {
+ *   "alice@example.com": "admin",
+ *   "bob@example.com": "operator",
+ *   "@example.com": "viewer"          // Everyone else in the example.com domain
+ * }
+ *
+ * - viewer: lists, downloads and browses the backups, and sees the jobs, runs and schedules.
+ * - operator: also runs backups, verifies, compares, exports and pins them, and pauses,
+ *   resumes or cancels backup jobs.
+ * - admin: also restores and rolls back restores, retries dead-letter files, prunes backups, manages the schedules
+ *   and the restore jobs, and reads the audit log.
+ *
+ * The roles are checked on the server, against Session.getActiveUser(), by every function
+ * the web UI calls. Without ACCESS_CONTROL, everyone the deployment lets in is an admin.
+ * The other functions end with an underscore, which keeps them out of google.script.run,
+ * except the trigger handlers and the editor diagnostics, which take no arguments.
+ *
+ * Every action, allowed or denied, is appended to the audit log: one file per month in the
+ * backup folder of the default profile ("firestore_audit_2024-01.audit.ndjson"), one JSON
+ * entry per line. Entries are never changed or removed by the app:
+ *
+ * { "at", "user", "role", "action": "restore", "target": "users", "details": { ... },
+ *   "outcome": "allowed" | "denied", "error": null }
+ */
+
+const ACCESS_ROLES = ["viewer", "operator", "admin"];
+const ACCESS_ROLE_VIEWER = "viewer";
+const ACCESS_ROLE_OPERATOR = "operator";
+const ACCESS_ROLE_ADMIN = "admin";
+const AUDIT_FILE_PREFIX = "firestore_audit_";
+const AUDIT_FILE_SUFFIX = ".audit.ndjson";
+const AUDIT_LOG_LIMIT = 200; // Entries shown by default in the web UI
+
+/**
+ * Reads the ACCESS_CONTROL property.
+ * @returns {object|null} Map of lowercase email (or "@domain") to role, or null when access control is off.
+ */
+function getAccessControl_() {
+  const value =
+    PropertiesService.getScriptProperties().getProperty("ACCESS_CONTROL");
+  if (!value) return null;
+
+  let users;
+  try {
+    users = JSON.parse(value);
+  } catch (e) {
+    throw new Error(
+      `Configuration error: ACCESS_CONTROL is not valid JSON (${e.message}).`,
+    );
+  }
+  if (!users || typeof users !== "object" || Array.isArray(users)) {
+    throw new Error(
+      'Configuration error: ACCESS_CONTROL must map emails to roles (e.g. { "alice@example.com": "admin" }).',
+    );
+  }
+
+  const accessControl = {};
+  for (const email in users) {
+    if (ACCESS_ROLES.indexOf(users[email]) === -1) {
+      throw new Error(
+        `Configuration error: ACCESS_CONTROL gives '${email}' an unknown role '${users[email]}'. Use one of: ${ACCESS_ROLES.join(", ")}.`,
+      );
+    }
+    accessControl[email.trim().toLowerCase()] = users[email];
+  }
+  return accessControl;
+}
+
+/**
+ * Finds the role of a user: their own entry, or else the entry of their domain.
+ * @param {object|null} accessControl The access control map (see getAccessControl_).
+ * @param {string} email The lowercase email of the user (empty when Google does not share it).
+ * @returns {string|null} The role, or null if the user has no access.
+ */
+function findUserRole_(accessControl, email) {
+  if (!accessControl) return ACCESS_ROLE_ADMIN;
+  if (!email) return null;
+  if (accessControl[email]) return accessControl[email];
+
+  const domain = email.substring(email.indexOf("@"));
+  return accessControl[domain] || null;
+}
+
+/**
+ * Identifies the user of the current execution.
+ * @returns {object} { email, role (null without access), accessControl (true when ACCESS_CONTROL is set) }.
+ */
+function getActiveUserAccess_() {
+  const accessControl = getAccessControl_();
+  const email = (Session.getActiveUser().getEmail() || "").toLowerCase();
+  return {
+    email: email,
+    role: findUserRole_(accessControl, email),
+    accessControl: !!accessControl,
+  };
+}
+
+/**
+ * Tells if a role includes the rights of another one (admin > operator > viewer).
+ * @param {string|null} role The role of the user.
+ * @param {string} required The role needed.
+ * @returns {boolean} True if the role is enough.
+ */
+function hasAccessRole_(role, required) {
+  return !!role && ACCESS_ROLES.indexOf(role) >= ACCESS_ROLES.indexOf(required);
+}
+
+/**
+ * Checks that the current user has a role, without recording the call (for the lists
+ * the web UI reads and polls). Denied calls are still recorded.
+ * @param {string} required The role needed.
+ * @param {string} action The name of the call, for the audit log (e.g. 'jobs.list').
+ * @returns {object} The user (see getActiveUserAccess_).
+ */
+function requireRole_(required, action) {
+  const user = getActiveUserAccess_();
+  if (!hasAccessRole_(user.role, required)) {
+    denyAccess_(user, required, action, null, null);
+  }
+  return user;
+}
+
+/**
+ * Checks that the current user has a role and records the action in the audit log.
+ * @param {string} required The role needed.
+ * @param {string} action The action (e.g. 'restore').
+ * @param {string|null} target What the action is about (e.g. a file ID or a collection).
+ * @param {object} [details] Optional: The parameters worth keeping (no secrets).
+ * @returns {object} The user (see getActiveUserAccess_).
+ */
+function authorizeAction_(required, action, target, details) {
+  const user = getActiveUserAccess_();
+  if (!hasAccessRole_(user.role, required)) {
+    denyAccess_(user, required, action, target, details);
+  }
+
+  appendAuditEntry_({
+    at: new Date().toISOString(),
+    user: user.email || null,
+    role: user.role,
+    action: action,
+    target: target || null,
+    details: details || null,
+    outcome: "allowed",
+    error: null,
+  });
+  return user;
+}
+
+/**
+ * Checks the role needed to pause, resume or cancel a job: operator for backups, admin for restores.
+ * @param {string} jobId The job ID.
+ * @param {string} action 'pause', 'resume' or 'cancel'.
+ * @returns {object} The user (see getActiveUserAccess_).
+ */
+function authorizeJobAction_(jobId, action) {
+  const job = getJob_(jobId);
+  const required =
+    job && job.type === "backup" ? ACCESS_ROLE_OPERATOR : ACCESS_ROLE_ADMIN;
+  return authorizeAction_(required, `job.${action}`, jobId, {
+    type: job ? job.type : null,
+  });
+}
+
+/**
+ * Records a denied call and throws.
+ * @param {object} user The user (see getActiveUserAccess_).
+ * @param {string} required The role needed.
+ * @param {string} action The action.
+ * @param {string|null} target What the action is about.
+ * @param {object|null} details The parameters of the action.
+ */
+function denyAccess_(user, required, action, target, details) {
+  const error = user.email
+    ? `Access denied: ${user.email} needs the ${required} role for '${action}' (current role: ${user.role || "none"}).`
+    : `Access denied: Your email is not available to this web app, so '${action}' is not allowed. Sign in with a Google account listed in ACCESS_CONTROL.`;
+
+  Logger.log(`❌ ACCESS ERROR: ${error}`);
+  appendAuditEntry_({
+    at: new Date().toISOString(),
+    user: user.email || null,
+    role: user.role,
+    action: action,
+    target: target || null,
+    details: details || null,
+    outcome: "denied",
+    error: error,
+  });
+  throw new Error(error);
+}
+
+/**
+ * Builds the name of the audit log file of a month.
+ * @param {Date} date A date of the month.
+ * @returns {string} The file name (e.g. 'firestore_audit_2024-01.audit.ndjson').
+ */
+function getAuditFileName_(date) {
+  const month = Utilities.formatDate(date, "UTC", "yyyy-MM");
+  return `${AUDIT_FILE_PREFIX}${month}${AUDIT_FILE_SUFFIX}`;
+}
+
+/**
+ * Finds the audit log file of a month in the backup folder of the default profile.
+ * @param {Date} date A date of the month.
+ * @param {boolean} create True to create the file if it does not exist.
+ * @returns {GoogleAppsScript.Drive.File|null} The file, or null if it does not exist and create is false.
+ */
+function getAuditFile_(date, create) {
+  const props = getProjectProperties_();
+  const folder = getOrCreateFolder_(DRIVE_FOLDER_NAME, props.backup_folder_id);
+  const name = getAuditFileName_(date);
+
+  const files = folder.getFilesByName(name);
+  if (files.hasNext()) return files.next();
+
+  return create ? folder.createFile(name, "", "text/plain") : null;
+}
+
+/**
+ * Appends an entry to the audit log. The existing lines are kept as they are.
+ * A failure to write the log is logged but never fails the action itself.
+ * @param {object} entry The audit entry.
+ */
+function appendAuditEntry_(entry) {
+  const lock = LockService.getScriptLock();
+
+  try {
+    lock.waitLock(30000);
+    const file = getAuditFile_(new Date(entry.at), true);
+    file.setContent(
+      file.getBlob().getDataAsString() + JSON.stringify(entry) + "\n",
+    );
+  } catch (e) {
+    Logger.log(`❌ AUDIT ERROR (${entry.action}): ${e.toString()}`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Reads the audit entries of a month.
+ * @param {Date} date A date of the month.
+ * @returns {Array<object>} The entries, oldest first.
+ */
+function readAuditEntries_(date) {
+  const file = getAuditFile_(date, false);
+  if (!file) return [];
+
+  return file
+    .getBlob()
+    .getDataAsString()
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Identifies the user of the web UI, so it only shows what their role allows.
+ * @returns {object} { email, role (null without access), accessControl }.
+ */
+function getCurrentUser() {
+  return getActiveUserAccess_();
+}
+
+/**
+ * Lists the latest audit entries for the Audit Log section of the web UI (admin only).
+ * Reads the current month, and the previous month when it has too few entries.
+ * @param {number} [limit] Optional: Maximum number of entries (default 200).
+ * @returns {Array<object>} The entries, newest first.
+ */
+function getAuditLog(limit) {
+  requireRole_(ACCESS_ROLE_ADMIN, "audit.list");
+  const count = limit || AUDIT_LOG_LIMIT;
+
+  const now = new Date();
+  let entries = readAuditEntries_(now).reverse();
+  if (entries.length < count) {
+    const previousMonth = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1),
+    );
+    entries = entries.concat(readAuditEntries_(previousMonth).reverse());
+  }
+  return entries.slice(0, count);
+}
@@ -1,12 +1,40 @@
+const DEFAULT_TOKEN_SCOPES = ["https://www.googleapis.com/auth/datastore"]; // Scope for Firestore
+const TOKEN_CACHE_PREFIX = "access_token_";
+// Cached tokens are dropped this long before they expire: longer than an Apps Script
+// execution (6 minutes), so a token read at the start of a job step outlives the step
+const TOKEN_EXPIRY_MARGIN_SECONDS = 600;
+const TOKEN_REJECTED_MESSAGE = "Access token rejected (HTTP 401)";
+const EMULATOR_ACCESS_TOKEN = "owner"; // Accepted by the Firestore emulator as an admin token
+const tokenCacheKeys = {}; // Cache key of each token read in this execution (see invalidateAccessToken_)
+
 /**
- * Generates an Access Token using the Service Account Private Key and JWT assertion.
+ * Gets an Access Token for a Service Account. Tokens are cached (CacheService) and
+ * reused until shortly before they expire; a new one is generated otherwise.
  * @param {object} saKey The parsed service account JSON object.
+ * @param {Array<string>} [scopes] Optional: The OAuth scopes. Defaults to the Firestore (datastore) scope.
  * @returns {string} The OAuth 2.0 Access Token.
  */
-function getServiceAccessToken(saKey) {
+function getServiceAccessToken_(saKey, scopes) {
+  if (!saKey || !saKey.client_email || !saKey.private_key) {
+    throw new Error(
+      "Configuration error: The service account key is missing or invalid (client_email and private_key are required)."
+    );
+  }
+
+  const JWT_SCOPE = (scopes && scopes.length ? scopes : DEFAULT_TOKEN_SCOPES).join(" ");
+  const cache = CacheService.getScriptCache();
+  const cacheKey =
+    TOKEN_CACHE_PREFIX + computeSha256Hex_(`${saKey.client_email} ${JWT_SCOPE}`).slice(0, 32);
+
+  const cachedToken = cache.get(cacheKey);
+  if (cachedToken) {
+    Logger.log(`AUTH PHASE: Using the cached Access Token of ${saKey.client_email}.`);
+    tokenCacheKeys[cachedToken] = cacheKey;
+    return cachedToken;
+  }
+
   Logger.log("AUTH PHASE: Generating Access Token using Service Account...");
   const GOOGLE_AUTH_URL = saKey.token_uri; // https://oauth2.googleapis.com/token
-  const JWT_SCOPE = "https://www.googleapis.com/auth/datastore"; // Scope for Firestore
   const AUDIENCE = GOOGLE_AUTH_URL;
 
   // JWT Header
@@ -67,7 +95,7 @@ function getServiceAccessToken(saKey) {
     muteHttpExceptions: true,
   };
 
-  const response = UrlFetchApp.fetch(GOOGLE_AUTH_URL, options);
+  const response = fetchWithRetry_(GOOGLE_AUTH_URL, options, "Token exchange");
   const responseCode = response.getResponseCode();
   const responseText = response.getContentText();
 
@@ -76,7 +104,7 @@ function getServiceAccessToken(saKey) {
       `AUTH ERROR: Failed to get access token (Code ${responseCode}). Response: ${responseText}`
     );
     throw new Error(
-      "Authentication failed. Check SERVICE_ACCOUNT_KEY_JSON property and permissions."
+      `Authentication failed for ${saKey.client_email}. Check the service account key property (SERVICE_ACCOUNT_KEY_JSON or SERVICE_ACCOUNTS) and permissions.`
     );
   }
 
@@ -86,17 +114,77 @@ function getServiceAccessToken(saKey) {
     throw new Error("Authentication failed: Access token missing in response.");
   }
 
+  // Cache the token until shortly before it expires (CacheService keeps values 6 hours at most)
+  const cacheSeconds = Math.min((tokenData.expires_in || 3600) - TOKEN_EXPIRY_MARGIN_SECONDS, 21600);
+  if (cacheSeconds > 0) {
+    cache.put(cacheKey, tokenData.access_token, cacheSeconds);
+  }
+  tokenCacheKeys[tokenData.access_token] = cacheKey;
+
   Logger.log("AUTH PHASE: Access Token generated successfully.");
   return tokenData.access_token;
 }
 
+/**
+ * Gets the Access Token of the Firestore requests of an operation. The emulator does not
+ * check tokens: it accepts the "owner" token, so no JWT is exchanged.
+ * @param {object} props Object containing service_account_key, service_account_scopes and firestore_emulator.
+ * @returns {string} The OAuth 2.0 Access Token.
+ */
+function getFirestoreAccessToken_(props) {
+  if (props.firestore_emulator) {
+    Logger.log("AUTH PHASE: Emulator mode, using the emulator owner token.");
+    return EMULATOR_ACCESS_TOKEN;
+  }
+  return getServiceAccessToken_(
+    props.service_account_key,
+    props.service_account_scopes
+  );
+}
+
+/**
+ * Removes an Access Token from the cache, so the next call to getServiceAccessToken_
+ * generates a new one.
+ * @param {string} accessToken The token (read with getServiceAccessToken_ in this execution).
+ */
+function invalidateAccessToken_(accessToken) {
+  const cacheKey = tokenCacheKeys[accessToken];
+  if (cacheKey) {
+    CacheService.getScriptCache().remove(cacheKey);
+    delete tokenCacheKeys[accessToken];
+  }
+}
+
+/**
+ * Throws if Firestore rejected the Access Token of a request (expired or revoked).
+ * The token is removed from the cache first; jobs retry the step with a new token (see runJob_).
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response The response of the request.
+ * @param {string} accessToken The token sent with the request.
+ */
+function assertTokenAccepted_(response, accessToken) {
+  if (response.getResponseCode() === 401) {
+    invalidateAccessToken_(accessToken);
+    Logger.log(`AUTH ERROR: ${TOKEN_REJECTED_MESSAGE}. Response: ${response.getContentText()}`);
+    throw new Error(`${TOKEN_REJECTED_MESSAGE}. Run the operation again to use a new token.`);
+  }
+}
+
+/**
+ * Checks if an error was raised by assertTokenAccepted_.
+ * @param {Error} error The error.
+ * @returns {boolean} True if the Access Token was rejected.
+ */
+function isTokenRejectedError_(error) {
+  return String((error && error.message) || error).indexOf(TOKEN_REJECTED_MESSAGE) !== -1;
+}
+
 /**
  * Function to get the project's pre-configurated properties.
  * @param {None} None No parameters needed.
  * @returns {Object} An Object with the properties of the project.
  */
 
-function getProjectProperties() {
+function getProjectProperties_() {
   // Get properties from the project configuration
   const PROPERTIES = PropertiesService.getScriptProperties();
 
@@ -106,17 +194,50 @@ function getProjectProperties() {
   const SERVICE_ACCOUNT_KEY_JSON = PROPERTIES.getProperty(
     "SERVICE_ACCOUNT_KEY_JSON"
   ); // NEW REQUIRED PROPERTY
+  const SUBCOLLECTION_DEPTH = PROPERTIES.getProperty("SUBCOLLECTION_DEPTH");
+  const BACKUP_ENCODING = PROPERTIES.getProperty("BACKUP_ENCODING");
+  const BACKUP_COMPRESSION = PROPERTIES.getProperty("BACKUP_COMPRESSION");
+  const BACKUP_CHUNK_SIZE_MB = PROPERTIES.getProperty("BACKUP_CHUNK_SIZE_MB");
+  const BACKUP_ENCRYPTION_KEY_VERSION = PROPERTIES.getProperty(
+    "BACKUP_ENCRYPTION_KEY_VERSION"
+  );
+  const endpoint = normalizeFirestoreEndpoint_(
+    {
+      database_id: PROPERTIES.getProperty("FIRESTORE_DATABASE_ID"),
+      api_url: PROPERTIES.getProperty("FIRESTORE_API_URL"),
+      emulator: PROPERTIES.getProperty("FIRESTORE_EMULATOR"),
+    },
+    "The FIRESTORE_* properties"
+  );
 
-  if (!SERVICE_ACCOUNT_KEY_JSON) {
+  // Named service accounts (see ServiceAccounts.js) can replace the default key,
+  // and the emulator needs no key at all
+  if (
+    !SERVICE_ACCOUNT_KEY_JSON &&
+    !PROPERTIES.getProperty("SERVICE_ACCOUNTS") &&
+    !endpoint.emulator
+  ) {
     throw new Error(
       "Configuration error: SERVICE_ACCOUNT_KEY_JSON property is missing."
     );
   }
 
-  return {
+  const props = {
     firebase_project_id: FIREBASE_PROJECT_ID,
     collection_name: COLLECTION_NAME,
     backup_folder_id: BACKUP_FOLDER_ID,
-    service_account_key: JSON.parse(SERVICE_ACCOUNT_KEY_JSON), // Parse the JSON string
+    subcollection_depth: parseInt(SUBCOLLECTION_DEPTH, 10) || 0, // 0 = top-level documents only
+    backup_encoding: BACKUP_ENCODING || "json", // "json" or "ndjson" (one document per line)
+    backup_compression: BACKUP_COMPRESSION || "none", // "none" or "gzip"
+    backup_chunk_size_mb: parseFloat(BACKUP_CHUNK_SIZE_MB) || 25, // Files above this size are split into parts
+    backup_encryption_key_version: BACKUP_ENCRYPTION_KEY_VERSION || null, // null = backups are not encrypted
+    firestore_database_id: DEFAULT_DATABASE_ID, // FIRESTORE_DATABASE_ID, applied below
+    firestore_api_url: DEFAULT_FIRESTORE_API_URL, // FIRESTORE_API_URL, applied below
+    firestore_emulator: false, // true = no JWT exchange (see getFirestoreAccessToken_)
+    service_account: DEFAULT_SERVICE_ACCOUNT,
+    service_account_key: SERVICE_ACCOUNT_KEY_JSON ? JSON.parse(SERVICE_ACCOUNT_KEY_JSON) : null, // Parse the JSON string
+    service_account_scopes: null, // null = DEFAULT_TOKEN_SCOPES
   };
+
+  return applyFirestoreEndpoint_(props, endpoint);
 }
\ No newline at end of file
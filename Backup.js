@@ -7,8 +7,11 @@
  * 2. COLLECTION_NAME: The name of the collection to back up
  * 3. SERVICE_ACCOUNT_KEY_JSON: The full JSON content of your Google Cloud Service Account Key.
  * 4. BACKUP_FOLDER_ID (OPTIONAL): If provided, the script will use this specific Drive Folder ID instead of searching/creating by name.
+ * 5. SUBCOLLECTION_DEPTH (OPTIONAL): Levels of subcollections to include in the backup (default 0 = top-level documents only).
+ * 6. BACKUP_PROFILES (OPTIONAL): Named profiles to back up several collections in one run (see Profiles.js).
  *
  * NOTE: This version uses Service Account authentication and pagination.
+ * Backups are written in the typed format described in BackupFormat.js.
  */
 
 const PAGE_SIZE = 1000; // Batch of documents to request in each query
@@ -17,10 +20,12 @@ const DRIVE_FOLDER_NAME = "Firestore Backups"; // Name of the folder to be creat
 /**
  * Recursive function to transform the Firebase REST API field format
  * to a standard JSON/JavaScript object.
+ * NOTE: The result loses the Firestore types, so it is only meant for display purposes.
+ * Backups keep the typed fields (see BackupFormat.js).
  * @param {object} field Firebase field object (e.g., { stringValue: '...' } or { mapValue: {...} })
  * @returns {*} The cleaned value (string, number, array, object, etc.)
  */
-function extractFieldValue(field) {
+function extractFieldValue_(field) {
   if (!field || typeof field !== "object") return null;
 
   // The value type is the object's only key (e.g., 'stringValue', 'mapValue')
@@ -33,8 +38,13 @@ function extractFieldValue(field) {
     case "doubleValue":
     case "booleanValue":
     case "timestampValue":
+    case "referenceValue":
+    case "bytesValue":
       return value; // Simple values
 
+    case "geoPointValue":
+      return { latitude: value.latitude, longitude: value.longitude };
+
     case "nullValue":
     case "undefinedValue":
       return null;
@@ -43,7 +53,7 @@ function extractFieldValue(field) {
       // If it's an array, map each value recursively
       if (value.values) {
         // Map each element of the array, which can be a mapValue, stringValue, etc.
-        return value.values.map((item) => extractFieldValue(item));
+        return value.values.map((item) => extractFieldValue_(item));
       }
       return [];
 
@@ -52,8 +62,8 @@ function extractFieldValue(field) {
       const map = {};
       if (value.fields) {
         for (const key in value.fields) {
-          // Calls extractFieldValue for each map field
-          map[key] = extractFieldValue(value.fields[key]);
+          // Calls extractFieldValue_ for each map field
+          map[key] = extractFieldValue_(value.fields[key]);
         }
       }
       return map;
@@ -68,22 +78,36 @@ function extractFieldValue(field) {
 /**
  * Function that performs a single GET request to the Firestore API
  * and handles pagination with a token.
+ * @param {object} props Object containing firebase_project_id and collection_name.
  * @param {string} accessToken The OAuth 2.0 Bearer token.
  * @param {string} nextPageToken Token to get the next page of results.
+ * @param {string} [collectionPath] Optional: Path of the collection to read (e.g. 'users/abc/orders'). Defaults to props.collection_name.
  * @returns {object} Object with the data (documents) and the nextPageToken.
  */
-function fetchFirestorePage(props, accessToken, nextPageToken) {
-  const { firebase_project_id, collection_name } = props;
+function fetchFirestorePage_(
+  props,
+  accessToken,
+  nextPageToken,
+  collectionPath,
+) {
+  const path = collectionPath || props.collection_name;
+
+  let apiUrl = `${getFirestoreDocumentsUrl_(props)}/${path}?pageSize=${PAGE_SIZE}`;
 
-  let apiUrl = `https://firestore.googleapis.com/v1/projects/${firebase_project_id}/databases/(default)/documents/${collection_name}?pageSize=${PAGE_SIZE}`;
+  // Include "missing" documents (no fields, but with subcollections) when subcollections are backed up
+  if (props.subcollection_depth > 0) {
+    apiUrl += "&showMissing=true";
+  }
 
   if (nextPageToken) {
-    apiUrl += `&pageToken=${nextPageToken}`;
+    apiUrl += `&pageToken=${encodeURIComponent(nextPageToken)}`;
     Logger.log(
-      `...Fetching next page with token: ${nextPageToken.substring(0, 15)}...`,
+      `...Fetching next page of ${path} with token: ${nextPageToken.substring(0, 15)}...`,
     );
   } else {
-    Logger.log(`Starting fetching first page (limit: ${PAGE_SIZE})...`);
+    Logger.log(
+      `Starting fetching first page of ${path} (limit: ${PAGE_SIZE})...`,
+    );
   }
 
   const options = {
@@ -95,7 +119,8 @@ function fetchFirestorePage(props, accessToken, nextPageToken) {
     },
   };
 
-  const response = UrlFetchApp.fetch(apiUrl, options);
+  const response = fetchWithRetry_(apiUrl, options, `Page of ${path}`);
+  assertTokenAccepted_(response, accessToken);
   const responseCode = response.getResponseCode();
   const responseText = response.getContentText();
 
@@ -115,116 +140,980 @@ function fetchFirestorePage(props, accessToken, nextPageToken) {
 }
 
 /**
- * Main function to perform the backup with Pagination.
+ * Runs a structured query against the root collections of the database.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {object} structuredQuery The Firestore structuredQuery.
+ * @returns {Array<object>} The documents returned by the query.
  */
-function backupFirestoreToDrivePaginated() {
-  let accessToken;
-  let allDocuments = [];
-  let nextPageToken = null;
-  let pageCount = 0;
+function runFirestoreQuery_(props, accessToken, structuredQuery) {
+  const response = fetchWithRetry_(
+    `${getFirestoreDocumentsUrl_(props)}:runQuery`,
+    {
+      method: "post",
+      contentType: "application/json",
+      muteHttpExceptions: true,
+      headers: {
+        Authorization: "Bearer " + accessToken,
+      },
+      payload: JSON.stringify({ structuredQuery: structuredQuery }),
+    },
+    "runQuery",
+  );
+  assertTokenAccepted_(response, accessToken);
+  const responseCode = response.getResponseCode();
+  const responseText = response.getContentText();
+
+  if (responseCode !== 200) {
+    Logger.log(
+      `[HTTP Error ${responseCode}] runQuery failed. Response: ${responseText}`,
+    );
+    throw new Error(
+      `Error in Firestore API (Code ${responseCode}) while running a query. See log for details.`,
+    );
+  }
 
-  // Try to get properties first (might throw if SERVICE_ACCOUNT_KEY_JSON is invalid)
-  const props = getProjectProperties();
-  const { collection_name } = props;
+  return JSON.parse(responseText || "[]")
+    .filter((result) => result.document)
+    .map((result) => result.document);
+}
 
-  try {
-    // 0. AUTHENTICATION PHASE: Get the token first
-    accessToken = getServiceAccessToken(props.service_account_key);
+/**
+ * Lists the IDs of the collections under a parent (Firestore listCollectionIds).
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {string} parentPath Path of the parent document relative to the database (e.g. 'users/abc'), or '' for the root collections.
+ * @returns {Array<string>} The collection IDs.
+ */
+function listCollectionIds_(props, accessToken, parentPath) {
+  const parentUrl = parentPath
+    ? `${getFirestoreDocumentsUrl_(props)}/${parentPath}`
+    : getFirestoreDocumentsUrl_(props);
+  const apiUrl = `${parentUrl}:listCollectionIds`;
+  let collectionIds = [];
+  let pageToken = null;
 
-    // 1. DATA READING PHASE (Paginacion)
-    Logger.log("PHASE 1: Starting Firestore data reading...");
-    do {
-      pageCount++;
-      // NEW CALL: Pass the access token
-      const pageResult = fetchFirestorePage(props, accessToken, nextPageToken);
+  do {
+    const payload = { pageSize: PAGE_SIZE };
+    if (pageToken) payload.pageToken = pageToken;
 
-      const documents = pageResult.documents || [];
-      nextPageToken = pageResult.nextPageToken || null;
+    const response = fetchWithRetry_(
+      apiUrl,
+      {
+        method: "post",
+        contentType: "application/json",
+        muteHttpExceptions: true,
+        headers: {
+          Authorization: "Bearer " + accessToken,
+        },
+        payload: JSON.stringify(payload),
+      },
+      "listCollectionIds",
+    );
+    assertTokenAccepted_(response, accessToken);
+    const responseCode = response.getResponseCode();
+    const responseText = response.getContentText();
 
+    if (responseCode !== 200) {
       Logger.log(
-        `Page ${pageCount} fetched. Documents received: ${
-          documents.length
-        }. More pages: ${!!nextPageToken}`,
+        `[HTTP Error ${responseCode}] listCollectionIds failed for '${parentPath}'. Response: ${responseText}`,
       );
+      throw new Error(
+        `Error in Firestore API (Code ${responseCode}) while listing collections. See log for details.`,
+      );
+    }
 
-      // Processing the documents for this page
-      documents.forEach((doc) => {
-        const docData = {};
-        const fields = doc.fields;
-
-        if (fields) {
-          for (const key in fields) {
-            if (fields.hasOwnProperty(key)) {
-              // WE USE THE CLEANUP FUNCTION
-              docData[key] = extractFieldValue(fields[key]);
-            }
-          }
-        }
+    const result = responseText ? JSON.parse(responseText) : {};
+    collectionIds = collectionIds.concat(result.collectionIds || []);
+    pageToken = result.nextPageToken || null;
+  } while (pageToken);
+
+  return collectionIds;
+}
 
-        const docName = doc.name;
-        docData.docId = docName.split("/").pop();
+/**
+ * Reads every page of a collection and converts its documents into backup entries.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {string} collectionPath Path of the collection relative to the database (e.g. 'users/abc/orders').
+ * @param {number} depth Levels of subcollections to read below each document.
+ * @returns {Array<object>} The backup entries.
+ */
+function fetchCollectionEntries_(props, accessToken, collectionPath, depth) {
+  const entries = [];
+  let nextPageToken = null;
+  let pageCount = 0;
+
+  do {
+    pageCount++;
+    const pageResult = fetchFirestorePage_(
+      props,
+      accessToken,
+      nextPageToken,
+      collectionPath,
+    );
 
-        allDocuments.push(docData);
-      });
-    } while (nextPageToken); // Repeat while there is a next page token
+    const documents = pageResult.documents || [];
+    nextPageToken = pageResult.nextPageToken || null;
 
-    // DIAGNOSTIC: Confirm that the data has been loaded and cleaned.
     Logger.log(
-      `DIAGNOSTIC: All ${allDocuments.length} documents loaded and ready to save.`,
+      `Page ${pageCount} of ${collectionPath} fetched. Documents received: ${
+        documents.length
+      }. More pages: ${!!nextPageToken}`,
     );
 
-    // 2. DRIVE SAVING PHASE
-    Logger.log("PHASE 2: Starting save to Google Drive.");
-    let backupFolder;
+    // Processing the documents for this page (fields are kept with their Firestore types)
+    documents.forEach((doc) => {
+      entries.push(
+        createBackupEntryWithSubcollections_(props, accessToken, doc, depth),
+      );
+    });
+  } while (nextPageToken); // Repeat while there is a next page token
 
-    try {
-      // 2.1 Get or create the backup folder. We pass both the name and the optional ID.
-      backupFolder = getOrCreateFolder(
-        DRIVE_FOLDER_NAME,
-        props.backup_folder_id,
+  return entries;
+}
+
+/**
+ * Recursively reads the subcollections of a document down to the given depth.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {string} documentPath Path of the document relative to the database (e.g. 'users/abc').
+ * @param {number} depth Remaining levels of subcollections to read (1 = only direct subcollections).
+ * @returns {object|null} Map of subcollection ID to its backup entries, or null if there are none.
+ */
+function fetchSubcollections_(props, accessToken, documentPath, depth) {
+  const collectionIds = listCollectionIds_(props, accessToken, documentPath);
+  if (collectionIds.length === 0) return null;
+
+  const subcollections = {};
+  collectionIds.forEach((collectionId) => {
+    subcollections[collectionId] = fetchCollectionEntries_(
+      props,
+      accessToken,
+      `${documentPath}/${collectionId}`,
+      depth - 1,
+    );
+  });
+
+  return subcollections;
+}
+
+/**
+ * Converts a Firestore document into a backup entry, adding its subcollections
+ * if there are levels left to read.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {object} doc Firestore document as returned by the REST API.
+ * @param {number} depth Remaining levels of subcollections to read.
+ * @returns {object} The backup entry.
+ */
+function createBackupEntryWithSubcollections_(props, accessToken, doc, depth) {
+  const entry = createBackupDocument_(doc);
+
+  if (depth > 0) {
+    const subcollections = fetchSubcollections_(
+      props,
+      accessToken,
+      getRelativeDocumentPath_(doc.name),
+      depth,
+    );
+    if (subcollections) entry.subcollections = subcollections;
+  }
+
+  return entry;
+}
+
+/**
+ * Resolves the list of collections of a profile ("*" means every root collection).
+ * @param {object} props Object containing the profile and firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @returns {Array<string>} The collection names.
+ */
+function resolveProfileCollections_(props, accessToken) {
+  if (props.profile.collections === ALL_ROOT_COLLECTIONS) {
+    return listCollectionIds_(props, accessToken, "");
+  }
+  return props.profile.collections;
+}
+
+/**
+ * Builds the extension of the backup files of a profile (e.g. '.json', '.ndjson.gz.enc').
+ * @param {object} profile The normalized profile.
+ * @returns {string} The extension, with its leading dot.
+ */
+function getBackupFileExtension_(profile) {
+  return [
+    `.${profile.encoding}`,
+    profile.compression === "gzip" ? ".gz" : "",
+    profile.encryption_key_version ? ENCRYPTED_FILE_EXTENSION : "",
+  ].join("");
+}
+
+/**
+ * Gets the serialization options of a profile (see serializeBackupChunks_).
+ * @param {object} profile The normalized profile.
+ * @returns {object} { encoding, pretty, maxChars }.
+ */
+function getBackupSerializeOptions_(profile) {
+  return {
+    encoding: profile.encoding,
+    // Pretty-printing only helps files that are read as text
+    pretty: profile.encoding === "json" && profile.compression !== "gzip",
+    maxChars: Math.floor(profile.chunk_size_mb * 1024 * 1024),
+  };
+}
+
+/**
+ * Creates a backup file, gzip-compressing and encrypting its content if the profile asks for it,
+ * and saves its integrity record (see Integrity.js).
+ * @param {DriveApp.Folder} backupFolder The destination folder.
+ * @param {object} profile The normalized profile.
+ * @param {string} fileName The file name (with its extension).
+ * @param {string} content The serialized content.
+ * @param {object} collections Map of collection name to the entries saved in the file.
+ * @returns {object} The created file and its SHA-256 digest: { file, sha256 }.
+ */
+function createBackupFile_(
+  backupFolder,
+  profile,
+  fileName,
+  content,
+  collections,
+) {
+  const mimeType =
+    profile.encoding === "ndjson" ? "application/x-ndjson" : "application/json";
+
+  let blob = Utilities.newBlob(content, mimeType, fileName);
+  if (profile.compression === "gzip") {
+    blob = Utilities.gzip(blob, fileName);
+  }
+  if (profile.encryption_key_version) {
+    blob = Utilities.newBlob(
+      encryptBackupBytes_(blob.getBytes(), profile.encryption_key_version),
+      "text/plain",
+      fileName,
+    );
+  }
+
+  const file = backupFolder.createFile(blob);
+  file.setDescription(formatProfileTag_(profile.name)); // See Retention.js
+  const sha256 = computeSha256Hex_(blob.getBytes());
+  saveBackupIntegrity_(
+    backupFolder,
+    fileName,
+    sha256,
+    file.getSize(),
+    collections,
+    !!profile.encryption_key_version,
+  );
+  return { file: file, sha256: sha256 };
+}
+
+/**
+ * Saves the backup file of a single collection. Collections larger than the chunk
+ * size of the profile are saved as several numbered parts.
+ * @param {DriveApp.Folder} backupFolder The destination folder.
+ * @param {object} props Object containing the profile and firebase_project_id.
+ * @param {string} collectionName The backed up collection.
+ * @param {Array<object>} entries The backup entries of the collection.
+ * @param {string} timestamp The run timestamp (yyyyMMdd_HHmmss).
+ * @returns {Array<object>} The created files ({ collection, fileId, fileName, documentCount, bytes, sha256, part }).
+ */
+function saveCollectionBackupFile_(
+  backupFolder,
+  props,
+  collectionName,
+  entries,
+  timestamp,
+) {
+  const profile = props.profile;
+  const baseName = formatBackupFileName_(profile, collectionName, timestamp);
+  const extension = getBackupFileExtension_(profile);
+  const chunks = serializeBackupChunks_(
+    buildBackupHeader_(props, collectionName),
+    entries,
+    getBackupSerializeOptions_(profile),
+  );
+
+  return chunks.map((chunk, index) => {
+    const fileName =
+      chunks.length > 1
+        ? `${baseName}.chunk-${("00" + (index + 1)).slice(-3)}${extension}`
+        : `${baseName}${extension}`;
+
+    Logger.log(`SAVING PHASE: Creating backup file ${fileName}...`);
+    const created = createBackupFile_(
+      backupFolder,
+      profile,
+      fileName,
+      chunk.content,
+      { [collectionName]: chunk.documents },
+    );
+
+    const saved = {
+      collection: collectionName,
+      fileId: created.file.getId(),
+      fileName: fileName,
+      documentCount: chunk.documents.length,
+      bytes: created.file.getSize(),
+      sha256: created.sha256,
+    };
+    if (chunks.length > 1) saved.part = index + 1;
+    return saved;
+  });
+}
+
+/**
+ * Saves the manifest file that ties together the per-collection files of a run.
+ * @param {DriveApp.Folder} backupFolder The destination folder.
+ * @param {object} props Object containing the profile and firebase_project_id.
+ * @param {Array<object>} savedFiles The per-collection files (and parts) of the run.
+ * @param {string} timestamp The run timestamp (yyyyMMdd_HHmmss).
+ * @returns {string} The Drive File ID of the manifest.
+ */
+function saveBackupManifest_(backupFolder, props, savedFiles, timestamp) {
+  const profile = props.profile;
+  const manifestName = `${formatBackupFileName_(profile, `${profile.name}_manifest`, timestamp)}.json`;
+
+  Logger.log(`SAVING PHASE: Creating manifest file ${manifestName}...`);
+
+  // The manifest is always plain JSON, so it can be opened from Drive
+  const content = serializeManifest_(buildBackupHeader_(props), savedFiles);
+  const file = backupFolder.createFile(
+    manifestName,
+    content,
+    "application/json",
+  );
+  file.setDescription(formatProfileTag_(profile.name)); // See Retention.js
+  saveBackupIntegrity_(
+    backupFolder,
+    manifestName,
+    computeSha256Hex_(content),
+    file.getSize(),
+    null,
+    false,
+  );
+  return file.getId();
+}
+
+/**
+ * Saves all the collections of a run into a single archive file. An archive larger
+ * than the chunk size of the profile is saved as per-collection parts instead.
+ * @param {DriveApp.Folder} backupFolder The destination folder.
+ * @param {object} props Object containing the profile and firebase_project_id.
+ * @param {object} collections Map of collection name to its backup entries.
+ * @param {string} timestamp The run timestamp (yyyyMMdd_HHmmss).
+ * @returns {Array<object>} The created files ({ collection, fileId, fileName, documentCount, bytes, sha256 }).
+ */
+function saveBackupArchive_(backupFolder, props, collections, timestamp) {
+  const profile = props.profile;
+  const options = getBackupSerializeOptions_(profile);
+  const content = serializeArchive_(
+    buildBackupHeader_(props),
+    collections,
+    options,
+  );
+
+  if (content.length > options.maxChars) {
+    Logger.log(
+      `SAVING PHASE: The archive is larger than ${profile.chunk_size_mb} MB. Saving one file per collection instead.`,
+    );
+    let savedFiles = [];
+    for (const collectionName in collections) {
+      savedFiles = savedFiles.concat(
+        saveCollectionBackupFile_(
+          backupFolder,
+          props,
+          collectionName,
+          collections[collectionName],
+          timestamp,
+        ),
       );
+    }
+    return savedFiles;
+  }
+
+  const fileName = `${formatBackupFileName_(profile, `${profile.name}_archive`, timestamp)}${getBackupFileExtension_(profile)}`;
+
+  Logger.log(`SAVING PHASE: Creating archive file ${fileName}...`);
+
+  const created = createBackupFile_(
+    backupFolder,
+    profile,
+    fileName,
+    content,
+    collections,
+  );
+
+  let documentCount = 0;
+  for (const collectionName in collections) {
+    documentCount += collections[collectionName].length;
+  }
+
+  return [
+    {
+      collection: Object.keys(collections).join(", "),
+      fileId: created.file.getId(),
+      fileName: fileName,
+      documentCount: documentCount,
+      bytes: created.file.getSize(),
+      sha256: created.sha256,
+    },
+  ];
+}
+
+/**
+ * Builds the name of a partial output file of a backup job.
+ * @param {string} jobId The job ID.
+ * @param {number} partNumber The part number (1-based).
+ * @returns {string} The file name.
+ */
+function getBackupPartFileName_(jobId, partNumber) {
+  return `${jobId}.part-${("000" + partNumber).slice(-4)}.json`;
+}
+
+/**
+ * Saves the entries of a page as a partial output file of a backup job. The file is
+ * encrypted like the backup itself, as it holds the same documents.
+ * @param {DriveApp.Folder} backupFolder The destination folder.
+ * @param {object} profile The normalized profile.
+ * @param {string} jobId The job ID.
+ * @param {number} partNumber The part number (1-based).
+ * @param {string} collectionName The collection the entries belong to.
+ * @param {Array<object>} entries The backup entries.
+ * @param {Array<string>} [ids] Optional: The IDs of the documents that exist (incremental profiles, see Incremental.js).
+ */
+function saveBackupPart_(
+  backupFolder,
+  profile,
+  jobId,
+  partNumber,
+  collectionName,
+  entries,
+  ids,
+) {
+  const content = JSON.stringify({
+    collection: collectionName,
+    entries: entries,
+    ids: ids,
+  });
+
+  backupFolder.createFile(
+    getBackupPartFileName_(jobId, partNumber),
+    profile.encryption_key_version
+      ? encryptBackupBytes_(
+          Utilities.newBlob(content).getBytes(),
+          profile.encryption_key_version,
+        )
+      : content,
+    "application/json",
+  );
+}
 
-      // 2.2 Prepare the JSON file
-      const jsonString = JSON.stringify(allDocuments, null, 2);
+/**
+ * Reads a range of partial output files of a backup job, grouped by collection.
+ * @param {DriveApp.Folder} backupFolder The folder with the partial files.
+ * @param {string} jobId The job ID.
+ * @param {number} fromPart First part number to read.
+ * @param {number} toPart Last part number to read.
+ * @param {object} [ids] Optional: Object filled with the document IDs saved with the parts, by collection.
+ * @returns {object} Map of collection name to its backup entries.
+ */
+function readBackupParts_(backupFolder, jobId, fromPart, toPart, ids) {
+  const collections = {};
 
-      const timestamp = Utilities.formatDate(
-        new Date(),
-        Session.getScriptTimeZone(),
-        "yyyyMMdd_HHmmss",
+  for (let partNumber = fromPart; partNumber <= toPart; partNumber++) {
+    const files = backupFolder.getFilesByName(
+      getBackupPartFileName_(jobId, partNumber),
+    );
+    if (!files.hasNext()) {
+      throw new Error(
+        `Partial backup file ${getBackupPartFileName_(jobId, partNumber)} is missing.`,
       );
-      const fileName = `${collection_name}_backup_${timestamp}.json`;
+    }
+
+    const content = files.next().getBlob().getDataAsString();
+    const part = JSON.parse(
+      isEncryptedBackupContent_(content)
+        ? Utilities.newBlob(decryptBackupContent_(content)).getDataAsString()
+        : content,
+    );
+    collections[part.collection] = (collections[part.collection] || []).concat(
+      part.entries,
+    );
+    if (ids) {
+      ids[part.collection] = (ids[part.collection] || []).concat(
+        part.ids || [],
+      );
+    }
+  }
+
+  return collections;
+}
+
+/**
+ * Moves a range of partial output files of a backup job to the trash.
+ * @param {DriveApp.Folder} backupFolder The folder with the partial files.
+ * @param {string} jobId The job ID.
+ * @param {number} fromPart First part number to remove.
+ * @param {number} toPart Last part number to remove.
+ */
+function trashBackupParts_(backupFolder, jobId, fromPart, toPart) {
+  for (let partNumber = fromPart; partNumber <= toPart; partNumber++) {
+    const files = backupFolder.getFilesByName(
+      getBackupPartFileName_(jobId, partNumber),
+    );
+    while (files.hasNext()) {
+      files.next().setTrashed(true);
+    }
+  }
+}
+
+/**
+ * Removes the partial output of a cancelled backup job.
+ * @param {object} job The backup job record.
+ */
+function discardBackupJobOutput_(job) {
+  const checkpoint = job.checkpoint;
+  if (!checkpoint.partCount) return;
 
-      Logger.log("SAVING PHASE: Creating JSON file...");
+  const props = getProfileProperties_(
+    job.params.profileName,
+    job.params.profile,
+  );
+  const backupFolder = getOrCreateFolder_(
+    DRIVE_FOLDER_NAME,
+    props.backup_folder_id,
+  );
+  trashBackupParts_(backupFolder, job.id, 1, checkpoint.partCount);
+  trashRunDocumentIds_(backupFolder, job.id);
+  Logger.log(`JOB: Partial output of ${job.id} removed.`);
+}
+
+/**
+ * Reads the next page of a backup job: a page of the collection listing, of the
+ * profile query (see Queries.js) or of the changed documents (see Incremental.js).
+ * @param {object} props Object containing the profile and firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {object} checkpoint The job checkpoint (its pageToken is where the previous page stopped).
+ * @param {string} collectionName The collection to read.
+ * @returns {object} { documents, nextPageToken, ids (incremental runs only) }.
+ */
+function fetchBackupPage_(props, accessToken, checkpoint, collectionName) {
+  if (checkpoint.chain && checkpoint.chain.type === "incremental") {
+    return fetchIncrementalPage_(
+      props,
+      accessToken,
+      checkpoint.chain,
+      collectionName,
+      checkpoint.pageToken,
+    );
+  }
+  if (props.profile.query) {
+    return fetchQueryPage_(
+      props,
+      accessToken,
+      props.profile.query,
+      collectionName,
+      checkpoint.pageToken,
+    );
+  }
+  return fetchFirestorePage_(
+    props,
+    accessToken,
+    checkpoint.pageToken,
+    collectionName,
+  );
+}
 
-      // We use 'application/json' as the MimeType.
-      backupFolder.createFile(fileName, jsonString, "application/json");
+/**
+ * Runs one step of a backup job (see Jobs.js).
+ * Each page of documents is saved to Drive as a partial file and the
+ * nextPageToken is kept in the checkpoint, so the next step continues from there.
+ * Incremental profiles only read the documents changed since their previous run (see Incremental.js),
+ * profiles with a query only the documents that match it (see Queries.js).
+ * @param {object} job The backup job record ({ params: { profileName, profile (inline definition, optional), full } }).
+ * @param {number} deadline Timestamp (ms) when the step must stop.
+ * @returns {boolean} True when the backup is finished.
+ */
+function runBackupJobStep_(job, deadline) {
+  // Try to get properties first (might throw if SERVICE_ACCOUNT_KEY_JSON or BACKUP_PROFILES are invalid)
+  const props = getProfileProperties_(
+    job.params.profileName,
+    job.params.profile,
+  );
+  const profile = props.profile;
+  const checkpoint = job.checkpoint;
 
-      Logger.log("SAVING PHASE: File created successfully.");
+  // 0. AUTHENTICATION PHASE: Get the token first
+  const accessToken = getFirestoreAccessToken_(props);
+  const backupFolder = getBackupJobFolder_(props);
 
+  // First step: resolve the collections and fix the run timestamp
+  if (!checkpoint.collections) {
+    checkpoint.collections = resolveProfileCollections_(props, accessToken);
+    checkpoint.collectionIndex = 0;
+    checkpoint.pageToken = null;
+    checkpoint.pageOffset = 0;
+    checkpoint.partCount = 0;
+    checkpoint.collectionFirstPart = 1;
+    checkpoint.documentCount = 0;
+    checkpoint.savedFiles = [];
+    checkpoint.progress = "0 documents read";
+    checkpoint.timestamp = Utilities.formatDate(
+      new Date(),
+      Session.getScriptTimeZone(),
+      "yyyyMMdd_HHmmss",
+    );
+    checkpoint.chain = planBackupRun_(
+      backupFolder,
+      profile,
+      checkpoint.collections,
+      job.params.full,
+    );
+    Logger.log(
+      `PHASE 1: Starting Firestore data reading for profile '${profile.name}' (${checkpoint.collections.join(", ")})...`,
+    );
+    if (profile.query) {
       Logger.log(
-        `✅ Backup created successfully: ${fileName} with ${
-          allDocuments.length
-        } records in folder: ${backupFolder.getName()}.`,
+        `QUERY: Partial backup of the documents matching: ${describeBackupQuery_(profile.query)}.`,
       );
-    } catch (e) {
-      // We catch Drive errors, which now should only be due to permissions or server errors
-      if (e.message && e.message.includes("Authorization is required")) {
+    }
+  } else {
+    Logger.log(
+      `PHASE 1: Resuming Firestore data reading for profile '${profile.name}' at collection ${checkpoint.collectionIndex + 1} of ${checkpoint.collections.length}.`,
+    );
+  }
+
+  // Every file of an incremental profile records its place in the chain
+  props.backup_chain = checkpoint.chain || null;
+
+  // 1. DATA READING PHASE (Paginacion), one page at a time with a checkpoint after each one
+  while (checkpoint.collectionIndex < checkpoint.collections.length) {
+    if (Date.now() > deadline) return false;
+
+    const collectionName = checkpoint.collections[checkpoint.collectionIndex];
+    const pageResult = fetchBackupPage_(
+      props,
+      accessToken,
+      checkpoint,
+      collectionName,
+    );
+
+    // Processing the documents for this page (fields are kept with their Firestore types).
+    // Reading the subcollections takes requests per document, so the deadline is then checked
+    // between documents and a page can be split across steps (pageOffset documents are done).
+    const documents = pageResult.documents || [];
+    const firstDocument = checkpoint.pageOffset || 0;
+    const entries = [];
+    let documentIndex = firstDocument;
+    while (documentIndex < documents.length) {
+      if (
+        props.subcollection_depth > 0 &&
+        documentIndex > firstDocument &&
+        Date.now() > deadline
+      ) {
+        break;
+      }
+      entries.push(
+        createBackupEntryWithSubcollections_(
+          props,
+          accessToken,
+          documents[documentIndex],
+          props.subcollection_depth,
+        ),
+      );
+      documentIndex++;
+    }
+    const pageDone = documentIndex === documents.length;
+
+    checkpoint.partCount++;
+    saveBackupPart_(
+      backupFolder,
+      profile,
+      job.id,
+      checkpoint.partCount,
+      collectionName,
+      entries,
+      checkpoint.chain
+        ? pageResult.ids
+          ? pageDone
+            ? pageResult.ids
+            : [] // The IDs of the page are saved with its last part
+          : entries.map((entry) => entry.docId)
+        : undefined,
+    );
+    checkpoint.documentCount += entries.length;
+
+    if (!pageDone) {
+      checkpoint.pageOffset = documentIndex;
+      checkpoint.progress = `${checkpoint.documentCount} documents read (collection ${checkpoint.collectionIndex + 1} of ${checkpoint.collections.length})`;
+      saveJobCheckpoint_(job);
+      return false;
+    }
+    checkpoint.pageOffset = 0;
+    checkpoint.pageToken = pageResult.nextPageToken || null;
+
+    // Collection complete: save its file right away (per_collection output)
+    if (!checkpoint.pageToken) {
+      if (profile.output !== "archive") {
+        const ids = {};
+        let collectionEntries =
+          readBackupParts_(
+            backupFolder,
+            job.id,
+            checkpoint.collectionFirstPart,
+            checkpoint.partCount,
+            ids,
+          )[collectionName] || [];
+
+        if (checkpoint.chain) {
+          const collectionIds = ids[collectionName] || [];
+          collectionEntries = collectionEntries.concat(
+            buildDeletedEntries_(
+              backupFolder,
+              profile,
+              checkpoint.chain,
+              collectionName,
+              collectionIds,
+            ),
+          );
+          saveRunDocumentIds_(backupFolder, profile, job.id, {
+            [collectionName]: collectionIds,
+          });
+        }
+
+        // DIAGNOSTIC: Confirm that the data has been loaded.
         Logger.log(
-          `❌ CRITICAL AUTHORIZATION ERROR: The script needs permission to access and/or create folders in Google Drive. Please perform RE-AUTHORIZATION.`,
+          `DIAGNOSTIC: All ${collectionEntries.length} documents of ${collectionName} loaded and ready to save.`,
+        );
+        checkpoint.savedFiles = checkpoint.savedFiles.concat(
+          saveCollectionBackupFile_(
+            backupFolder,
+            props,
+            collectionName,
+            collectionEntries,
+            checkpoint.timestamp,
+          ),
+        );
+        trashBackupParts_(
+          backupFolder,
+          job.id,
+          checkpoint.collectionFirstPart,
+          checkpoint.partCount,
         );
-      } else {
-        Logger.log(`❌ ERROR SAVING TO DRIVE: ${e.toString()}`);
       }
+
+      checkpoint.collectionIndex++;
+      checkpoint.collectionFirstPart = checkpoint.partCount + 1;
+    }
+
+    checkpoint.progress = `${checkpoint.documentCount} documents read (collection ${Math.min(checkpoint.collectionIndex + 1, checkpoint.collections.length)} of ${checkpoint.collections.length})`;
+    if (!saveJobCheckpoint_(job)) return false;
+  }
+
+  // 2. DRIVE SAVING PHASE
+  Logger.log("PHASE 2: Starting save to Google Drive.");
+
+  if (profile.output === "archive") {
+    const ids = {};
+    const collections = readBackupParts_(
+      backupFolder,
+      job.id,
+      1,
+      checkpoint.partCount,
+      ids,
+    );
+    // Keep collections without documents in the archive
+    checkpoint.collections.forEach((collectionName) => {
+      collections[collectionName] = collections[collectionName] || [];
+      ids[collectionName] = ids[collectionName] || [];
+
+      if (checkpoint.chain) {
+        collections[collectionName] = collections[collectionName].concat(
+          buildDeletedEntries_(
+            backupFolder,
+            profile,
+            checkpoint.chain,
+            collectionName,
+            ids[collectionName],
+          ),
+        );
+      }
+    });
+    if (checkpoint.chain) {
+      saveRunDocumentIds_(backupFolder, profile, job.id, ids);
+    }
+    checkpoint.savedFiles = saveBackupArchive_(
+      backupFolder,
+      props,
+      collections,
+      checkpoint.timestamp,
+    );
+    trashBackupParts_(backupFolder, job.id, 1, checkpoint.partCount);
+  }
+
+  if (checkpoint.savedFiles.length > 1) {
+    checkpoint.manifestFileId = saveBackupManifest_(
+      backupFolder,
+      props,
+      checkpoint.savedFiles,
+      checkpoint.timestamp,
+    );
+  }
+
+  if (checkpoint.chain) {
+    finishBackupChain_(
+      backupFolder,
+      profile,
+      job.id,
+      checkpoint.chain,
+      checkpoint.manifestFileId || checkpoint.savedFiles[0].fileId,
+      checkpoint.savedFiles
+        .map((saved) => saved.fileId)
+        .concat(checkpoint.manifestFileId ? [checkpoint.manifestFileId] : []),
+    );
+  }
+
+  Logger.log("SAVING PHASE: File created successfully.");
+  checkpoint.savedFiles.forEach((saved) => {
+    Logger.log(
+      `✅ Backup created successfully: ${saved.fileName} with ${
+        saved.documentCount
+      } records in folder: ${backupFolder.getName()}.`,
+    );
+  });
+
+  job.result = {
+    profile: profile.name,
+    documentCount: checkpoint.documentCount,
+    files: checkpoint.savedFiles,
+    manifestFileId: checkpoint.manifestFileId || null,
+    backupType: checkpoint.chain ? checkpoint.chain.type : "full",
+  };
+
+  // 3. PRUNING PHASE (scheduled backups): a failure here must not fail the backup itself
+  if (job.params.prune) {
+    try {
+      job.result.prunedCount = pruneProfileBackups_(profile.name).pruned.length;
+    } catch (e) {
+      Logger.log(`❌ RETENTION ERROR: ${e.toString()}`);
+      job.result.pruneError = e.message;
     }
+  }
+  return true;
+}
+
+/**
+ * Gets the backup folder of a job, turning Drive authorization problems into a clear error.
+ * @param {object} props Object containing backup_folder_id.
+ * @returns {DriveApp.Folder} The backup folder.
+ */
+function getBackupJobFolder_(props) {
+  try {
+    // Get or create the backup folder. We pass both the name and the optional ID.
+    return getOrCreateFolder_(DRIVE_FOLDER_NAME, props.backup_folder_id);
+  } catch (e) {
+    // We catch Drive errors, which now should only be due to permissions or server errors
+    if (e.message && e.message.includes("Authorization is required")) {
+      Logger.log(
+        `❌ CRITICAL AUTHORIZATION ERROR: The script needs permission to access and/or create folders in Google Drive. Please perform RE-AUTHORIZATION.`,
+      );
+    } else {
+      Logger.log(`❌ ERROR SAVING TO DRIVE: ${e.toString()}`);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Main function to perform the backup with Pagination.
+ * The backup runs as a resumable job (see Jobs.js): if it does not finish within
+ * the time budget, it continues automatically in a later execution.
+ * @param {string} [profileName] Optional: Name of the backup profile to run (see Profiles.js). Defaults to the "default" profile.
+ * @param {object} [options] Optional: {
+ *   prune: true to apply the retention policy when the backup is done (see Retention.js),
+ *   full: true to start a new chain with a full backup (incremental profiles, see Incremental.js),
+ *   trigger: What started the run, for the run history ('web', 'schedule', 'trigger' or 'editor', the default)
+ * }
+ * @returns {object} The job summary ({ id, state, progress, result, error, ... }). A failed backup has state 'failed' and its error.
+ */
+function backupFirestoreToDrivePaginated(profileName, options) {
+  options = options || {};
+  authorizeAction_(
+    ACCESS_ROLE_OPERATOR,
+    "backup",
+    profileName || DEFAULT_PROFILE_NAME,
+    { prune: !!options.prune, full: !!options.full },
+  );
+  return startBackup_(profileName, options);
+}
+
+/**
+ * Starts a backup job without checking the role of the user, for the schedule triggers
+ * (the trailing underscore keeps it out of google.script.run).
+ * @param {string} [profileName] Optional: Name of the backup profile to run. Defaults to the "default" profile.
+ * @param {object} options See backupFirestoreToDrivePaginated.
+ * @returns {object} The job summary.
+ */
+function startBackup_(profileName, options) {
+  // Validate the profile before creating the job (might throw if the configuration is invalid)
+  let profile;
+  try {
+    profile = getBackupProfile_(profileName);
   } catch (e) {
-    // This will catch errors from Authentication, UrlFetchApp, Firestore API, or JSON.parse
     Logger.log(`❌ FINAL ERROR: ${e.toString()}`);
+    recordFailedRun_(
+      "backup",
+      profileName || DEFAULT_PROFILE_NAME,
+      options.trigger,
+      e.message,
+    );
+    throw e;
   }
+
+  const job = createJob_("backup", {
+    profileName: profile.name,
+    prune: !!options.prune,
+    full: !!options.full,
+    trigger: options.trigger || "editor",
+  });
+  const finishedJob = runJob_(job.id);
+
+  if (finishedJob.state === JOB_STATE_FAILED) {
+    // This will catch errors from Authentication, UrlFetchApp, Firestore API, Drive or JSON.parse
+    Logger.log(`❌ FINAL ERROR: ${finishedJob.error}`);
+  }
+
+  return summarizeJob_(finishedJob);
 }
 
 // -------------------------------------------------------------
 // Compatibility function to run from the editor (Run this one!)
+// When called by a trigger, the first argument is the event object: the profile of the schedule
+// is used (see Schedules.js), or the default profile for triggers created in the editor. The
+// trigger runs as its owner, who needs the operator role, and the old backups are pruned once
+// the backup is done when the owner is an admin.
 // -------------------------------------------------------------
-function backupFirestoreToDriveSimple() {
-  backupFirestoreToDrivePaginated();
+function backupFirestoreToDriveSimple(profileName) {
+  if (!profileName || typeof profileName === "string") {
+    return backupFirestoreToDrivePaginated(profileName);
+  }
+
+  const triggerUid = profileName.triggerUid;
+  const schedule = triggerUid ? getScheduleForTrigger_(triggerUid) : null;
+  const trigger = schedule ? "schedule" : "trigger";
+  const user = authorizeAction_(
+    ACCESS_ROLE_OPERATOR,
+    "backup",
+    schedule ? schedule.profileName : DEFAULT_PROFILE_NAME,
+    { trigger: trigger },
+  );
+  const summary = startBackup_(schedule ? schedule.profileName : undefined, {
+    prune: hasAccessRole_(user.role, ACCESS_ROLE_ADMIN),
+    trigger: trigger,
+  });
+
+  if (schedule) recordScheduledRun_(triggerUid, summary);
+  return summary;
 }
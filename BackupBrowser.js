@@ -0,0 +1,188 @@
+/**
+ * Backup browser: inspect the contents of a backup from the web UI without downloading it.
+ *
+ * browseBackup reads a backup file from Drive (any format, incremental backups are
+ * rebuilt from their chain) and returns one page of its documents, with the type of
+ * every field, and statistics on the whole collection:
+ *
+ * {
+ *   "collection": "users",
+ *   "total": 1250,            // Documents matching the search (subcollections included)
+ *   "page": 0, "pageCount": 63,
+ *   "documents": [{ "id": "user123", "fields": [{ "name": "age", "type": "integer", "value": "42" }] }],
+ *   "stats": {
+ *     "documentCount": 1200, "subcollectionDocumentCount": 50,
+ *     "fields": [{ "name": "age", "count": 1180, "frequency": 98.3, "types": { "integer": 1180 } }]
+ *   }
+ * }
+ *
+ * The search matches the document IDs and the field values (case insensitive). The
+ * statistics describe the top-level documents of the collection, whatever the search.
+ */
+
+const BROWSER_PAGE_SIZE = 20; // Documents per page (default)
+const BROWSER_MAX_PAGE_SIZE = 100;
+const BROWSER_VALUE_LENGTH = 500; // Longer field values are truncated
+
+/**
+ * Gets the type of a typed Firestore value, as shown by the browser.
+ * @param {object} value The typed value (e.g. { integerValue: '42' }).
+ * @returns {string} The type name (e.g. 'integer', 'map').
+ */
+function getFieldTypeName_(value) {
+  const type = Object.keys(value || {})[0];
+  return type ? type.replace(/Value$/, "") : "unknown";
+}
+
+/**
+ * Lists the documents of a backup that contain a text.
+ * @param {object} backup The resolved backup ({ collection, documents }).
+ * @param {string} [text] Optional: Text to find in the document IDs and field values (case insensitive). Empty lists every document.
+ * @returns {Array<object>} The matching documents: [{ id (relative to the collection), fields, summary (the plain values as JSON) }].
+ */
+function findBackupDocuments_(backup, text) {
+  const collection = backup.collection || "backup";
+  const search = String(text || "")
+    .trim()
+    .toLowerCase();
+
+  return flattenBackupDocuments_(backup.documents, collection)
+    .map((doc) => {
+      const plain = {};
+      for (const name in doc.fields) {
+        plain[name] = extractFieldValue_(doc.fields[name]);
+      }
+      return {
+        id: doc.path.substring(collection.length + 1),
+        fields: doc.fields,
+        summary: JSON.stringify(plain),
+      };
+    })
+    .filter(
+      (doc) =>
+        !search ||
+        doc.id.toLowerCase().indexOf(search) !== -1 ||
+        doc.summary.toLowerCase().indexOf(search) !== -1,
+    );
+}
+
+/**
+ * Computes the statistics of the top-level documents of a backup: document count,
+ * and for each top-level field how many documents have it and with which types.
+ * @param {object} backup The resolved backup ({ documents }).
+ * @returns {object} { documentCount, subcollectionDocumentCount, fields: [{ name, count, frequency (percent), types: { type: count } }] }, the most frequent fields first.
+ */
+function buildBackupStatistics_(backup) {
+  const documents = backup.documents.filter(
+    (entry) => !entry.deleted && !entry.missing,
+  );
+  const allDocuments = flattenBackupDocuments_(backup.documents, "backup");
+  const fields = {};
+
+  documents.forEach((entry) => {
+    for (const name in entry.fields) {
+      const field = (fields[name] = fields[name] || {
+        name: name,
+        count: 0,
+        types: {},
+      });
+      const type = getFieldTypeName_(entry.fields[name]);
+
+      field.count++;
+      field.types[type] = (field.types[type] || 0) + 1;
+    }
+  });
+
+  return {
+    documentCount: documents.length,
+    subcollectionDocumentCount: allDocuments.length - documents.length,
+    fields: Object.keys(fields)
+      .map((name) =>
+        Object.assign(fields[name], {
+          frequency:
+            Math.round((fields[name].count / documents.length) * 1000) / 10,
+        }),
+      )
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * Reads one page of the documents of a backup for the web UI.
+ * The backup file is read again for each page, so large backups take a few seconds per page.
+ * @param {string} fileId The Drive File ID of the backup.
+ * @param {string} [sourceCollection] Optional: Collection to pick from archive/manifest backups.
+ * @param {object} [options] Optional: { page (from 0), pageSize (default BROWSER_PAGE_SIZE), search (text to find) }.
+ * @returns {object} { fileId, collection, header: { formatVersion, project, profile, createdAt, subcollectionDepth, chain, query },
+ *   search, total, page, pageSize, pageCount, documents: [{ id, fields: [{ name, type, value }] }], stats (see buildBackupStatistics_) }.
+ */
+function browseBackup(fileId, sourceCollection, options) {
+  options = options || {};
+  authorizeAction_(ACCESS_ROLE_VIEWER, "browse", fileId, {
+    sourceCollection: sourceCollection || null,
+    search: options.search || null,
+  });
+  const pageSize = Math.min(
+    Math.max(parseInt(options.pageSize, 10) || BROWSER_PAGE_SIZE, 1),
+    BROWSER_MAX_PAGE_SIZE,
+  );
+
+  const backup = readBackupCollection_(fileId, sourceCollection);
+  const matches = findBackupDocuments_(backup, options.search);
+  const pageCount = Math.max(Math.ceil(matches.length / pageSize), 1);
+  const page = Math.min(
+    Math.max(parseInt(options.page, 10) || 0, 0),
+    pageCount - 1,
+  );
+
+  const header = backup.header;
+  const chain = header.chain;
+
+  return {
+    fileId: fileId,
+    collection: backup.collection,
+    header: {
+      formatVersion: header.formatVersion,
+      project: header.project || null,
+      database: header.database || DEFAULT_DATABASE_ID,
+      profile: header.profile || null,
+      createdAt: header.createdAt || null,
+      subcollectionDepth: header.subcollectionDepth || 0,
+      chain: chain
+        ? chain.type === "full"
+          ? "full"
+          : `incremental #${chain.sequence}`
+        : null,
+      query: header.query ? describeBackupQuery_(header.query) : null,
+    },
+    search: options.search || "",
+    total: matches.length,
+    page: page,
+    pageSize: pageSize,
+    pageCount: pageCount,
+    documents: matches
+      .slice(page * pageSize, (page + 1) * pageSize)
+      .map((doc) => ({
+        id: doc.id,
+        fields: Object.keys(doc.fields)
+          .sort()
+          .map((name) => {
+            const type = getFieldTypeName_(doc.fields[name]);
+            // Integers are stored as strings by Firestore, but read better as numbers
+            const value =
+              type === "integer"
+                ? doc.fields[name].integerValue
+                : JSON.stringify(extractFieldValue_(doc.fields[name]));
+            return {
+              name: name,
+              type: type,
+              value:
+                value.length > BROWSER_VALUE_LENGTH
+                  ? `${value.slice(0, BROWSER_VALUE_LENGTH)}...`
+                  : value,
+            };
+          }),
+      })),
+    stats: buildBackupStatistics_(backup),
+  };
+}
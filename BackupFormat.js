@@ -0,0 +1,437 @@
+/**
+ * Backup file format helpers shared by the backup and restore code.
+ *
+ * FORMAT VERSION 2 (typed, current):
+ * {
+ *   "header": {
+ *     "formatVersion": 2,
+ *     "project": "my-project-12345",
+ *     "collection": "users",
+ *     "createdAt": "2024-01-31T10:00:00.000Z"
+ *   },
+ *   "documents": [
+ *     { "docId": "abc", "fields": { "age": { "integerValue": "42" } }, "createTime": "...", "updateTime": "..." }
+ *   ]
+ * }
+ *
+ * The "fields" object is stored exactly as returned by the Firestore REST API,
+ * so every value keeps its Firestore type (integerValue, referenceValue,
+ * geoPointValue, bytesValue, ...) and a restore sends back the very same data.
+ *
+ * When subcollections are backed up (SUBCOLLECTION_DEPTH > 0), each entry may
+ * contain a "subcollections" map with the nested entries, e.g.:
+ *   { "docId": "abc", "fields": {...}, "subcollections": { "orders": [ { "docId": "o1", ... } ] } }
+ * Documents that only exist as the parent of a subcollection are stored with
+ * "missing": true and are never written back on restore.
+ *
+ * ENCODINGS AND COMPRESSION:
+ * - "json" (default): the object above. It is pretty-printed unless the file is compressed.
+ * - "ndjson": one JSON value per line. The first line is { "header": {...} } with
+ *   header.encoding = "ndjson", then one document entry per line (archives use
+ *   { "collection": "users", "document": {...} } lines).
+ * Both can be gzip-compressed (".json.gz", ".ndjson.gz"). Backups larger than the
+ * chunk size are split into numbered parts (header.part / header.partCount) that
+ * are listed, in order, by a manifest file.
+ *
+ * Partial backups (profiles with a query) record it as header.query (see Queries.js).
+ * Backups of incremental profiles also have a header.chain object and may contain
+ * { "docId": "abc", "deleted": true } entries (see Incremental.js).
+ *
+ * FORMAT VERSION 1 (legacy): a plain array of untyped objects with a "docId" key.
+ * These files are still readable; their values are converted with
+ * formatToFirestoreField_, which can only guess the original types.
+ */
+
+const BACKUP_FORMAT_VERSION = 2;
+
+const BACKUP_KIND_COLLECTION = "collection";
+const BACKUP_KIND_ARCHIVE = "archive";
+const BACKUP_KIND_MANIFEST = "manifest";
+
+const BACKUP_ENCODINGS = ["json", "ndjson"];
+const BACKUP_COMPRESSIONS = ["none", "gzip"];
+
+/**
+ * Builds the header stored at the top of every backup file.
+ * @param {object} props Object containing firebase_project_id, collection_name and (optionally) the profile and the backup_chain of the run.
+ * @param {string} [collectionName] Optional: The backed up collection. Defaults to props.collection_name.
+ * @returns {object} The backup header.
+ */
+function buildBackupHeader_(props, collectionName) {
+  const header = {
+    formatVersion: BACKUP_FORMAT_VERSION,
+    kind: BACKUP_KIND_COLLECTION,
+    project: props.firebase_project_id,
+    database: props.firestore_database_id || DEFAULT_DATABASE_ID,
+    collection: collectionName || props.collection_name,
+    subcollectionDepth: props.subcollection_depth || 0,
+    createdAt: new Date().toISOString(),
+  };
+
+  if (props.profile) header.profile = props.profile.name;
+  if (props.profile && props.profile.query) header.query = props.profile.query;
+  if (props.backup_chain) header.chain = props.backup_chain;
+
+  return header;
+}
+
+/**
+ * Converts a document returned by the Firestore REST API into a backup entry,
+ * keeping the typed fields untouched.
+ * @param {object} doc Firestore document ({ name, fields, createTime, updateTime }).
+ * @returns {object} The backup entry ({ docId, fields, createTime, updateTime }).
+ */
+function createBackupDocument_(doc) {
+  const entry = {
+    docId: doc.name.split("/").pop(),
+    fields: doc.fields || {},
+    createTime: doc.createTime,
+    updateTime: doc.updateTime,
+  };
+
+  // "Missing" documents (returned with showMissing) have no timestamps
+  if (!doc.createTime) entry.missing = true;
+
+  return entry;
+}
+
+/**
+ * Flattens a tree of backup entries (with nested subcollections) into a list
+ * of documents with their full path relative to the database.
+ * "Missing" parent documents are skipped, but their subcollections are kept.
+ * Deleted entries of incremental backups are skipped (see Incremental.js).
+ * @param {Array<object>} entries The backup entries of a collection.
+ * @param {string} collectionPath Path of the collection the entries belong to (e.g. 'users').
+ * @returns {Array<object>} List of { path, fields } objects, parents before children.
+ */
+function flattenBackupDocuments_(entries, collectionPath) {
+  let flattened = [];
+
+  entries.forEach((entry) => {
+    if (entry.deleted) return;
+    const path = `${collectionPath}/${entry.docId}`;
+
+    if (!entry.missing) {
+      flattened.push({ path: path, fields: entry.fields });
+    }
+
+    if (entry.subcollections) {
+      for (const collectionId in entry.subcollections) {
+        flattened = flattened.concat(
+          flattenBackupDocuments_(
+            entry.subcollections[collectionId],
+            `${path}/${collectionId}`,
+          ),
+        );
+      }
+    }
+  });
+
+  return flattened;
+}
+
+/**
+ * Serializes a header and its documents into one or more backup file contents.
+ * The documents are split into parts when the content would exceed options.maxChars.
+ * @param {object} header The backup header (see buildBackupHeader_).
+ * @param {Array<object>} documents The backup entries (see createBackupDocument_).
+ * @param {object} options { encoding: 'json'|'ndjson', pretty: boolean, maxChars: number }.
+ * @returns {Array<object>} The parts, in order: [{ content, documents }] (documents: the entries saved in the part).
+ */
+function serializeBackupChunks_(header, documents, options) {
+  const lines = documents.map((entry) =>
+    options.pretty && options.encoding === "json"
+      ? JSON.stringify(entry, null, 2)
+      : JSON.stringify(entry),
+  );
+
+  // Group the serialized documents so each part stays under the size limit (at least one document per part)
+  const chunks = [[]];
+  let chunkChars = 0;
+  lines.forEach((line, index) => {
+    if (
+      chunkChars + line.length > options.maxChars &&
+      chunks[chunks.length - 1].length > 0
+    ) {
+      chunks.push([]);
+      chunkChars = 0;
+    }
+    chunks[chunks.length - 1].push(index);
+    chunkChars += line.length + 1;
+  });
+
+  return chunks.map((chunkIndexes, index) => {
+    const partHeader = Object.assign({}, header);
+    if (chunks.length > 1) {
+      partHeader.part = index + 1;
+      partHeader.partCount = chunks.length;
+    }
+
+    return {
+      content: joinBackupContent_(
+        partHeader,
+        "documents",
+        chunkIndexes.map((i) => lines[i]),
+        options,
+      ),
+      documents: chunkIndexes.map((i) => documents[i]),
+    };
+  });
+}
+
+/**
+ * Builds the content of a backup file from its header and its serialized lines.
+ * @param {object} header The backup header.
+ * @param {string} listName Name of the list in the JSON encoding ('documents').
+ * @param {Array<string>} lines The serialized entries.
+ * @param {object} options { encoding: 'json'|'ndjson', pretty: boolean }.
+ * @returns {string} The file content.
+ */
+function joinBackupContent_(header, listName, lines, options) {
+  if (options.encoding === "ndjson") {
+    const ndjsonHeader = Object.assign({}, header, { encoding: "ndjson" });
+    return [JSON.stringify({ header: ndjsonHeader })].concat(lines).join("\n");
+  }
+
+  const headerJson = options.pretty
+    ? JSON.stringify(header, null, 2)
+    : JSON.stringify(header);
+  return `{"header":${headerJson},"${listName}":[\n${lines.join(",\n")}\n]}`;
+}
+
+/**
+ * Serializes several collections into a single archive file.
+ * @param {object} header The backup header (see buildBackupHeader_).
+ * @param {object} collections Map of collection name to its backup entries.
+ * @param {object} options { encoding: 'json'|'ndjson', pretty: boolean }.
+ * @returns {string} The file content to be saved in Drive.
+ */
+function serializeArchive_(header, collections, options) {
+  const archiveHeader = Object.assign({}, header, {
+    kind: BACKUP_KIND_ARCHIVE,
+    collections: Object.keys(collections),
+  });
+  delete archiveHeader.collection;
+
+  if (options.encoding === "ndjson") {
+    const lines = [];
+    for (const collectionName in collections) {
+      collections[collectionName].forEach((entry) => {
+        lines.push(
+          JSON.stringify({ collection: collectionName, document: entry }),
+        );
+      });
+    }
+    return joinBackupContent_(archiveHeader, null, lines, options);
+  }
+
+  return JSON.stringify(
+    { header: archiveHeader, collections: collections },
+    null,
+    options.pretty ? 2 : undefined,
+  );
+}
+
+/**
+ * Serializes the manifest that ties together the per-collection files of a run.
+ * @param {object} header The backup header (see buildBackupHeader_).
+ * @param {Array<object>} files The saved files ({ collection, fileId, fileName, documentCount }).
+ * @returns {string} The JSON content to be saved in Drive.
+ */
+function serializeManifest_(header, files) {
+  const manifestHeader = Object.assign({}, header, {
+    kind: BACKUP_KIND_MANIFEST,
+    collections: files
+      .map((file) => file.collection)
+      .filter((name, index, names) => names.indexOf(name) === index),
+  });
+  delete manifestHeader.collection;
+
+  return JSON.stringify({ header: manifestHeader, files: files }, null, 2);
+}
+
+/**
+ * Parses the content of a backup file of any supported format version.
+ * Legacy (version 1) files are converted to typed entries so callers
+ * only have to deal with the current format.
+ * @param {string} content The raw file content.
+ * @returns {object} Object with the header and, depending on header.kind,
+ *   the typed documents, the archived collections or the manifest files.
+ */
+function parseBackupContent_(content) {
+  // NDJSON: the first line holds the header with encoding 'ndjson'
+  const firstLineEnd = content.indexOf("\n");
+  if (firstLineEnd !== -1) {
+    let firstLine = null;
+    try {
+      firstLine = JSON.parse(content.substring(0, firstLineEnd));
+    } catch (e) {
+      // Not NDJSON (e.g. a pretty-printed JSON file starts with '{' alone)
+    }
+    if (
+      firstLine &&
+      firstLine.header &&
+      firstLine.header.encoding === "ndjson"
+    ) {
+      return parseNdjsonBackup_(content);
+    }
+  }
+
+  const data = JSON.parse(content);
+
+  // Legacy format: a bare array of untyped documents
+  if (Array.isArray(data)) {
+    Logger.log(
+      "FORMAT: Legacy (version 1) backup detected. Field types will be inferred from the values.",
+    );
+    return {
+      header: { formatVersion: 1, kind: BACKUP_KIND_COLLECTION },
+      documents: data.map(legacyDocumentToTyped_),
+    };
+  }
+
+  if (!data || !data.header) {
+    throw new Error("Unrecognized backup file format.");
+  }
+
+  if (data.header.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error(
+      `Backup format version ${data.header.formatVersion} is newer than the supported version (${BACKUP_FORMAT_VERSION}).`,
+    );
+  }
+
+  const header = data.header;
+  header.kind = header.kind || BACKUP_KIND_COLLECTION;
+
+  if (header.kind === BACKUP_KIND_ARCHIVE && data.collections) {
+    return { header: header, collections: data.collections };
+  }
+  if (header.kind === BACKUP_KIND_MANIFEST && Array.isArray(data.files)) {
+    return { header: header, files: data.files };
+  }
+  if (header.kind === BACKUP_KIND_COLLECTION && Array.isArray(data.documents)) {
+    return { header: header, documents: data.documents };
+  }
+
+  throw new Error("Unrecognized backup file format.");
+}
+
+/**
+ * Parses an NDJSON backup file (see the format description at the top of this file).
+ * @param {string} content The raw file content.
+ * @returns {object} Object with the header and the typed documents, or the archived collections.
+ */
+function parseNdjsonBackup_(content) {
+  const lines = content.split("\n").filter((line) => line.trim().length > 0);
+  const header = JSON.parse(lines[0]).header;
+  header.kind = header.kind || BACKUP_KIND_COLLECTION;
+
+  if (header.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error(
+      `Backup format version ${header.formatVersion} is newer than the supported version (${BACKUP_FORMAT_VERSION}).`,
+    );
+  }
+
+  if (header.kind === BACKUP_KIND_ARCHIVE) {
+    const collections = {};
+    (header.collections || []).forEach((collectionName) => {
+      collections[collectionName] = [];
+    });
+    lines.slice(1).forEach((line) => {
+      const item = JSON.parse(line);
+      (collections[item.collection] = collections[item.collection] || []).push(
+        item.document,
+      );
+    });
+    return { header: header, collections: collections };
+  }
+
+  return {
+    header: header,
+    documents: lines.slice(1).map((line) => JSON.parse(line)),
+  };
+}
+
+/**
+ * Gets the documents of one collection from a parsed backup of any kind.
+ * Archives and manifests can hold several collections: the requested one is used
+ * if present, otherwise the backup must contain a single collection.
+ * @param {object} backup The parsed backup (see parseBackupContent_).
+ * @param {string} [collectionName] Optional: The source collection to pick from archives and manifests.
+ * @returns {object} Object with the header, the collection name and its typed documents.
+ */
+function resolveBackupCollection_(backup, collectionName) {
+  if (backup.header.kind === BACKUP_KIND_COLLECTION) {
+    return {
+      header: backup.header,
+      collection: backup.header.collection,
+      documents: backup.documents,
+    };
+  }
+
+  const available =
+    backup.header.kind === BACKUP_KIND_ARCHIVE
+      ? Object.keys(backup.collections)
+      : backup.files
+          .map((file) => file.collection)
+          .filter((name, index, names) => names.indexOf(name) === index);
+
+  let selected;
+  if (collectionName && available.indexOf(collectionName) !== -1) {
+    selected = collectionName;
+  } else if (available.length === 1) {
+    selected = available[0];
+  } else {
+    throw new Error(
+      `The backup contains several collections (${available.join(", ")}). Choose the source collection.`,
+    );
+  }
+
+  if (backup.header.kind === BACKUP_KIND_ARCHIVE) {
+    return {
+      header: backup.header,
+      collection: selected,
+      documents: backup.collections[selected],
+    };
+  }
+
+  // Manifest: read the file of the selected collection (or all its parts, in order)
+  const fileEntries = backup.files
+    .filter((file) => file.collection === selected)
+    .sort((a, b) => (a.part || 0) - (b.part || 0));
+
+  let resolved = null;
+  fileEntries.forEach((fileEntry) => {
+    Logger.log(
+      `FORMAT: Manifest detected. Reading file ${fileEntry.fileName} for collection ${selected}.`,
+    );
+    const part = resolveBackupCollection_(
+      readBackupFile_(fileEntry.fileId),
+      selected,
+    );
+
+    if (!resolved) {
+      resolved = part;
+      delete resolved.header.part;
+      delete resolved.header.partCount;
+    } else {
+      resolved.documents = resolved.documents.concat(part.documents);
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Converts a legacy (version 1) untyped document into a typed backup entry.
+ * @param {object} docData Plain object with the document values and its docId.
+ * @returns {object} The typed backup entry ({ docId, fields }).
+ */
+function legacyDocumentToTyped_(docData) {
+  const fields = {};
+  for (const key in docData) {
+    if (docData.hasOwnProperty(key) && key !== "docId") {
+      fields[key] = formatToFirestoreField_(docData[key]);
+    }
+  }
+  return { docId: docData.docId, fields: fields };
+}
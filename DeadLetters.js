@@ -0,0 +1,222 @@
+/**
+ * Dead-letter files of the restores.
+ *
+ * The writes of a restore that still fail after all the retries (see Http.js and
+ * executeBatchWrites_) are saved next to the backup file, in "<job id>.dead-letter.json":
+ *
+ * {
+ *   "kind": "firestore_dead_letter",
+ *   "jobId": "restore-1a2b3c4d5e6f",
+ *   "projectId": "my-project-12345",   // Where the writes go
+ *   "serviceAccount": "default",
+ *   "endpoint": { "database_id", "api_url", "emulator" },
+ *   "updatedAt": "2024-01-01T00:00:00.000Z",
+ *   "writes": [{ "path": "users/u1", "write": { ... }, "error": "..." }]
+ * }
+ *
+ * The writes are stored as they were sent, so a dead-letter file can be re-run later
+ * (retryDeadLetterFile) without the backup. The writes that succeed are removed from
+ * the file, and the file is trashed once it is empty. Dead-letter files are kept when
+ * the old restore jobs are cleaned up.
+ *
+ * The writes hold whole documents: when BACKUP_ENCRYPTION_KEY_VERSION is set, the file is
+ * encrypted with that key like the backups (see Encryption.js), whatever the source backup.
+ */
+
+const DEAD_LETTER_KIND = "firestore_dead_letter";
+const DEAD_LETTER_FILE_SUFFIX = ".dead-letter.json";
+
+/**
+ * Builds the name of the dead-letter file of a restore job.
+ * @param {string} jobId The job ID.
+ * @returns {string} The file name.
+ */
+function getDeadLetterFileName_(jobId) {
+  return `${jobId}${DEAD_LETTER_FILE_SUFFIX}`;
+}
+
+/**
+ * Serializes a dead-letter file, encrypted with the active backup key if there is one.
+ * @param {object} deadLetter The dead-letter content (see the top of this file).
+ * @returns {string} The file content.
+ */
+function serializeDeadLetter_(deadLetter) {
+  const json = JSON.stringify(deadLetter);
+  const keyVersion = PropertiesService.getScriptProperties().getProperty(
+    "BACKUP_ENCRYPTION_KEY_VERSION",
+  );
+  return keyVersion
+    ? encryptBackupBytes_(Utilities.newBlob(json).getBytes(), keyVersion)
+    : json;
+}
+
+/**
+ * Adds the failed writes of a restore round to the dead-letter file of the job
+ * (created on the first failure). A write already in the file is replaced, so a
+ * round sent again after an interrupted step is not saved twice.
+ * @param {object} job The restore job record (checkpoint.deadLetterFileId and deadLetterCount are updated).
+ * @param {GoogleAppsScript.Drive.Folder} folder The folder of the backup file.
+ * @param {Array<object>} writes The writes of the round ({ path, write }).
+ * @param {Array<object>} results Their results ({ path, success, error }, see executeBatchWrites_).
+ * @returns {number} The number of writes added.
+ */
+function saveDeadLetters_(job, folder, writes, results) {
+  const failed = [];
+  results.forEach((result, index) => {
+    if (!result.success) {
+      failed.push({
+        path: result.path,
+        write: writes[index].write,
+        error: result.error,
+      });
+    }
+  });
+  if (failed.length === 0) return 0;
+
+  const checkpoint = job.checkpoint;
+  let deadLetter;
+  let file = null;
+  if (checkpoint.deadLetterFileId) {
+    file = DriveApp.getFileById(checkpoint.deadLetterFileId);
+    deadLetter = readDeadLetterFile_(file);
+  } else {
+    deadLetter = {
+      kind: DEAD_LETTER_KIND,
+      jobId: job.id,
+      projectId: job.params.projectId,
+      serviceAccount: job.params.serviceAccount || null,
+      endpoint: job.params.endpoint || null,
+      writes: [],
+    };
+  }
+
+  const failedPaths = {};
+  failed.forEach((item) => {
+    failedPaths[item.path] = true;
+  });
+  deadLetter.writes = deadLetter.writes
+    .filter((item) => !failedPaths[item.path])
+    .concat(failed);
+  deadLetter.updatedAt = new Date().toISOString();
+
+  const content = serializeDeadLetter_(deadLetter);
+  if (file) {
+    file.setContent(content);
+  } else {
+    file = folder.createFile(
+      getDeadLetterFileName_(job.id),
+      content,
+      "application/json",
+    );
+    checkpoint.deadLetterFileId = file.getId();
+  }
+  checkpoint.deadLetterCount = deadLetter.writes.length;
+
+  Logger.log(
+    `PHASE 2: ${failed.length} failed writes saved to the dead-letter file ${file.getName()}.`,
+  );
+  return failed.length;
+}
+
+/**
+ * Reads a dead-letter file (decrypted if it is encrypted).
+ * @param {GoogleAppsScript.Drive.File} file The dead-letter file.
+ * @returns {object} The dead-letter content (see the top of this file).
+ */
+function readDeadLetterFile_(file) {
+  // Encrypted files: check the HMAC and decrypt (throws for a modified file or a wrong key)
+  let content = file.getBlob().getDataAsString();
+  if (isEncryptedBackupContent_(content)) {
+    content = Utilities.newBlob(
+      decryptBackupContent_(content),
+    ).getDataAsString();
+  }
+
+  let deadLetter;
+  try {
+    deadLetter = JSON.parse(content);
+  } catch (e) {
+    deadLetter = null;
+  }
+  if (!deadLetter || deadLetter.kind !== DEAD_LETTER_KIND) {
+    throw new Error(`The file '${file.getName()}' is not a dead-letter file.`);
+  }
+  return deadLetter;
+}
+
+/**
+ * Sends the writes of a dead-letter file again, in rounds, until all are sent or the
+ * execution time budget is used. The file keeps the writes that failed again or were
+ * not sent yet (run it again to continue), and is trashed once empty.
+ * @param {string} fileId The Drive ID of the dead-letter file.
+ * @returns {object} { message, successCount, failureCount, remainingCount, fileId (null once the file is trashed) }.
+ */
+function retryDeadLetterFile(fileId) {
+  authorizeAction_(ACCESS_ROLE_ADMIN, "dead_letter.retry", fileId);
+  const deadline = Date.now() + JOB_TIME_BUDGET_MS;
+  const file = DriveApp.getFileById(fileId);
+  if (file.isTrashed()) {
+    throw new Error(
+      `The dead-letter file '${file.getName()}' was already retried in full.`,
+    );
+  }
+  const deadLetter = readDeadLetterFile_(file);
+
+  const props = getProjectProperties_();
+  props.firebase_project_id = deadLetter.projectId;
+  if (deadLetter.endpoint) applyFirestoreEndpoint_(props, deadLetter.endpoint);
+  applyServiceAccount_(props, deadLetter.serviceAccount);
+  const accessToken = getFirestoreAccessToken_(props);
+
+  Logger.log(
+    `PHASE 2: Retrying ${deadLetter.writes.length} writes of ${file.getName()}...`,
+  );
+  const roundSize = BATCH_WRITE_SIZE * PARALLEL_REQUESTS;
+  let remaining = [];
+  let successCount = 0;
+  let failureCount = 0;
+
+  for (let i = 0; i < deadLetter.writes.length; i += roundSize) {
+    const round = deadLetter.writes.slice(i, i + roundSize);
+    if (Date.now() > deadline) {
+      remaining = remaining.concat(deadLetter.writes.slice(i));
+      break;
+    }
+
+    const results = executeBatchWrites_(props, accessToken, round);
+    results.forEach((result, index) => {
+      if (result.success) {
+        successCount++;
+      } else {
+        failureCount++;
+        remaining.push(
+          Object.assign({}, round[index], { error: result.error }),
+        );
+      }
+    });
+  }
+
+  if (remaining.length === 0) {
+    file.setTrashed(true);
+  } else {
+    deadLetter.writes = remaining;
+    deadLetter.updatedAt = new Date().toISOString();
+    file.setContent(serializeDeadLetter_(deadLetter));
+  }
+
+  const message =
+    `Dead-letter retry: ${successCount} writes succeeded, ${failureCount} failed again` +
+    (remaining.length > failureCount
+      ? `, ${remaining.length - failureCount} not sent yet (run it again to continue).`
+      : ".") +
+    (remaining.length === 0 ? " The dead-letter file was trashed." : "");
+  Logger.log(message);
+
+  return {
+    message: message,
+    successCount: successCount,
+    failureCount: failureCount,
+    remainingCount: remaining.length,
+    fileId: remaining.length === 0 ? null : fileId,
+  };
+}
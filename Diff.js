@@ -0,0 +1,384 @@
+/**
+ * Field-level comparison of Firestore documents.
+ *
+ * Documents are compared in their typed REST format (e.g. { integerValue: "42" }),
+ * so a change of type (integer 42 vs string "42") is reported as a modification.
+ * Maps are compared field by field and reported with dotted paths (e.g. 'address.city').
+ *
+ * Diff reports compare a backup with the live collection (or with another backup) and
+ * list the added, removed and modified documents. They can be exported next to the
+ * backup as "<backup name>.diff-<timestamp>.json" or ".html".
+ */
+
+const DIFF_UI_DOCUMENT_LIMIT = 100; // Documents per list (added/removed/modified) sent to the web UI
+
+/**
+ * Serializes a value with its object keys sorted, so equal values always give the same string.
+ * @param {*} value Any JSON value.
+ * @returns {string} The canonical JSON string.
+ */
+function canonicalJson_(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson_).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson_(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Checks if two typed Firestore values are equal (map key order is ignored).
+ * @param {object} a First Firestore value.
+ * @param {object} b Second Firestore value.
+ * @returns {boolean} True if both values are equal.
+ */
+function firestoreValuesEqual_(a, b) {
+  return canonicalJson_(a) === canonicalJson_(b);
+}
+
+/**
+ * Compares the fields of two versions of a document.
+ * @param {object} beforeFields Typed fields of the old version ({} if the document does not exist).
+ * @param {object} afterFields Typed fields of the new version ({} if the document does not exist).
+ * @param {string} [prefix] Optional: Path prefix for nested maps (used by the recursion).
+ * @returns {Array<object>} The differences: { field, change: 'added'|'removed'|'modified', before, after }.
+ */
+function diffDocumentFields_(beforeFields, afterFields, prefix) {
+  const before = beforeFields || {};
+  const after = afterFields || {};
+  const changes = [];
+
+  const keys = Object.keys(before);
+  Object.keys(after).forEach((key) => {
+    if (!before.hasOwnProperty(key)) keys.push(key);
+  });
+
+  keys.sort().forEach((key) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const hasBefore = before.hasOwnProperty(key);
+    const hasAfter = after.hasOwnProperty(key);
+
+    if (!hasBefore) {
+      changes.push({ field: field, change: "added", after: after[key] });
+    } else if (!hasAfter) {
+      changes.push({ field: field, change: "removed", before: before[key] });
+    } else if (!firestoreValuesEqual_(before[key], after[key])) {
+      // Both are maps: report the differences of the nested fields
+      if (before[key].mapValue && after[key].mapValue) {
+        Array.prototype.push.apply(
+          changes,
+          diffDocumentFields_(
+            before[key].mapValue.fields,
+            after[key].mapValue.fields,
+            field,
+          ),
+        );
+      } else {
+        changes.push({
+          field: field,
+          change: "modified",
+          before: before[key],
+          after: after[key],
+        });
+      }
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compares two sets of documents, keyed by their path relative to the collection.
+ * @param {object} beforeDocuments Map of relative path -> typed fields (e.g. the backup).
+ * @param {object} afterDocuments Map of relative path -> typed fields (e.g. the live collection).
+ * @returns {object} { added, removed, modified: [{ path, changes }], unchangedCount }.
+ */
+function diffDocumentSets_(beforeDocuments, afterDocuments) {
+  const result = { added: [], removed: [], modified: [], unchangedCount: 0 };
+
+  Object.keys(beforeDocuments)
+    .sort()
+    .forEach((path) => {
+      if (!afterDocuments.hasOwnProperty(path)) {
+        result.removed.push({
+          path: path,
+          changes: diffDocumentFields_(beforeDocuments[path], {}),
+        });
+        return;
+      }
+
+      const changes = diffDocumentFields_(
+        beforeDocuments[path],
+        afterDocuments[path],
+      );
+      if (changes.length > 0) {
+        result.modified.push({ path: path, changes: changes });
+      } else {
+        result.unchangedCount++;
+      }
+    });
+
+  Object.keys(afterDocuments)
+    .sort()
+    .forEach((path) => {
+      if (!beforeDocuments.hasOwnProperty(path)) {
+        result.added.push({
+          path: path,
+          changes: diffDocumentFields_({}, afterDocuments[path]),
+        });
+      }
+    });
+
+  return result;
+}
+
+/**
+ * Indexes flattened documents by their path relative to the collection (e.g. 'users/a/orders/1' -> 'a/orders/1'),
+ * so collections with different names can be compared.
+ * @param {Array<object>} documents The documents ({ path, fields }).
+ * @param {string} collectionPath The path of the collection the documents belong to.
+ * @returns {object} Map of relative path -> typed fields.
+ */
+function indexDocumentsByRelativePath_(documents, collectionPath) {
+  const index = {};
+  documents.forEach((doc) => {
+    index[doc.path.substring(collectionPath.length + 1)] = doc.fields;
+  });
+  return index;
+}
+
+/**
+ * Reads one collection of a backup file, ready to be compared (incremental backups are
+ * rebuilt from their chain, see readBackupCollection_).
+ * @param {string} fileId The Drive File ID of the backup.
+ * @param {string} [sourceCollection] Optional: Collection to pick from archive/manifest backups.
+ * @returns {object} { label, fileId, collection, database, createdAt, subcollectionDepth, query (of a partial backup, or null), documents (map of relative path -> fields) }.
+ */
+function readDiffSide_(fileId, sourceCollection) {
+  const backup = readBackupCollection_(fileId, sourceCollection);
+  const collection = backup.collection || "backup";
+
+  return {
+    label: DriveApp.getFileById(fileId).getName(),
+    fileId: fileId,
+    collection: collection,
+    database: backup.header.database || DEFAULT_DATABASE_ID,
+    createdAt: backup.header.createdAt || null,
+    subcollectionDepth: backup.header.subcollectionDepth || 0,
+    query: backup.header.query || null,
+    documents: indexDocumentsByRelativePath_(
+      flattenBackupDocuments_(backup.documents, collection),
+      collection,
+    ),
+  };
+}
+
+/**
+ * Builds a diff report between a backup and the live collection, or between two backups.
+ * @param {object} request {
+ *   fileId: Backup file (the "before" side),
+ *   compareFileId: Optional second backup file (the "after" side). If empty, the live collection is used,
+ *   projectId, collectionName: Live collection to compare with (default: the source collection of the backup),
+ *   sourceCollection: Optional collection to pick from archive/manifest backups,
+ *   serviceAccount: Optional service account to read the live collection (default: the account of the project, see ServiceAccounts.js),
+ *   databaseId, apiUrl, emulator: Optional Firestore endpoint of the live collection (default: the database of the backup, see normalizeFirestoreEndpoint_)
+ * }
+ * @returns {object} The report: { before, after, collection, generatedAt, summary: { added, removed, modified, unchanged }, added, removed, modified }.
+ */
+function buildDiffReport_(request) {
+  Logger.log(`DIFF: Reading backup ${request.fileId}...`);
+  const before = readDiffSide_(request.fileId, request.sourceCollection);
+  let after;
+
+  if (request.compareFileId) {
+    Logger.log(`DIFF: Reading backup ${request.compareFileId}...`);
+    after = readDiffSide_(request.compareFileId, request.sourceCollection);
+  } else {
+    const props = getProjectProperties_();
+    if (request.projectId) props.firebase_project_id = request.projectId;
+    props.firestore_database_id = before.database;
+    applyFirestoreEndpoint_(
+      props,
+      normalizeFirestoreEndpoint_(
+        {
+          database_id: request.databaseId,
+          api_url: request.apiUrl,
+          emulator: request.emulator,
+        },
+        "The comparison",
+      ),
+    );
+    applyServiceAccount_(props, request.serviceAccount);
+    props.subcollection_depth = before.subcollectionDepth;
+    const collectionName = request.collectionName || before.collection;
+
+    Logger.log(
+      `DIFF: Reading live collection '${collectionName}' of project ${props.firebase_project_id}...`,
+    );
+    const accessToken = getFirestoreAccessToken_(props);
+
+    // A partial backup is compared with the live documents that match its query
+    const liveDocuments = before.query
+      ? flattenBackupDocuments_(
+          fetchQueryEntries_(props, accessToken, before.query, collectionName),
+          collectionName,
+        )
+      : fetchLiveDocuments_(props, accessToken, collectionName);
+    after = {
+      label: `Live collection '${collectionName}' (${props.firebase_project_id}${props.firestore_database_id !== DEFAULT_DATABASE_ID ? `/${props.firestore_database_id}` : ""})${before.query ? `, ${describeBackupQuery_(before.query)}` : ""}`,
+      fileId: null,
+      collection: collectionName,
+      createdAt: new Date().toISOString(),
+      documents: indexDocumentsByRelativePath_(liveDocuments, collectionName),
+    };
+  }
+
+  const diff = diffDocumentSets_(before.documents, after.documents);
+  const report = {
+    before: {
+      label: before.label,
+      fileId: before.fileId,
+      createdAt: before.createdAt,
+      query: before.query,
+    },
+    after: {
+      label: after.label,
+      fileId: after.fileId,
+      createdAt: after.createdAt,
+    },
+    collection: after.collection,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      modified: diff.modified.length,
+      unchanged: diff.unchangedCount,
+    },
+    added: diff.added,
+    removed: diff.removed,
+    modified: diff.modified,
+  };
+
+  Logger.log(
+    `DIFF: ${report.summary.added} added, ${report.summary.removed} removed, ${report.summary.modified} modified, ${report.summary.unchanged} unchanged.`,
+  );
+  return report;
+}
+
+/**
+ * Web UI entry point: builds a diff report (see buildDiffReport_). The document
+ * lists are cut to DIFF_UI_DOCUMENT_LIMIT; the exported report always has all of them.
+ * @param {object} request The diff request (see buildDiffReport_).
+ * @returns {object} The report, with truncated: true if some documents are not listed.
+ */
+function getDiffReport(request) {
+  authorizeAction_(ACCESS_ROLE_OPERATOR, "diff", request.fileId, request);
+  const report = buildDiffReport_(request);
+
+  report.truncated = ["added", "removed", "modified"].some(
+    (list) => report[list].length > DIFF_UI_DOCUMENT_LIMIT,
+  );
+  report.added = report.added.slice(0, DIFF_UI_DOCUMENT_LIMIT);
+  report.removed = report.removed.slice(0, DIFF_UI_DOCUMENT_LIMIT);
+  report.modified = report.modified.slice(0, DIFF_UI_DOCUMENT_LIMIT);
+  return report;
+}
+
+/**
+ * Builds a diff report and saves it next to the backup file in Drive.
+ * @param {object} request The diff request (see buildDiffReport_).
+ * @param {string} format 'json' or 'html'.
+ * @returns {object} The saved file: { fileId, fileName, url }.
+ */
+function exportDiffReport(request, format) {
+  if (format !== "json" && format !== "html") {
+    throw new Error(`Unknown report format '${format}'. Use 'json' or 'html'.`);
+  }
+  authorizeAction_(ACCESS_ROLE_OPERATOR, "diff.export", request.fileId, {
+    request: request,
+    format: format,
+  });
+
+  const report = buildDiffReport_(request);
+  const backupFile = DriveApp.getFileById(request.fileId);
+  const timestamp = Utilities.formatDate(
+    new Date(),
+    Session.getScriptTimeZone(),
+    "yyyyMMdd_HHmmss",
+  );
+  const fileName = `${backupFile.getName().replace(/\.(json|ndjson)(\.gz)?(\.enc)?$/, "")}.diff-${timestamp}.${format}`;
+
+  const file = backupFile
+    .getParents()
+    .next()
+    .createFile(
+      fileName,
+      format === "json"
+        ? JSON.stringify(report, null, 2)
+        : renderDiffReportHtml_(report),
+      format === "json" ? "application/json" : "text/html",
+    );
+
+  Logger.log(`DIFF: Report saved as ${fileName} (ID: ${file.getId()}).`);
+  return { fileId: file.getId(), fileName: fileName, url: file.getUrl() };
+}
+
+/**
+ * Renders a diff report as a standalone HTML page.
+ * @param {object} report The report (see buildDiffReport_).
+ * @returns {string} The HTML content.
+ */
+function renderDiffReportHtml_(report) {
+  const escape = (text) =>
+    String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+
+  const renderChange = (change) => {
+    if (change.change === "added") {
+      return `<li class="added">+ ${escape(change.field)}: ${escape(JSON.stringify(change.after))}</li>`;
+    }
+    if (change.change === "removed") {
+      return `<li class="removed">- ${escape(change.field)}: ${escape(JSON.stringify(change.before))}</li>`;
+    }
+    return `<li class="modified">~ ${escape(change.field)}: ${escape(JSON.stringify(change.before))} &rarr; ${escape(JSON.stringify(change.after))}</li>`;
+  };
+
+  const renderSection = (title, documents) =>
+    `<h2>${title} (${documents.length})</h2>` +
+    documents
+      .map(
+        (doc) =>
+          `<h3>${escape(doc.path)}</h3><ul>${doc.changes.map(renderChange).join("")}</ul>`,
+      )
+      .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Diff report: ${escape(report.collection)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+ul { font-family: monospace; list-style: none; padding-left: 1em; }
+.added { color: #1e7e34; } .removed { color: #c82333; } .modified { color: #b58105; }
+</style>
+</head>
+<body>
+<h1>Diff report: ${escape(report.collection)}</h1>
+<p>Before: ${escape(report.before.label)}${report.before.createdAt ? ` (${escape(report.before.createdAt)})` : ""}<br>
+After: ${escape(report.after.label)}${report.after.createdAt ? ` (${escape(report.after.createdAt)})` : ""}<br>
+Generated: ${escape(report.generatedAt)}</p>
+<p>${report.summary.added} added, ${report.summary.removed} removed, ${report.summary.modified} modified, ${report.summary.unchanged} unchanged.</p>
+${renderSection("Added documents", report.added)}
+${renderSection("Removed documents", report.removed)}
+${renderSection("Modified documents", report.modified)}
+</body>
+</html>`;
+}
@@ -1,3 +1,12 @@
+// Working files created next to the backups by jobs, reports, the run history and the integrity
+// records, and the parts of chunked backups, which are opened through their manifest
+// (e.g. 'backup-1a2b.part-0001.json', 'restore-1a2b.results-0001.json', 'users_backup_x.diff-20250101_120000.html',
+// 'users_backup_x.export-20250101_120000-part-002.csv', 'users_backup_x.export-20250101_120000.rows.json', 'firestore_runs.history.json', 'users_backup_x.json.integrity.json',
+// 'users_backup_x.chunk-001.ndjson.gz', 'nightly.chain.json', 'backup-1a2b.ids.json', 'restore-1a2b.dead-letter.json')
+const AUXILIARY_FILE_PATTERN =
+  /\.((part|results)-\d+\.json|diff-\d{8}_\d{6}\.(json|html)|export-\d{8}_\d{6}((-part-\d+)?(\.csv)?|\.rows\.json)|(history|integrity|chain|ids|dead-letter|job)\.json|audit\.ndjson|chunk-\d+\.(json|ndjson)(\.gz)?(\.enc)?)$/;
+const BACKUP_CHUNK_FILE_PATTERN = /\.chunk-\d+\.(json|ndjson)(\.gz)?(\.enc)?$/;
+
 /**
  * 📢 DIAGNOSTIC FUNCTION: Run this function to force the Drive permissions window if necessary.
  */
@@ -26,7 +35,7 @@ function checkDrivePermissions() {
  * @param {string|null} [folderId] Optional: The ID of a specific folder to use.
  * @returns {DriveApp.Folder} The Folder object.
  */
-function getOrCreateFolder(folderName, folderId) {
+function getOrCreateFolder_(folderName, folderId) {
   if (folderId) {
     Logger.log(
       `FOLDER PHASE: Attempting to use provided Folder ID: ${folderId}`,
@@ -69,3 +78,88 @@ function getOrCreateFolder(folderName, folderId) {
     return newFolder;
   }
 }
+
+/**
+ * Reads a backup file from Drive and parses it (any supported format version).
+ * @param {string} fileId The Drive File ID of the backup file.
+ * @returns {object} The parsed backup (see parseBackupContent_).
+ */
+function readBackupFile_(fileId) {
+  let blob;
+  let fileName;
+
+  try {
+    // Try to get the file by ID
+    const file = DriveApp.getFileById(fileId);
+
+    // Verify the file is valid or the ID is correct
+    if (!file) {
+      throw new Error(`Drive file not found or ID is invalid: ${fileId}`);
+    }
+
+    // Try to read the content
+    blob = file.getBlob();
+    fileName = file.getName();
+  } catch (e) {
+    // Catch DriveApp-specific errors (Permissions, invalid ID, etc.)
+    Logger.log(
+      `DRIVE ERROR: Failed to read file ${fileId}. Error: ${e.message}`,
+    );
+    // Rethrow with a clear message about the source of the problem
+    throw new Error(
+      `Could not read the Drive file. Verify the ID (${fileId}) and your account's access permissions.`,
+    );
+  }
+
+  // Encrypted backups: check the HMAC and decrypt (throws for a modified file or a wrong key)
+  if (/\.enc$/.test(fileName)) {
+    blob = Utilities.newBlob(decryptBackupContent_(blob.getDataAsString()));
+  }
+
+  // Compressed backups are uncompressed first
+  const content =
+    /\.gz(\.enc)?$/.test(fileName) || /gzip/.test(blob.getContentType() || "")
+      ? Utilities.ungzip(
+          blob.setContentType("application/x-gzip"),
+        ).getDataAsString()
+      : blob.getDataAsString();
+
+  // Content verification
+  if (!content || content.trim().length === 0) {
+    throw new Error("The Drive file is empty or does not contain JSON data.");
+  }
+
+  // Parse JSON (typed format, or legacy untyped files through the compatibility path)
+  return parseBackupContent_(content);
+}
+
+/**
+ * Checks if a file in the backup folder is a working file of a job or a report instead of a backup.
+ * @param {string} fileName The file name.
+ * @returns {boolean} True for auxiliary files, which are hidden from the saved backups list.
+ */
+function isAuxiliaryFileName_(fileName) {
+  return AUXILIARY_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * Checks if a file name is a part of a chunked backup (see saveCollectionBackupFile_).
+ * @param {string} fileName The file name.
+ * @returns {boolean} True for chunk files.
+ */
+function isBackupChunkFileName_(fileName) {
+  return BACKUP_CHUNK_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * Describes the format of a backup file from its name, for the web UI.
+ * @param {string} fileName The file name.
+ * @returns {string} 'JSON' or 'NDJSON', followed by '(gzip)', '(encrypted)' or '(gzip, encrypted)'.
+ */
+function getBackupFileFormat_(fileName) {
+  const format = /\.ndjson(\.gz)?(\.enc)?$/.test(fileName) ? "NDJSON" : "JSON";
+  const options = [];
+  if (/\.gz(\.enc)?$/.test(fileName)) options.push("gzip");
+  if (/\.enc$/.test(fileName)) options.push("encrypted");
+  return options.length > 0 ? `${format} (${options.join(", ")})` : format;
+}
@@ -0,0 +1,466 @@
+/**
+ * Client-side encryption of backup files at rest (AES-256-CTR + HMAC-SHA256).
+ *
+ * The keys are stored in the BACKUP_ENCRYPTION_KEYS script property, by version.
+ * A key is a passphrase, or a raw 32-byte key written as "base64:<key>":
+ *
+ * { "1": "an old passphrase", "2": "base64:q8Y3...=" }
+ *
+ * New backups are encrypted with the version set in BACKUP_ENCRYPTION_KEY_VERSION.
+ * To rotate the key, add a new version and point BACKUP_ENCRYPTION_KEY_VERSION to it:
+ * the older versions must stay in the list to read the backups encrypted with them.
+ *
+ * An encrypted file gets the ".enc" extension (e.g. 'users_backup_x.json.gz.enc') and
+ * holds two lines: a JSON header, then the encrypted content in base64.
+ *
+ * { "encryption": {
+ *     "format": 1,
+ *     "cipher": "AES-256-CTR", "mac": "HMAC-SHA256",
+ *     "kdf": "PBKDF2-SHA256", "iterations": 10000,
+ *     "keyVersion": "2",
+ *     "salt": "...", "iv": "...",   // Random for each file (base64)
+ *     "hmac": "..."                 // HMAC of the header (without "hmac") and the encrypted content
+ * } }
+ *
+ * The master key of a version is derived once (PBKDF2), then each file gets its own
+ * encryption and HMAC keys derived from the master key and the salt of the file.
+ * The HMAC is checked before anything is decrypted.
+ */
+
+const ENCRYPTION_FORMAT_VERSION = 1;
+const ENCRYPTION_KDF_ITERATIONS = 10000;
+const ENCRYPTED_FILE_EXTENSION = ".enc";
+const RAW_KEY_PREFIX = "base64:";
+
+let aesTables = null; // Built on first use (see getAesTables_)
+const masterKeyCache = {}; // Master keys derived during this execution
+
+/**
+ * Builds the AES S-box and the encryption lookup tables.
+ * @returns {object} { sbox, t0, t1, t2, t3 }.
+ */
+function getAesTables_() {
+  if (aesTables) return aesTables;
+
+  const xtime = (x) => ((x << 1) ^ (x & 0x80 ? 0x1b : 0)) & 0xff;
+  const exp = new Array(256);
+  const log = new Array(256);
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    exp[i] = x;
+    log[x] = i;
+    x ^= xtime(x);
+  }
+
+  const sbox = new Array(256);
+  const t0 = new Array(256);
+  const t1 = new Array(256);
+  const t2 = new Array(256);
+  const t3 = new Array(256);
+  const rotl = (v, n) => ((v << n) | (v >>> (8 - n))) & 0xff;
+  for (let a = 0; a < 256; a++) {
+    // Multiplicative inverse in GF(2^8), then the affine transformation
+    const inverse = a === 0 ? 0 : exp[(255 - log[a]) % 255];
+    sbox[a] =
+      inverse ^
+      rotl(inverse, 1) ^
+      rotl(inverse, 2) ^
+      rotl(inverse, 3) ^
+      rotl(inverse, 4) ^
+      0x63;
+  }
+  for (let a = 0; a < 256; a++) {
+    const s = sbox[a];
+    const word =
+      ((xtime(s) << 24) | (s << 16) | (s << 8) | (xtime(s) ^ s)) >>> 0;
+    t0[a] = word;
+    t1[a] = ((word >>> 8) | (word << 24)) >>> 0;
+    t2[a] = ((word >>> 16) | (word << 16)) >>> 0;
+    t3[a] = ((word >>> 24) | (word << 8)) >>> 0;
+  }
+
+  aesTables = { sbox: sbox, t0: t0, t1: t1, t2: t2, t3: t3 };
+  return aesTables;
+}
+
+/**
+ * Expands an AES-256 key into its round keys.
+ * @param {Array<number>} key The key (32 bytes, 0-255).
+ * @returns {Array<number>} The 60 round key words.
+ */
+function expandAesKey_(key) {
+  const sbox = getAesTables_().sbox;
+  const subWord = (word) =>
+    ((sbox[word >>> 24] << 24) |
+      (sbox[(word >>> 16) & 0xff] << 16) |
+      (sbox[(word >>> 8) & 0xff] << 8) |
+      sbox[word & 0xff]) >>>
+    0;
+
+  const words = new Array(60);
+  for (let i = 0; i < 8; i++) {
+    words[i] =
+      ((key[4 * i] << 24) |
+        (key[4 * i + 1] << 16) |
+        (key[4 * i + 2] << 8) |
+        key[4 * i + 3]) >>>
+      0;
+  }
+
+  let rcon = 1;
+  for (let i = 8; i < 60; i++) {
+    let word = words[i - 1];
+    if (i % 8 === 0) {
+      word = subWord(((word << 8) | (word >>> 24)) >>> 0) ^ (rcon << 24);
+      rcon = ((rcon << 1) ^ (rcon & 0x80 ? 0x1b : 0)) & 0xff;
+    } else if (i % 8 === 4) {
+      word = subWord(word);
+    }
+    words[i] = (words[i - 8] ^ word) >>> 0;
+  }
+
+  return words;
+}
+
+/**
+ * Encrypts one 16-byte block with AES-256.
+ * @param {Array<number>} roundKeys The expanded key (see expandAesKey_).
+ * @param {Array<number>} block The input words (4 words, big-endian).
+ * @returns {Array<number>} The encrypted block (16 bytes).
+ */
+function encryptAesBlock_(roundKeys, block) {
+  const tables = getAesTables_();
+  const t0 = tables.t0;
+  const t1 = tables.t1;
+  const t2 = tables.t2;
+  const t3 = tables.t3;
+  const sbox = tables.sbox;
+
+  let s0 = block[0] ^ roundKeys[0];
+  let s1 = block[1] ^ roundKeys[1];
+  let s2 = block[2] ^ roundKeys[2];
+  let s3 = block[3] ^ roundKeys[3];
+
+  for (let round = 1; round < 14; round++) {
+    const k = round * 4;
+    const n0 =
+      t0[s0 >>> 24] ^
+      t1[(s1 >>> 16) & 0xff] ^
+      t2[(s2 >>> 8) & 0xff] ^
+      t3[s3 & 0xff] ^
+      roundKeys[k];
+    const n1 =
+      t0[s1 >>> 24] ^
+      t1[(s2 >>> 16) & 0xff] ^
+      t2[(s3 >>> 8) & 0xff] ^
+      t3[s0 & 0xff] ^
+      roundKeys[k + 1];
+    const n2 =
+      t0[s2 >>> 24] ^
+      t1[(s3 >>> 16) & 0xff] ^
+      t2[(s0 >>> 8) & 0xff] ^
+      t3[s1 & 0xff] ^
+      roundKeys[k + 2];
+    const n3 =
+      t0[s3 >>> 24] ^
+      t1[(s0 >>> 16) & 0xff] ^
+      t2[(s1 >>> 8) & 0xff] ^
+      t3[s2 & 0xff] ^
+      roundKeys[k + 3];
+    s0 = n0;
+    s1 = n1;
+    s2 = n2;
+    s3 = n3;
+  }
+
+  // Last round: no MixColumns
+  const state = [s0, s1, s2, s3];
+  const output = new Array(16);
+  for (let i = 0; i < 4; i++) {
+    const word =
+      (sbox[state[i] >>> 24] << 24) |
+      (sbox[(state[(i + 1) % 4] >>> 16) & 0xff] << 16) |
+      (sbox[(state[(i + 2) % 4] >>> 8) & 0xff] << 8) |
+      sbox[state[(i + 3) % 4] & 0xff];
+    const value = (word ^ roundKeys[56 + i]) >>> 0;
+    output[4 * i] = value >>> 24;
+    output[4 * i + 1] = (value >>> 16) & 0xff;
+    output[4 * i + 2] = (value >>> 8) & 0xff;
+    output[4 * i + 3] = value & 0xff;
+  }
+  return output;
+}
+
+/**
+ * Encrypts or decrypts bytes with AES-256 in CTR mode (both are the same operation).
+ * @param {Array<number>} key The key (32 bytes, 0-255).
+ * @param {Array<number>} iv The initial counter block (16 bytes, 0-255).
+ * @param {Array<number>} bytes The input bytes (signed or unsigned).
+ * @returns {Array<number>} The output bytes (signed, as used by Apps Script).
+ */
+function aesCtr_(key, iv, bytes) {
+  const roundKeys = expandAesKey_(key);
+  const counter = iv.slice();
+  const output = new Array(bytes.length);
+
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const keyStream = encryptAesBlock_(
+      roundKeys,
+      [0, 4, 8, 12].map(
+        (i) =>
+          ((counter[i] << 24) |
+            (counter[i + 1] << 16) |
+            (counter[i + 2] << 8) |
+            counter[i + 3]) >>>
+          0,
+      ),
+    );
+
+    const end = Math.min(offset + 16, bytes.length);
+    for (let i = offset; i < end; i++) {
+      output[i] = (((bytes[i] ^ keyStream[i - offset]) & 0xff) << 24) >> 24;
+    }
+
+    // Increment the 128-bit big-endian counter
+    for (let i = 15; i >= 0; i--) {
+      counter[i] = (counter[i] + 1) & 0xff;
+      if (counter[i] !== 0) break;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Converts Apps Script (signed) bytes to unsigned bytes.
+ * @param {Array<number>} bytes The bytes.
+ * @returns {Array<number>} The bytes, 0-255.
+ */
+function toUnsignedBytes_(bytes) {
+  return Array.prototype.map.call(bytes, (b) => b & 0xff);
+}
+
+/**
+ * Computes an HMAC-SHA256.
+ * @param {Array<number>} key The key bytes.
+ * @param {Array<number>} value The value bytes.
+ * @returns {Array<number>} The HMAC (32 bytes, 0-255).
+ */
+function hmacSha256_(key, value) {
+  return toUnsignedBytes_(
+    Utilities.computeHmacSha256Signature(
+      value.map((b) => (b << 24) >> 24),
+      key.map((b) => (b << 24) >> 24),
+    ),
+  );
+}
+
+/**
+ * Converts a string to its UTF-8 bytes.
+ * @param {string} text The string.
+ * @returns {Array<number>} The bytes, 0-255.
+ */
+function utf8Bytes_(text) {
+  return toUnsignedBytes_(Utilities.newBlob(text).getBytes());
+}
+
+/**
+ * Reads the encryption keys.
+ * @returns {object} Map of key version to key.
+ */
+function getEncryptionKeys_() {
+  const value = PropertiesService.getScriptProperties().getProperty(
+    "BACKUP_ENCRYPTION_KEYS",
+  );
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error(
+      `Configuration error: BACKUP_ENCRYPTION_KEYS is not valid JSON (${e.message}).`,
+    );
+  }
+}
+
+/**
+ * Gets the master key of a key version (derived from the passphrase on first use).
+ * @param {string} keyVersion The key version.
+ * @param {number} iterations The PBKDF2 iterations used for passphrases.
+ * @returns {Array<number>} The master key (32 bytes, 0-255).
+ */
+function getMasterKey_(keyVersion, iterations) {
+  const secret = getEncryptionKeys_()[keyVersion];
+  if (!secret) {
+    throw new Error(
+      `Encryption key version '${keyVersion}' is not in BACKUP_ENCRYPTION_KEYS. Keep the old key versions to read older backups.`,
+    );
+  }
+
+  const cacheKey = `${keyVersion}/${iterations}/${secret}`;
+  if (masterKeyCache[cacheKey]) return masterKeyCache[cacheKey];
+
+  let masterKey;
+  if (secret.indexOf(RAW_KEY_PREFIX) === 0) {
+    masterKey = toUnsignedBytes_(
+      Utilities.base64Decode(secret.substring(RAW_KEY_PREFIX.length)),
+    );
+    if (masterKey.length !== 32) {
+      throw new Error(
+        `Configuration error: Encryption key version '${keyVersion}' must be 32 bytes long (got ${masterKey.length}).`,
+      );
+    }
+  } else {
+    // PBKDF2-HMAC-SHA256, a single 32-byte block
+    const password = utf8Bytes_(secret);
+    let block = hmacSha256_(
+      password,
+      utf8Bytes_(`firestore-backup-key/${keyVersion}`).concat([0, 0, 0, 1]),
+    );
+    masterKey = block.slice();
+    for (let i = 1; i < iterations; i++) {
+      block = hmacSha256_(password, block);
+      for (let j = 0; j < 32; j++) masterKey[j] ^= block[j];
+    }
+  }
+
+  masterKeyCache[cacheKey] = masterKey;
+  return masterKey;
+}
+
+/**
+ * Derives the encryption and HMAC keys of a file.
+ * @param {object} encryption The encryption header of the file.
+ * @returns {object} { encryptionKey, macKey } (32 bytes each).
+ */
+function deriveFileKeys_(encryption) {
+  const masterKey = getMasterKey_(encryption.keyVersion, encryption.iterations);
+  const salt = toUnsignedBytes_(Utilities.base64Decode(encryption.salt));
+
+  return {
+    encryptionKey: hmacSha256_(
+      masterKey,
+      salt.concat(utf8Bytes_("encryption")),
+    ),
+    macKey: hmacSha256_(masterKey, salt.concat(utf8Bytes_("hmac"))),
+  };
+}
+
+/**
+ * Builds 16 random bytes.
+ * @returns {Array<number>} The bytes, 0-255.
+ */
+function randomBytes16_() {
+  const hex = Utilities.getUuid().replace(/-/g, "");
+  const bytes = [];
+  for (let i = 0; i < 32; i += 2) bytes.push(parseInt(hex.substr(i, 2), 16));
+  return bytes;
+}
+
+/**
+ * Computes the HMAC of an encrypted file, in base64.
+ * @param {Array<number>} macKey The HMAC key of the file.
+ * @param {object} encryption The encryption header, without "hmac".
+ * @param {string} cipherText The encrypted content (base64).
+ * @returns {string} The HMAC (base64).
+ */
+function computeEncryptedFileHmac_(macKey, encryption, cipherText) {
+  return Utilities.base64Encode(
+    hmacSha256_(
+      macKey,
+      utf8Bytes_(`${JSON.stringify(encryption)}\n${cipherText}`),
+    ).map((b) => (b << 24) >> 24),
+  );
+}
+
+/**
+ * Encrypts the content of a backup file.
+ * @param {Array<number>} bytes The content bytes (e.g. blob.getBytes()).
+ * @param {string} keyVersion The key version to use.
+ * @returns {string} The encrypted file content (see the format at the top of this file).
+ */
+function encryptBackupBytes_(bytes, keyVersion) {
+  const encryption = {
+    format: ENCRYPTION_FORMAT_VERSION,
+    cipher: "AES-256-CTR",
+    mac: "HMAC-SHA256",
+    kdf: "PBKDF2-SHA256",
+    iterations: ENCRYPTION_KDF_ITERATIONS,
+    keyVersion: String(keyVersion),
+    salt: Utilities.base64Encode(randomBytes16_().map((b) => (b << 24) >> 24)),
+    iv: Utilities.base64Encode(randomBytes16_().map((b) => (b << 24) >> 24)),
+  };
+  const keys = deriveFileKeys_(encryption);
+
+  const cipherText = Utilities.base64Encode(
+    aesCtr_(
+      keys.encryptionKey,
+      toUnsignedBytes_(Utilities.base64Decode(encryption.iv)),
+      bytes,
+    ),
+  );
+  encryption.hmac = computeEncryptedFileHmac_(
+    keys.macKey,
+    encryption,
+    cipherText,
+  );
+
+  return `${JSON.stringify({ encryption: encryption })}\n${cipherText}`;
+}
+
+/**
+ * Checks if a file content is an encrypted backup.
+ * @param {string} content The file content.
+ * @returns {boolean} True if the content starts with an encryption header.
+ */
+function isEncryptedBackupContent_(content) {
+  return content.indexOf('{"encryption":') === 0;
+}
+
+/**
+ * Checks the HMAC of an encrypted backup and decrypts it.
+ * @param {string} content The encrypted file content.
+ * @returns {Array<number>} The decrypted bytes (signed, as used by Apps Script).
+ */
+function decryptBackupContent_(content) {
+  const lineEnd = content.indexOf("\n");
+  const encryption = JSON.parse(content.substring(0, lineEnd)).encryption;
+  const cipherText = content.substring(lineEnd + 1).trim();
+
+  if (encryption.format > ENCRYPTION_FORMAT_VERSION) {
+    throw new Error(
+      `Encryption format version ${encryption.format} is newer than the supported version (${ENCRYPTION_FORMAT_VERSION}).`,
+    );
+  }
+  // The header is not trusted before the HMAC check: never let it set the cost of the key derivation
+  if (encryption.iterations !== ENCRYPTION_KDF_ITERATIONS) {
+    throw new Error(
+      `Integrity check failed: the backup header asks for ${encryption.iterations} PBKDF2 iterations, only ${ENCRYPTION_KDF_ITERATIONS} are supported.`,
+    );
+  }
+
+  const expected = encryption.hmac;
+  delete encryption.hmac;
+  const keys = deriveFileKeys_(encryption);
+  const actual = computeEncryptedFileHmac_(keys.macKey, encryption, cipherText);
+
+  // Compare without stopping at the first difference
+  let difference = expected.length ^ actual.length;
+  for (let i = 0; i < Math.min(expected.length, actual.length); i++) {
+    difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+  if (difference !== 0) {
+    throw new Error(
+      `Integrity check failed: the backup was modified or encrypted with another key (key version '${encryption.keyVersion}').`,
+    );
+  }
+
+  Logger.log(
+    `FORMAT: Encrypted backup detected (key version '${encryption.keyVersion}'). HMAC verified.`,
+  );
+  return aesCtr_(
+    keys.encryptionKey,
+    toUnsignedBytes_(Utilities.base64Decode(encryption.iv)),
+    Utilities.base64Decode(cipherText),
+  );
+}
@@ -0,0 +1,421 @@
+/**
+ * Export of backups to Google Sheets or CSV, for analysis in a spreadsheet.
+ *
+ * Each document becomes a row. The first column is the document ID ("_id", the path
+ * relative to the collection for the documents of subcollections), and the fields follow
+ * as columns, nested maps flattened into dotted paths (e.g. "address.city"). Arrays are
+ * written as JSON ("arrays": "json"), or exploded into one row per element
+ * ("arrays": "explode"): the arrays of a document are read side by side, so its second
+ * row holds the second element of each array, and the maps in arrays become dotted columns.
+ *
+ * Options (chosen in the saved-backups list of the web UI):
+ *
+ * {
+ *   "format": "sheet",                  // "sheet" (a new Google Sheet) or "csv" (a file), next to the backup
+ *   "arrays": "json",                   // "json" (default) or "explode"
+ *   "columns": ["name", "address.city"], // Optional: the columns to export, in this order (default: every field)
+ *   "sourceCollection": "users",        // Optional: collection to pick from archive/manifest backups
+ *   "subcollections": false,            // Optional: true to export the documents of subcollections too
+ *   "rowsPerPart": 50000                // Optional: rows per Sheet or CSV file
+ * }
+ *
+ * Large backups are exported in parts: one Sheet or CSV file per part of "rowsPerPart"
+ * rows at most, fewer when the columns would go over the cells of a spreadsheet. Each
+ * call writes one part, so every part gets a full execution (the web UI asks for the
+ * next part until the last one). Values longer than a cell allows are truncated.
+ *
+ * The first part reads and flattens the backup once, and keeps the rows for the next parts
+ * in a working file next to the backup ("<backup name>.export-<exportId>.rows.json"),
+ * removed after the last part. The next parts use the options of the first one.
+ */
+
+const EXPORT_FORMATS = ["sheet", "csv"];
+const EXPORT_ARRAY_MODES = ["json", "explode"];
+const EXPORT_ROWS_PER_PART = 50000; // Default rows per Sheet or CSV file
+const EXPORT_SHEET_CELL_LIMIT = 10000000; // Cells of a Google Sheet
+const EXPORT_SHEET_COLUMN_LIMIT = 18278; // Columns of a Google Sheet
+const EXPORT_CELL_CHARACTER_LIMIT = 50000; // Characters of a Google Sheet cell
+const EXPORT_WRITE_ROWS = 5000; // Rows written to a Sheet per call
+const EXPORT_ID_COLUMN = "_id";
+const EXPORT_ID_PATTERN = /^\d{8}_\d{6}$/;
+const EXPORT_ROWS_FILE_SUFFIX = ".rows.json";
+
+/**
+ * Validates the export options and fills in the defaults.
+ * @param {object} [options] The options (see the top of this file).
+ * @returns {object} { format, arrays, columns (null for every field), sourceCollection, subcollections, rowsPerPart, part, exportId }.
+ */
+function normalizeExportOptions_(options) {
+  options = options || {};
+  const format = options.format || EXPORT_FORMATS[0];
+  if (EXPORT_FORMATS.indexOf(format) === -1) {
+    throw new Error(
+      `Unknown export format '${format}'. Use one of: ${EXPORT_FORMATS.join(", ")}.`,
+    );
+  }
+
+  const arrays = options.arrays || EXPORT_ARRAY_MODES[0];
+  if (EXPORT_ARRAY_MODES.indexOf(arrays) === -1) {
+    throw new Error(
+      `Unknown array export '${arrays}'. Use one of: ${EXPORT_ARRAY_MODES.join(", ")}.`,
+    );
+  }
+
+  let columns = options.columns || null;
+  if (typeof columns === "string") {
+    columns = columns
+      .split(",")
+      .map((column) => column.trim())
+      .filter(Boolean);
+  }
+  if (columns && columns.length === 0) columns = null;
+
+  const rowsPerPart =
+    options.rowsPerPart !== undefined && options.rowsPerPart !== ""
+      ? parseInt(options.rowsPerPart, 10)
+      : EXPORT_ROWS_PER_PART;
+  if (!(rowsPerPart >= 1)) {
+    throw new Error(
+      `Invalid rows per part (${options.rowsPerPart}). Use a whole number of 1 or more.`,
+    );
+  }
+
+  const exportId = options.exportId || null;
+  if (exportId && !EXPORT_ID_PATTERN.test(exportId)) {
+    throw new Error(
+      `Invalid export ID (${exportId}). Use the exportId returned by the first part.`,
+    );
+  }
+
+  return {
+    format: format,
+    arrays: arrays,
+    columns: columns,
+    sourceCollection: options.sourceCollection || null,
+    subcollections: !!options.subcollections,
+    rowsPerPart: rowsPerPart,
+    part: Math.max(parseInt(options.part, 10) || 0, 0),
+    exportId: exportId,
+  };
+}
+
+/**
+ * Converts a typed Firestore value (not a map or an array) into a cell value.
+ * @param {object} value The typed value.
+ * @returns {*} A number, boolean or string ('' for null). Integers beyond the safe range stay strings.
+ */
+function toExportValue_(value) {
+  const type = Object.keys(value || {})[0];
+
+  switch (type) {
+    case "integerValue":
+      const number = Number(value.integerValue);
+      return Number.isSafeInteger(number) ? number : value.integerValue;
+    case "doubleValue":
+      return typeof value.doubleValue === "number"
+        ? value.doubleValue
+        : String(value.doubleValue); // "NaN", "Infinity"
+    case "booleanValue":
+      return value.booleanValue;
+    case "geoPointValue":
+      return `${value.geoPointValue.latitude || 0}, ${value.geoPointValue.longitude || 0}`;
+    case "referenceValue":
+      // Keep the path of the document, without the project and database
+      return value.referenceValue.replace(
+        /^projects\/[^/]+\/databases\/[^/]+\/documents\//,
+        "",
+      );
+    case "arrayValue":
+    case "mapValue":
+      return JSON.stringify(extractFieldValue_(value));
+    case "nullValue":
+    case undefined:
+      return "";
+    default:
+      return String(value[type]);
+  }
+}
+
+/**
+ * Flattens the typed fields of a document into the rows of the export.
+ * @param {object} fields The typed fields.
+ * @param {string} arrays 'json' or 'explode' (see the top of this file).
+ * @returns {Array<object>} The rows (maps of column to cell value), one unless arrays are exploded.
+ */
+function flattenExportFields_(fields, arrays) {
+  const base = {};
+  const exploded = [];
+
+  const collect = (typedFields, prefix, target, explode) => {
+    for (const name in typedFields) {
+      const value = typedFields[name];
+      const column = prefix + name;
+      if (value && value.mapValue) {
+        const nested = value.mapValue.fields || {};
+        if (Object.keys(nested).length > 0) {
+          collect(nested, `${column}.`, target, explode);
+          continue;
+        }
+      }
+      if (value && value.arrayValue && explode) {
+        const values = value.arrayValue.values || [];
+        exploded.push({ column: column, values: values });
+        if (values.length === 0) target[column] = "";
+        continue;
+      }
+      target[column] = toExportValue_(value);
+    }
+  };
+  collect(fields, "", base, arrays === "explode");
+
+  const rowCount = Math.max(1, ...exploded.map((array) => array.values.length));
+  const rows = [];
+  for (let i = 0; i < rowCount; i++) {
+    const row = Object.assign({}, base);
+    exploded.forEach((array) => {
+      const element = array.values[i];
+      if (!element) return;
+      if (element.mapValue) {
+        // Maps in arrays become dotted columns (their own arrays stay JSON)
+        collect(element.mapValue.fields || {}, `${array.column}.`, row, false);
+      } else {
+        row[array.column] = toExportValue_(element);
+      }
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Builds the rows of a backup export.
+ * @param {object} backup The resolved backup ({ collection, documents }).
+ * @param {object} options The normalized export options.
+ * @returns {object} { columns: [names], rows: [[cells]] }. Every field gets a column (sorted by name) unless options.columns is set.
+ */
+function buildExportRows_(backup, options) {
+  const collection = backup.collection || "backup";
+  const documents = flattenBackupDocuments_(
+    backup.documents,
+    collection,
+  ).filter(
+    (doc) =>
+      options.subcollections ||
+      doc.path.split("/").length === collection.split("/").length + 1,
+  );
+
+  const records = [];
+  const names = {};
+  documents.forEach((doc) => {
+    const id = doc.path.substring(collection.length + 1);
+    flattenExportFields_(doc.fields, options.arrays).forEach((row) => {
+      for (const name in row) names[name] = true;
+      records.push({ id: id, row: row });
+    });
+  });
+
+  const fieldColumns = options.columns || Object.keys(names).sort();
+  return {
+    columns: [EXPORT_ID_COLUMN].concat(fieldColumns),
+    rows: records.map((record) =>
+      [record.id].concat(
+        fieldColumns.map((name) =>
+          record.row[name] === undefined ? "" : record.row[name],
+        ),
+      ),
+    ),
+  };
+}
+
+/**
+ * Prepares a cell value for a spreadsheet: text that looks like a formula is
+ * escaped so it is never run, and text longer than a cell allows is truncated.
+ * @param {*} value The cell value.
+ * @returns {object} { value, truncated }.
+ */
+function toExportCell_(value) {
+  if (typeof value !== "string") return { value: value, truncated: false };
+
+  let text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  const truncated = text.length > EXPORT_CELL_CHARACTER_LIMIT;
+  if (truncated) text = text.slice(0, EXPORT_CELL_CHARACTER_LIMIT);
+  return { value: text, truncated: truncated };
+}
+
+/**
+ * Formats rows as CSV (RFC 4180: comma separated, quoted when needed, CRLF line endings).
+ * @param {Array<Array<*>>} rows The rows, header included.
+ * @returns {string} The CSV content.
+ */
+function formatCsv_(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((cell) => {
+          const text = String(cell);
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(","),
+    )
+    .join("\r\n");
+}
+
+/**
+ * Reads the rows kept for the next parts of an export.
+ * @param {GoogleAppsScript.Drive.Folder} folder The folder of the backup.
+ * @param {string} name The name of the working file.
+ * @param {string} fileId The Drive File ID of the exported backup.
+ * @returns {object|null} { columns, rows }, or null if the working file does not exist.
+ */
+function readExportRows_(folder, name, fileId) {
+  const files = folder.getFilesByName(name);
+  if (!files.hasNext()) return null;
+
+  const saved = JSON.parse(files.next().getBlob().getDataAsString());
+  if (saved.fileId !== fileId) {
+    throw new Error(
+      `Export failed: ${name} belongs to the export of another backup (${saved.fileId}).`,
+    );
+  }
+  return { columns: saved.columns, rows: saved.rows };
+}
+
+/**
+ * Exports one part of a backup to a new Google Sheet or CSV file in the folder of
+ * the backup. Call it again with the returned nextPart and exportId for the next part.
+ * @param {string} fileId The Drive File ID of the backup.
+ * @param {object} [options] The options (see the top of this file), plus part (from 0) and exportId (from the first part).
+ * @returns {object} { exportId, format, part, partCount, nextPart (null after the last part), rowCount (of the part), totalRows,
+ *   columnCount, truncatedCells, file: { fileId, fileName, url }, message }.
+ */
+function exportBackup(fileId, options) {
+  options = normalizeExportOptions_(options);
+  authorizeAction_(ACCESS_ROLE_OPERATOR, "export", fileId, options);
+  const backupFile = DriveApp.getFileById(fileId);
+  const folder = backupFile.getParents().next();
+  const exportId =
+    options.exportId ||
+    Utilities.formatDate(
+      new Date(),
+      Session.getScriptTimeZone(),
+      "yyyyMMdd_HHmmss",
+    );
+  const exportName = `${backupFile.getName().replace(/\.(json|ndjson)(\.gz)?(\.enc)?$/, "")}.export-${exportId}`;
+  const rowsFileName = exportName + EXPORT_ROWS_FILE_SUFFIX;
+
+  // The next parts reuse the rows of the first one (rebuilt if the working file is gone)
+  const saved = options.exportId
+    ? readExportRows_(folder, rowsFileName, fileId)
+    : null;
+  let prepared = saved;
+  if (!prepared) {
+    const backup = readBackupCollection_(fileId, options.sourceCollection);
+    Logger.log(
+      `EXPORT: Flattening the documents of ${backupFile.getName()} (arrays: ${options.arrays})...`,
+    );
+    prepared = buildExportRows_(backup, options);
+  }
+  const { columns, rows } = prepared;
+  if (
+    options.format === "sheet" &&
+    columns.length > EXPORT_SHEET_COLUMN_LIMIT
+  ) {
+    throw new Error(
+      `Export failed: The backup has ${columns.length} columns, more than a Google Sheet holds (${EXPORT_SHEET_COLUMN_LIMIT}). Choose the columns to export.`,
+    );
+  }
+
+  // A part never goes over the cells of a spreadsheet (header row included)
+  const rowsPerPart = Math.max(
+    Math.min(
+      options.rowsPerPart,
+      Math.floor(EXPORT_SHEET_CELL_LIMIT / columns.length) - 1,
+    ),
+    1,
+  );
+  const partCount = Math.max(Math.ceil(rows.length / rowsPerPart), 1);
+  if (options.part >= partCount) {
+    throw new Error(
+      `Export failed: Part ${options.part + 1} does not exist, the export has ${partCount} parts.`,
+    );
+  }
+
+  let truncatedCells = 0;
+  const partRows = [columns]
+    .concat(
+      rows.slice(options.part * rowsPerPart, (options.part + 1) * rowsPerPart),
+    )
+    .map((row) =>
+      row.map((value) => {
+        const cell = toExportCell_(value);
+        if (cell.truncated) truncatedCells++;
+        return cell.value;
+      }),
+    );
+
+  const fileName =
+    exportName +
+    (partCount > 1 ? `-part-${("00" + (options.part + 1)).slice(-3)}` : "");
+
+  let file;
+  if (options.format === "csv") {
+    file = folder.createFile(
+      `${fileName}.csv`,
+      formatCsv_(partRows),
+      "text/csv",
+    );
+  } else {
+    const spreadsheet = SpreadsheetApp.create(
+      fileName,
+      partRows.length,
+      columns.length,
+    );
+    const sheet = spreadsheet.getSheets()[0];
+    for (let i = 0; i < partRows.length; i += EXPORT_WRITE_ROWS) {
+      const chunk = partRows.slice(i, i + EXPORT_WRITE_ROWS);
+      sheet.getRange(i + 1, 1, chunk.length, columns.length).setValues(chunk);
+    }
+    sheet.getRange(1, 1, 1, columns.length).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+    file = DriveApp.getFileById(spreadsheet.getId());
+    file.moveTo(folder);
+  }
+
+  const nextPart = options.part + 1 < partCount ? options.part + 1 : null;
+  if (nextPart === null || !saved) {
+    const rowsFiles = folder.getFilesByName(rowsFileName);
+    while (rowsFiles.hasNext()) rowsFiles.next().setTrashed(true);
+  }
+  if (nextPart !== null && !saved) {
+    folder.createFile(
+      rowsFileName,
+      JSON.stringify({ fileId: fileId, columns: columns, rows: rows }),
+      "application/json",
+    );
+  }
+  const message =
+    `Exported ${partRows.length - 1} rows and ${columns.length} columns to ${file.getName()}` +
+    (partCount > 1 ? ` (part ${options.part + 1} of ${partCount})` : "") +
+    (truncatedCells > 0
+      ? `. ${truncatedCells} values longer than ${EXPORT_CELL_CHARACTER_LIMIT} characters were truncated.`
+      : ".");
+  Logger.log(`EXPORT: ${message}`);
+
+  return {
+    exportId: exportId,
+    format: options.format,
+    part: options.part,
+    partCount: partCount,
+    nextPart: nextPart,
+    rowCount: partRows.length - 1,
+    totalRows: rows.length,
+    columnCount: columns.length,
+    truncatedCells: truncatedCells,
+    file: {
+      fileId: file.getId(),
+      fileName: file.getName(),
+      url: file.getUrl(),
+    },
+    message: message,
+  };
+}
@@ -11,34 +11,175 @@
  * NOTE: This version uses Service Account authentication
  */
 
+const BATCH_WRITE_SIZE = 500; // Maximum number of writes per batchWrite request (Firestore limit)
+const RETRYABLE_WRITE_CODES = [4, 8, 10, 14]; // Write statuses worth another attempt: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, UNAVAILABLE
+const ALREADY_EXISTS_WRITE_CODE = 6; // Write status of a 'new' write whose document exists
+const PARALLEL_REQUESTS = 10; // Number of batchWrite requests sent at once (see fetchAllWithRetry_)
+const RESTORE_MODES = ['overwrite', 'new'];
+const RESTORE_STRATEGIES = ['merge', 'replace']; // How 'overwrite' treats existing documents
+const DRY_RUN_SAMPLE_SIZE = 10; // Number of documents with their field changes shown by a dry run
+const DEFAULT_DATABASE_ID = '(default)';
+const DEFAULT_FIRESTORE_API_URL = 'https://firestore.googleapis.com/v1';
+const GOOGLE_API_URL_PATTERN = /^https:\/\/([a-z0-9-]+\.)*googleapis\.com(\/|$)/i; // The only hosts that get the service account token
+const DATABASE_ID_PATTERN = /^(\(default\)|[a-z][a-z0-9-]{2,61}[a-z0-9])$/;
+
 
 /**
  * Executes the Firestore restoration based on user input from the HTML form.
- * @param {string} mode 'overwrite' (PATCH existing) or 'new' (PATCH to new name).
+ * @param {string} mode 'overwrite' (write into an existing collection) or 'new' (the target collection must be empty).
  * @param {string} collectionName The target collection name.
  * @param {string} fileId The Drive File ID of the backup JSON file.
  * @param {string} projectId The Firebase Project ID supplied by the user. // <-- NEW PARAMETER
- * @returns {string} Status message.
+ * @param {object} [options] Optional: {
+ *   sourceCollection: Collection to pick from archive/manifest backups,
+ *   strategy: 'merge' (only the backed-up fields are written, default) or 'replace' (documents are replaced and the ones missing in the backup are deleted),
+ *   selection: Only restore some documents or fields: { ids, pattern, where, fields } (see RestoreSelection.js),
+ *   serviceAccount: The name of the service account to use (see ServiceAccounts.js). Defaults to the account of the target project,
+ *   databaseId, apiUrl, emulator: The Firestore endpoint of the target (see normalizeFirestoreEndpoint_). Default to the FIRESTORE_* properties,
+ *   migration: The name of a migration of the MIGRATIONS property, or an inline migration, to reshape the documents (see Migrations.js),
+ *   dryRun: true to only report what the restore would change
+ * }
+ * @returns {object} Restore result (see restoreFirestoreFromDriveCore_), or the dry-run report (see previewRestore_).
  */
-function executeRestore(mode, collectionName, fileId, projectId) {
+function executeRestore(mode, collectionName, fileId, projectId, options) {
+    options = Object.assign({ strategy: 'merge' }, options);
+    authorizeAction_(ACCESS_ROLE_ADMIN, options.dryRun ? 'restore.dry_run' : 'restore', `${projectId}/${collectionName}`, {
+        mode: mode,
+        fileId: fileId,
+        strategy: options.strategy,
+        sourceCollection: options.sourceCollection || null,
+        selection: options.selection || null,
+        serviceAccount: options.serviceAccount || null,
+        databaseId: options.databaseId || null,
+        migration: typeof options.migration === 'string' ? options.migration : (options.migration ? 'inline' : null)
+    });
+
+    if (RESTORE_MODES.indexOf(mode) === -1) {
+        throw new Error(`Unknown restore mode '${mode}'. Use one of: ${RESTORE_MODES.join(', ')}.`);
+    }
+    if (RESTORE_STRATEGIES.indexOf(options.strategy) === -1) {
+        throw new Error(`Unknown overwrite strategy '${options.strategy}'. Use one of: ${RESTORE_STRATEGIES.join(', ')}.`);
+    }
+    options.mode = mode;
+    options.selection = normalizeRestoreSelection_(options.selection);
+    options.migration = resolveMigration_(options.migration);
+    if (options.selection && options.selection.fields && mode === 'overwrite' && options.strategy === 'replace') {
+        throw new Error("Restoring selected fields needs the 'merge' strategy: 'replace' would remove the other fields.");
+    }
+
     // 0. GET PROPERTIES (Access Token and Service Account Key are read from properties)
-    const props = getProjectProperties();
+    const props = getProjectProperties_();
     
     // Override key properties with user-supplied values
     props.collection_name = collectionName; 
     props.firebase_project_id = projectId; // <-- USE THE USER'S PROJECT ID
+    applyFirestoreEndpoint_(props, normalizeFirestoreEndpoint_({
+        database_id: options.databaseId,
+        api_url: options.apiUrl,
+        emulator: options.emulator
+    }, "The restore"));
+    applyServiceAccount_(props, options.serviceAccount);
     
     // Now 'props' contains all configuration needed for the restore
-    return restoreFirestoreFromDriveCore(fileId, props);
+    if (options.dryRun) {
+        return previewRestore_(fileId, props, options);
+    }
+    return restoreFirestoreFromDriveCore_(fileId, props, options);
+}
+
+/**
+ * Validates the Firestore endpoint settings of a profile or a restore.
+ * @param {object} endpoint { database_id, api_url, emulator }, all optional.
+ * @param {string} source Where the settings come from, for the error messages (e.g. "Profile 'nightly'").
+ * @returns {object} { database_id, api_url (without trailing slash), emulator }, null for the values that are not set.
+ */
+function normalizeFirestoreEndpoint_(endpoint, source) {
+    const databaseId = endpoint.database_id || null;
+    if (databaseId && !DATABASE_ID_PATTERN.test(databaseId)) {
+        throw new Error(`Configuration error: ${source} has an invalid database ID (${databaseId}). Use '${DEFAULT_DATABASE_ID}' or 4 to 63 lowercase letters, digits and dashes, starting with a letter.`);
+    }
+
+    const apiUrl = endpoint.api_url ? String(endpoint.api_url).replace(/\/+$/, '') : null;
+    if (apiUrl && !/^https?:\/\/[^/]+/.test(apiUrl)) {
+        throw new Error(`Configuration error: ${source} has an invalid API URL (${apiUrl}). Use e.g. ${DEFAULT_FIRESTORE_API_URL}.`);
+    }
+
+    const emulator = endpoint.emulator === undefined || endpoint.emulator === null || endpoint.emulator === ''
+        ? null
+        : endpoint.emulator === true || endpoint.emulator === 'true';
+
+    return { database_id: databaseId, api_url: apiUrl, emulator: emulator };
+}
+
+/**
+ * Applies Firestore endpoint settings to the properties of an operation.
+ * The emulator mode needs an API URL: the emulator is never the Google endpoint. Outside of the
+ * emulator mode, the API URL must be a Google endpoint (*.googleapis.com): the requests carry the
+ * token of the service account, which must never be sent to another host.
+ * @param {object} props The properties (updated: firestore_database_id, firestore_api_url, firestore_emulator).
+ * @param {object} endpoint The normalized settings (see normalizeFirestoreEndpoint_). Null values keep the current ones.
+ * @returns {object} The updated props.
+ */
+function applyFirestoreEndpoint_(props, endpoint) {
+    if (endpoint.database_id) props.firestore_database_id = endpoint.database_id;
+    if (endpoint.api_url) props.firestore_api_url = endpoint.api_url;
+    if (endpoint.emulator !== null) props.firestore_emulator = endpoint.emulator;
+
+    if (props.firestore_emulator && (props.firestore_api_url || DEFAULT_FIRESTORE_API_URL) === DEFAULT_FIRESTORE_API_URL) {
+        throw new Error("Configuration error: The emulator mode needs the API URL of the emulator (e.g. https://<your tunnel to the emulator>/v1).");
+    }
+    if (!props.firestore_emulator && !GOOGLE_API_URL_PATTERN.test(props.firestore_api_url || DEFAULT_FIRESTORE_API_URL)) {
+        throw new Error(`Configuration error: The API URL ${props.firestore_api_url} is not a Google endpoint (*.googleapis.com). Other API URLs are only accepted in emulator mode, which never sends the service account token.`);
+    }
+    return props;
+}
+
+/**
+ * Builds the resource name of the documents root of the configured database.
+ * @param {object} props Object containing firebase_project_id and firestore_database_id (defaults to '(default)').
+ * @returns {string} The resource name (e.g. 'projects/p/databases/(default)/documents').
+ */
+function getFirestoreDocumentsRoot_(props) {
+    return `projects/${props.firebase_project_id}/databases/${props.firestore_database_id || DEFAULT_DATABASE_ID}/documents`;
+}
+
+/**
+ * Builds the base URL of the Firestore REST API documents resource for the configured project.
+ * @param {object} props Object containing firebase_project_id, firestore_database_id and firestore_api_url (defaults to the Google endpoint).
+ * @returns {string} The base URL (without trailing slash).
+ */
+function getFirestoreDocumentsUrl_(props) {
+    return `${props.firestore_api_url || DEFAULT_FIRESTORE_API_URL}/${getFirestoreDocumentsRoot_(props)}`;
+}
+
+/**
+ * Builds the full resource name of a document, as required by batchWrite/commit.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} path Path of the document relative to the database (e.g. 'users/abc').
+ * @returns {string} The full document name.
+ */
+function getFirestoreDocumentName_(props, path) {
+    return `${getFirestoreDocumentsRoot_(props)}/${path}`;
+}
+
+/**
+ * Extracts the path relative to the database from a full document name.
+ * @param {string} documentName Full name (e.g. 'projects/p/databases/(default)/documents/users/abc').
+ * @returns {string} The relative path (e.g. 'users/abc').
+ */
+function getRelativeDocumentPath_(documentName) {
+    const marker = '/documents/';
+    return documentName.substring(documentName.indexOf(marker) + marker.length);
 }
 
 /**
  * Converts a simple JavaScript value (string, number, boolean) or complex
  * (Date, array, object) to the field format required by the Firestore REST API.
+ * NOTE: Only used for legacy (untyped) backup files, where the types have to be guessed.
  * @param {any} value The value to convert.
  * @returns {object} The field object with Firestore type (e.g., {stringValue: '...'})
  */
-function formatToFirestoreField(value) {
+function formatToFirestoreField_(value) {
     if (value === null) {
         return { 'nullValue': null };
     }
@@ -66,7 +207,7 @@ function formatToFirestoreField(value) {
     
     if (Array.isArray(value)) {
         // Recursively map each element of the array
-        const arrayValues = value.map(formatToFirestoreField);
+        const arrayValues = value.map(formatToFirestoreField_);
         return {
             'arrayValue': {
                 'values': arrayValues
@@ -79,7 +220,7 @@ function formatToFirestoreField(value) {
         const mapFields = {};
         for (const key in value) {
             if (value.hasOwnProperty(key)) {
-                mapFields[key] = formatToFirestoreField(value[key]);
+                mapFields[key] = formatToFirestoreField_(value[key]);
             }
         }
         return {
@@ -98,108 +239,611 @@ function formatToFirestoreField(value) {
  /**
   * RESTORATION CORE FUNCTION
   * Performs the actual restoration using the Service Account token.
+  * The restore runs as a resumable job (see Jobs.js): if it does not finish within
+  * the time budget, it continues automatically in a later execution.
   * @param {string} fileId The Drive File ID of the backup JSON file.
   * @param {object} props Object containing firebase_project_id, collection_name, and service_account_key.
-  * @returns {string} Status message.
+  * @param {object} [options] Optional: { mode, strategy, sourceCollection, selection, migration } (see executeRestore),
+  *   and rollbackOf: the ID of the restore job that this restore undoes (see rollbackRestore).
+  *   The service account is read from props.service_account, the endpoint from props.firestore_*.
+  * @returns {object} Restore result: { jobId, state, message, collection, successCount, failureCount, deleteCount, deadLetterFileId,
+  *   snapshotFileId (see Snapshots.js), results: [{ path, success, error }] }.
   */
-function restoreFirestoreFromDriveCore(fileId, props) {
-    let accessToken;
-    let documentsToRestore; // Variable declared here to be accessible across the scope
-    
-    // Use the collection and project ID from the props object
-    const { firebase_project_id, collection_name } = props;
-    
-    try {
-        // 1. AUTHENTICATION
-        // Ensure getServiceAccessToken is available and working
-        accessToken = getServiceAccessToken(props.service_account_key);
-        Logger.log("Authentication successful.");
-
-        // 2. DRIVE READING PHASE (Robust error handling)
-        Logger.log(`PHASE 1: Starting file read for ID: ${fileId}`);
-        let content;
-        
-        try {
-            // Try to get the file by ID
-            const file = DriveApp.getFileById(fileId); 
-            
-            // Verify the file is valid or the ID is correct
-            if (!file) {
-                 throw new Error(`Drive file not found or ID is invalid: ${fileId}`);
-            }
-            
-            // Try to read the content
-            content = file.getBlob().getDataAsString();
-            
-        } catch (e) {
-            // Catch DriveApp-specific errors (Permissions, invalid ID, etc.)
-            Logger.log(`DRIVE ERROR: Failed to read file ${fileId}. Error: ${e.message}`);
-            // Rethrow with a clear message about the source of the problem
-            throw new Error(`Could not read the Drive file. Verify the ID (${fileId}) and your account's access permissions.`);
+function restoreFirestoreFromDriveCore_(fileId, props, options) {
+    options = options || {};
+
+    // Only the user-supplied values are stored in the job (the service account key is read again on each step)
+    const job = createJob_("restore", {
+        fileId: fileId,
+        projectId: props.firebase_project_id,
+        collectionName: props.collection_name,
+        sourceCollection: options.sourceCollection || null,
+        mode: options.mode || 'overwrite',
+        strategy: options.strategy || 'merge',
+        serviceAccount: props.service_account,
+        endpoint: {
+            database_id: props.firestore_database_id,
+            api_url: props.firestore_api_url,
+            emulator: props.firestore_emulator
+        },
+        selection: options.selection || null,
+        migration: options.migration || null,
+        rollbackOf: options.rollbackOf || null,
+        trigger: options.trigger || 'web',
+    });
+    const finishedJob = runJob_(job.id);
+
+    if (finishedJob.state === JOB_STATE_FAILED) {
+        // Catch general errors from Auth, JSON.parse, or rethrown errors
+        const errorMessage = finishedJob.error.includes("Restore failed")
+                             ? finishedJob.error
+                             : `Restore failed: Check the Service Key, Project ID, or Firestore permissions. Cause: ${finishedJob.error}`;
+
+        Logger.log(`❌ FINAL RESTORATION ERROR: ${finishedJob.error}`);
+        throw new Error(errorMessage);
+    }
+
+    if (finishedJob.state !== JOB_STATE_DONE) {
+        return {
+            jobId: finishedJob.id,
+            state: finishedJob.state,
+            message: `Restore continues in the background (job ${finishedJob.id}): ${finishedJob.checkpoint.progress}.`,
+            collection: props.collection_name,
+            successCount: finishedJob.checkpoint.successCount,
+            failureCount: finishedJob.checkpoint.failureCount,
+            deleteCount: finishedJob.checkpoint.deleteCount,
+            snapshotFileId: finishedJob.checkpoint.snapshotFileId || null,
+            results: [],
+        };
+    }
+
+    return Object.assign({ jobId: finishedJob.id, state: finishedJob.state }, finishedJob.result, {
+        results: readRestoreResults_(finishedJob),
+    });
+}
+
+/**
+ * Reads a backup file and lists the documents to write under the target collection.
+ * An incremental backup is rebuilt from its chain (see readBackupCollection_).
+ * The subcollection depth of the backup is copied to props, so the live documents
+ * are listed down to the same depth (see fetchLiveDocuments_).
+ * @param {object} props Object containing collection_name (updated with subcollection_depth).
+ * @param {string} fileId The Drive File ID of the backup file.
+ * @param {object} options { sourceCollection (to pick from archive/manifest backups), selection (normalized, see RestoreSelection.js),
+ *   migration (normalized, see Migrations.js) }. All optional.
+ * @returns {object} { backup, documentsToWrite: [{ path, fields, fieldMask }] }.
+ */
+function readRestoreDocuments_(props, fileId, options) {
+    const { selection, migration } = options;
+    Logger.log(`PHASE 1: Starting file read for ID: ${fileId}`);
+    const backup = readBackupCollection_(fileId, options.sourceCollection);
+    props.subcollection_depth = backup.header.subcollectionDepth || 0;
+
+    Logger.log(`File read (format version ${backup.header.formatVersion}, source collection '${backup.collection}'). Found ${backup.documents.length} documents to restore.`);
+
+    // Flatten the document tree (subcollections included) into full document paths
+    let documentsToWrite = flattenBackupDocuments_(backup.documents, props.collection_name);
+    Logger.log(`Documents to write (subcollections included): ${documentsToWrite.length}.`);
+
+    if (selection) {
+        documentsToWrite = selectRestoreDocuments_(documentsToWrite, props.collection_name, selection);
+        Logger.log(`Selective restore (${describeRestoreSelection_(selection)}): ${documentsToWrite.length} documents selected.`);
+        if (documentsToWrite.length === 0) {
+            throw new Error(`Restore failed: No document of the backup matches the selection (${describeRestoreSelection_(selection)}).`);
         }
-        
-        // Content verification
-        if (!content || content.trim().length === 0) {
-            throw new Error("The Drive file is empty or does not contain JSON data.");
+    }
+
+    if (migration) {
+        documentsToWrite = applyMigration_(documentsToWrite, migration, {
+            sourceProject: backup.header.project || null,
+            sourceDatabase: backup.header.database || DEFAULT_DATABASE_ID,
+            targetProject: props.firebase_project_id,
+            targetDatabase: props.firestore_database_id,
+            sourceCollection: backup.collection,
+            targetCollection: props.collection_name,
+        });
+    }
+
+    return { backup: backup, documentsToWrite: documentsToWrite };
+}
+
+/**
+ * Runs one step of a restore job (see Jobs.js).
+ * The backup file is read again on each step and the writes continue from the
+ * index saved in the checkpoint. The per-document results of each round are
+ * saved as a results file next to the backup file. With the 'replace' strategy,
+ * a last phase deletes the live documents that are not in the backup. Nothing is
+ * written before the safety snapshot of the target collection is saved (see Snapshots.js).
+ * @param {object} job The restore job record ({ params: { fileId, projectId, collectionName, sourceCollection, mode, strategy, serviceAccount, endpoint, selection, migration, rollbackOf } }).
+ * @param {number} deadline Timestamp (ms) when the step must stop.
+ * @returns {boolean} True when the restore is finished.
+ */
+function runRestoreJobStep_(job, deadline) {
+    const params = job.params;
+    const checkpoint = job.checkpoint;
+
+    // 0. GET PROPERTIES and override key properties with the user-supplied values
+    const props = getProjectProperties_();
+    props.collection_name = params.collectionName;
+    props.firebase_project_id = params.projectId;
+    if (params.endpoint) applyFirestoreEndpoint_(props, params.endpoint);
+    applyServiceAccount_(props, params.serviceAccount);
+
+    // Use the collection from the props object (the project ID is used by getFirestoreDocumentsUrl_)
+    const { collection_name } = props;
+
+    // 1. AUTHENTICATION
+    // Ensure getFirestoreAccessToken_ is available and working
+    const accessToken = getFirestoreAccessToken_(props);
+    Logger.log("Authentication successful.");
+
+    // 2. DRIVE READING PHASE (Robust error handling in readBackupFile_)
+    const { backup, documentsToWrite: backupDocuments } = readRestoreDocuments_(props, params.fileId, params);
+
+    // A rollback only restores the documents that its restore wrote or deleted (see Snapshots.js)
+    const touchedPaths = params.rollbackOf ? getRestoreTouchedPaths_(params.rollbackOf) : null;
+    const documentsToWrite = touchedPaths ? backupDocuments.filter(doc => touchedPaths[doc.path]) : backupDocuments;
+
+    // First step: check the target and initialize the checkpoint
+    if (checkpoint.index === undefined) {
+        assertRestoreStrategyFits_(backup, params.mode, params.strategy);
+        if (params.mode === 'new') {
+            assertCollectionIsEmpty_(props, accessToken, collection_name);
         }
-        
-        // Parse JSON
-        documentsToRestore = JSON.parse(content);
-        
-        Logger.log(`File read. Found ${documentsToRestore.length} documents to restore.`);
-
-        // 3. FIRESTORE WRITING PHASE (Patching each document)
-        Logger.log("PHASE 2: Starting restoration (PATCH operations)...");
-        let successCount = 0;
-        
-        documentsToRestore.forEach(docData => {
-            const docId = docData.docId;
-            delete docData.docId;
-
-            // Field formatting (ensure formatToFirestoreField is available)
-            const formattedFields = {};
-            for (const key in docData) {
-                if (docData.hasOwnProperty(key)) {
-                    // Ensure formatToFirestoreField is defined and working
-                    formattedFields[key] = formatToFirestoreField(docData[key]);
-                }
-            }
-            
-            const payload = { fields: formattedFields };
-            
-            // Build the Firestore REST API URL
-            const apiUrl = `https://firestore.googleapis.com/v1/projects/${firebase_project_id}/databases/(default)/documents/${collection_name}/${docId}`;
-
-            const options = {
-                method: "PATCH",
+
+        checkpoint.index = 0;
+        checkpoint.successCount = 0;
+        checkpoint.failureCount = 0;
+        checkpoint.deleteCount = 0;
+        checkpoint.resultPartCount = 0;
+        const backupFile = DriveApp.getFileById(params.fileId);
+        checkpoint.resultsFolderId = backupFile.getParents().next().getId();
+        checkpoint.sourceBytes = backupFile.getSize();
+        checkpoint.progress = `0 of ${documentsToWrite.length} documents written`;
+        checkpoint.snapshotPending = true;
+    }
+
+    // SAFETY SNAPSHOT PHASE: back up the target collection before the first write
+    if (checkpoint.snapshotPending) {
+        if (!runRestoreSnapshot_(job, props.subcollection_depth, deadline)) return false;
+        checkpoint.snapshotPending = false;
+        checkpoint.progress = `0 of ${documentsToWrite.length} documents written`;
+        if (!saveJobCheckpoint_(job)) return false;
+    }
+    const resultsFolder = DriveApp.getFolderById(checkpoint.resultsFolderId);
+
+    // 3. FIRESTORE WRITING PHASE (batchWrite requests sent in parallel)
+    Logger.log(`PHASE 2: Starting restoration at document ${checkpoint.index + 1} (batchWrite, up to ${BATCH_WRITE_SIZE} writes per request)...`);
+    const roundSize = BATCH_WRITE_SIZE * PARALLEL_REQUESTS;
+
+    /**
+     * Sends a round of writes and saves its results (and its failed writes, see DeadLetters.js)
+     * before moving the checkpoint forward.
+     * @param {Array<object>} writes List of { path, write } objects.
+     * @returns {Array<object>} The results of the round.
+     */
+    const runRound = (writes) => {
+        const results = executeBatchWrites_(props, accessToken, writes);
+
+        checkpoint.resultPartCount++;
+        resultsFolder.createFile(
+            getRestoreResultsFileName_(job.id, checkpoint.resultPartCount),
+            JSON.stringify(results),
+            "application/json"
+        );
+        saveDeadLetters_(job, resultsFolder, writes, results);
+        return results;
+    };
+
+    while (checkpoint.index < documentsToWrite.length) {
+        if (Date.now() > deadline) return false;
+
+        const writes = documentsToWrite.slice(checkpoint.index, checkpoint.index + roundSize).map(doc => ({
+            path: doc.path,
+            // The fields are already in the Firestore REST format, so they are sent as they are
+            write: buildRestoreWrite_(props, doc, params.mode, params.strategy),
+        }));
+        const results = runRound(writes);
+
+        const successCount = results.filter(result => result.success).length;
+        checkpoint.successCount += successCount;
+        checkpoint.failureCount += results.length - successCount;
+        checkpoint.index += writes.length;
+        checkpoint.progress = `${checkpoint.index} of ${documentsToWrite.length} documents written`;
+
+        if (!saveJobCheckpoint_(job)) return false;
+    }
+
+    // 4. DELETE PHASE ('replace' only): remove the live documents that are not in the backup (never for a selective restore).
+    // A rollback only removes the documents that its restore created.
+    if (params.mode === 'overwrite' && params.strategy === 'replace' && !params.selection) {
+        if (Date.now() > deadline) return false;
+
+        Logger.log(`PHASE 3: Looking for documents in '${collection_name}' that are not in the backup...`);
+        const backupPaths = {};
+        backupDocuments.forEach(doc => { backupPaths[doc.path] = true; });
+
+        // The list is built again on each step, so the deletes of a previous step are not repeated
+        const pathsToDelete = fetchLiveDocuments_(props, accessToken, collection_name)
+            .map(doc => doc.path)
+            .filter(path => !backupPaths[path] && (!touchedPaths || touchedPaths[path]));
+        Logger.log(`Documents to delete: ${pathsToDelete.length}.`);
+
+        for (let i = 0; i < pathsToDelete.length; i += roundSize) {
+            if (Date.now() > deadline) return false;
+
+            const writes = pathsToDelete.slice(i, i + roundSize).map(path => ({
+                path: path,
+                write: { delete: getFirestoreDocumentName_(props, path) },
+            }));
+            const results = runRound(writes);
+
+            const deleteCount = results.filter(result => result.success).length;
+            checkpoint.deleteCount += deleteCount;
+            checkpoint.failureCount += results.length - deleteCount;
+            checkpoint.progress = `${checkpoint.index} of ${documentsToWrite.length} documents written, ${checkpoint.deleteCount} deleted`;
+
+            if (!saveJobCheckpoint_(job)) return false;
+        }
+    }
+
+    job.result = {
+        message: (params.rollbackOf ? `Rollback of ${params.rollbackOf} complete.` : 'Restore complete.') +
+            ` ${checkpoint.successCount} documents restored/updated in '${collection_name}'` +
+            (checkpoint.deleteCount > 0 ? `, ${checkpoint.deleteCount} deleted` : "") +
+            (checkpoint.failureCount > 0 ? `, ${checkpoint.failureCount} failed.` : ".") +
+            (backup.header.query ? ` The backup was partial (${describeBackupQuery_(backup.header.query)}).` : "") +
+            (params.selection ? ` Selection: ${describeRestoreSelection_(params.selection)}.` : "") +
+            (params.migration ? ` Migration: ${params.migration.name}.` : "") +
+            (checkpoint.deadLetterFileId ? ` The failed writes were saved to ${getDeadLetterFileName_(job.id)} to be retried later.` : "") +
+            (checkpoint.snapshotFileId ? ` The collection was backed up before the restore (${DriveApp.getFileById(checkpoint.snapshotFileId).getName()}).` : ""),
+        collection: collection_name,
+        successCount: checkpoint.successCount,
+        failureCount: checkpoint.failureCount,
+        deleteCount: checkpoint.deleteCount,
+        deadLetterFileId: checkpoint.deadLetterFileId || null,
+        snapshotFileId: checkpoint.snapshotFileId || null,
+        rollbackOf: params.rollbackOf || null,
+    };
+    return true;
+}
+
+/**
+ * Throws if a restore strategy would destroy data that a partial backup does not hold:
+ * 'replace' deletes the documents outside the query of the backup (see Queries.js)
+ * and the fields outside its projection.
+ * @param {object} backup The resolved backup ({ header }).
+ * @param {string} mode 'overwrite' or 'new'.
+ * @param {string} strategy 'merge' or 'replace'.
+ */
+function assertRestoreStrategyFits_(backup, mode, strategy) {
+    if (backup.header.query && mode === 'overwrite' && strategy === 'replace') {
+        throw new Error(`Restore failed: The backup is partial (${describeBackupQuery_(backup.header.query)}). ` +
+            `The 'replace' strategy would delete the documents and fields it does not hold. Use the 'merge' strategy.`);
+    }
+}
+
+/**
+ * Builds the Firestore Write object that restores a document.
+ * - 'new': creates the document and fails if it already exists.
+ * - 'overwrite' + 'merge': only the backed-up fields are written (updateMask), other live fields are kept.
+ *   With a fieldMask (selective restore), the masked fields that the backed-up document lacks are removed.
+ * - 'overwrite' + 'replace': the whole document is replaced by the backed-up version.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {object} doc The document to restore ({ path, fields, fieldMask }).
+ * @param {string} mode 'overwrite' or 'new'.
+ * @param {string} strategy 'merge' or 'replace'.
+ * @returns {object} The Write object for batchWrite.
+ */
+function buildRestoreWrite_(props, doc, mode, strategy) {
+    const write = { update: { name: getFirestoreDocumentName_(props, doc.path), fields: doc.fields } };
+
+    if (mode === 'new') {
+        write.currentDocument = { exists: false };
+    } else if (strategy !== 'replace') {
+        write.updateMask = { fieldPaths: (doc.fieldMask || Object.keys(doc.fields)).map(quoteFieldPath_) };
+    }
+
+    return write;
+}
+
+/**
+ * Quotes a field name for use in a field path (updateMask), as required by Firestore
+ * for names that are not simple identifiers (e.g. 'first-name' -> '`first-name`').
+ * @param {string} fieldName The field name.
+ * @returns {string} The field path segment.
+ */
+function quoteFieldPath_(fieldName) {
+    if (/^[a-zA-Z_][a-zA-Z_0-9]*$/.test(fieldName)) return fieldName;
+    return '`' + fieldName.replace(/\\/g, '\\\\').replace(/`/g, '\\`') + '`';
+}
+
+/**
+ * Throws if the target collection of a 'new' restore already contains documents.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {string} collectionName The target collection.
+ */
+function assertCollectionIsEmpty_(props, accessToken, collectionName) {
+    // showMissing also finds documents that only hold subcollections
+    const apiUrl = `${getFirestoreDocumentsUrl_(props)}/${collectionName}?pageSize=1&showMissing=true`;
+    const response = fetchWithRetry_(apiUrl, {
+        method: "get",
+        muteHttpExceptions: true,
+        headers: {
+            Authorization: "Bearer " + accessToken,
+        },
+    }, "Empty collection check");
+    assertTokenAccepted_(response, accessToken);
+
+    if (response.getResponseCode() !== 200) {
+        Logger.log(`[HTTP Error ${response.getResponseCode()}] Could not check the target collection. Response: ${response.getContentText()}`);
+        throw new Error(`Restore failed: Could not check if the collection '${collectionName}' is empty (Code ${response.getResponseCode()}).`);
+    }
+
+    const result = JSON.parse(response.getContentText() || '{}');
+    if ((result.documents || []).length > 0) {
+        throw new Error(`Restore failed: The collection '${collectionName}' already has documents. Choose a new collection name or use the 'overwrite' mode.`);
+    }
+}
+
+/**
+ * Lists the live documents of a collection, down to props.subcollection_depth levels of subcollections.
+ * @param {object} props Object containing firebase_project_id and subcollection_depth.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {string} collectionPath Path of the collection (e.g. 'users').
+ * @returns {Array<object>} The documents: [{ path, fields }].
+ */
+function fetchLiveDocuments_(props, accessToken, collectionPath) {
+    const entries = fetchCollectionEntries_(props, accessToken, collectionPath, props.subcollection_depth || 0);
+    return flattenBackupDocuments_(entries, collectionPath);
+}
+
+/**
+ * DRY RUN: compares the backup with the live target collection without writing anything.
+ * @param {string} fileId The Drive File ID of the backup file.
+ * @param {object} props Object containing firebase_project_id, collection_name, and service_account_key.
+ * @param {object} options { mode, strategy, sourceCollection, selection, migration } (see executeRestore).
+ * @returns {object} Report: { dryRun: true, message, collection, query (of a partial backup, or null), mode, strategy, creates, updates, unchanged, deletes,
+ *   samples: [{ path, action: 'create'|'update'|'delete', changes: [{ field, change, before, after }] }] }.
+ */
+function previewRestore_(fileId, props, options) {
+    const { collection_name } = props;
+    const accessToken = getFirestoreAccessToken_(props);
+    Logger.log("Authentication successful.");
+
+    const { backup, documentsToWrite } = readRestoreDocuments_(props, fileId, options);
+    assertRestoreStrategyFits_(backup, options.mode, options.strategy);
+
+    if (options.mode === 'new') {
+        assertCollectionIsEmpty_(props, accessToken, collection_name);
+    }
+
+    Logger.log(`PHASE 2 (DRY RUN): Reading the live documents of '${collection_name}'...`);
+    const liveFields = {};
+    if (options.mode !== 'new') {
+        fetchLiveDocuments_(props, accessToken, collection_name).forEach(doc => { liveFields[doc.path] = doc.fields; });
+    }
+
+    const report = {
+        dryRun: true,
+        collection: collection_name,
+        query: backup.header.query || null,
+        mode: options.mode,
+        strategy: options.mode === 'new' ? null : options.strategy,
+        creates: 0,
+        updates: 0,
+        unchanged: 0,
+        deletes: 0,
+        samples: [],
+    };
+    const addSample = (path, action, changes) => {
+        if (report.samples.length < DRY_RUN_SAMPLE_SIZE) {
+            report.samples.push({ path: path, action: action, changes: changes });
+        }
+    };
+
+    documentsToWrite.forEach(doc => {
+        if (!liveFields.hasOwnProperty(doc.path)) {
+            report.creates++;
+            addSample(doc.path, 'create', diffDocumentFields_({}, doc.fields));
+            return;
+        }
+
+        // 'merge' keeps the live fields that are not in the backup (or not selected)
+        const live = liveFields[doc.path];
+        let restored = options.strategy === 'replace' ? doc.fields : Object.assign({}, live, doc.fields);
+        if (doc.fieldMask) {
+            restored = Object.assign({}, live);
+            doc.fieldMask.forEach(name => { delete restored[name]; });
+            Object.assign(restored, doc.fields);
+        }
+        const changes = diffDocumentFields_(live, restored);
+
+        if (changes.length > 0) {
+            report.updates++;
+            addSample(doc.path, 'update', changes);
+        } else {
+            report.unchanged++;
+        }
+        delete liveFields[doc.path];
+    });
+
+    // What is left in liveFields is not in the backup: only 'replace' deletes it (never for a selective restore)
+    if (options.mode === 'overwrite' && options.strategy === 'replace' && !options.selection) {
+        Object.keys(liveFields).forEach(path => {
+            report.deletes++;
+            addSample(path, 'delete', diffDocumentFields_(liveFields[path], {}));
+        });
+    }
+
+    report.message = `Dry run: ${report.creates} documents would be created, ${report.updates} updated, ` +
+        `${report.deletes} deleted and ${report.unchanged} left unchanged in '${collection_name}'. Nothing was written.` +
+        (report.query ? ` The backup is partial (${describeBackupQuery_(report.query)}).` : '') +
+        (options.selection ? ` Selection: ${describeRestoreSelection_(options.selection)}.` : '') +
+        (options.migration ? ` Migration: ${options.migration.name}.` : '');
+    Logger.log(report.message);
+    return report;
+}
+
+/**
+ * Builds the name of a results file of a restore job.
+ * @param {string} jobId The job ID.
+ * @param {number} partNumber The part number (1-based).
+ * @returns {string} The file name.
+ */
+function getRestoreResultsFileName_(jobId, partNumber) {
+    return `${jobId}.results-${('000' + partNumber).slice(-4)}.json`;
+}
+
+/**
+ * Reads the per-document results of a restore job.
+ * @param {object} job The restore job record.
+ * @returns {Array<object>} The results ({ path, success, error }).
+ */
+function readRestoreResults_(job) {
+    const checkpoint = job.checkpoint;
+    if (!checkpoint.resultPartCount) return [];
+
+    const resultsFolder = DriveApp.getFolderById(checkpoint.resultsFolderId);
+    let results = [];
+
+    for (let partNumber = 1; partNumber <= checkpoint.resultPartCount; partNumber++) {
+        const files = resultsFolder.getFilesByName(getRestoreResultsFileName_(job.id, partNumber));
+        if (files.hasNext()) {
+            results = results.concat(JSON.parse(files.next().getBlob().getDataAsString()));
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Moves the results files of a restore job to the trash.
+ * @param {object} job The restore job record.
+ */
+function trashRestoreResults_(job) {
+    const checkpoint = job.checkpoint;
+    if (!checkpoint.resultPartCount) return;
+
+    const resultsFolder = DriveApp.getFolderById(checkpoint.resultsFolderId);
+    for (let partNumber = 1; partNumber <= checkpoint.resultPartCount; partNumber++) {
+        const files = resultsFolder.getFilesByName(getRestoreResultsFileName_(job.id, partNumber));
+        while (files.hasNext()) {
+            files.next().setTrashed(true);
+        }
+    }
+}
+
+/**
+ * Sends a list of writes to Firestore using documents:batchWrite.
+ * Writes are grouped in requests of up to BATCH_WRITE_SIZE, and up to
+ * PARALLEL_REQUESTS requests are sent in parallel (see fetchAllWithRetry_), within
+ * the write rate cap (see throttleWrites_). The writes rejected with a transient
+ * status (RETRYABLE_WRITE_CODES) are sent again with backoff, up to the
+ * "max_retries" of the retry policy. If Firestore rejects the Access Token (expired or
+ * revoked), a new token is read once and only the rejected requests are sent again, so the
+ * writes that went through are never repeated. A request sent again after a server error may
+ * have been applied the first time: its 'new' writes (which must not find their document)
+ * that fail with ALREADY_EXISTS are counted as written.
+ * NOTE: batchWrite does not apply the writes atomically, each one succeeds or fails on its own.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {Array<object>} writes List of { path, write } objects (write = Firestore Write object).
+ * @returns {Array<object>} One result per write: { path, success, error }.
+ */
+function executeBatchWrites_(props, accessToken, writes) {
+    const apiUrl = `${getFirestoreDocumentsUrl_(props)}:batchWrite`;
+    const policy = getHttpRetryPolicy_();
+    const results = new Array(writes.length);
+    let pending = writes.map((item, index) => index);
+    let tokenRenewed = false;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+        if (attempt > 0) {
+            const delay = computeRetryDelay_(policy, attempt - 1);
+            Logger.log(`...Retrying ${pending.length} rejected writes (retry ${attempt} of ${policy.max_retries}) in ${delay} ms`);
+            Utilities.sleep(delay);
+        }
+
+        // 1. Split the writes into batches
+        const batches = [];
+        for (let i = 0; i < pending.length; i += BATCH_WRITE_SIZE) {
+            batches.push(pending.slice(i, i + BATCH_WRITE_SIZE));
+        }
+
+        // 2. Send the batches in groups of parallel requests
+        const retry = [];
+        for (let i = 0; i < batches.length; i += PARALLEL_REQUESTS) {
+            const group = batches.slice(i, i + PARALLEL_REQUESTS);
+            Logger.log(`...Sending batches ${i + 1}-${i + group.length} of ${batches.length}`);
+
+            const requests = group.map(batch => ({
+                url: apiUrl,
+                method: "post",
+                contentType: "application/json",
                 muteHttpExceptions: true,
                 headers: {
                     Authorization: "Bearer " + accessToken,
-                    "Content-Type": "application/json",
                 },
-                payload: JSON.stringify(payload),
-            };
+                payload: JSON.stringify({ writes: batch.map(index => writes[index].write) }),
+            }));
 
-            const response = UrlFetchApp.fetch(apiUrl, options);
-            const responseCode = response.getResponseCode();
+            throttleWrites_(group.reduce((count, batch) => count + batch.length, 0));
+            const sendCounts = [];
+            const responses = fetchAllWithRetry_(requests, "batchWrite", sendCounts);
+            if (responses.some(response => response.getResponseCode() === 401)) {
+                if (tokenRenewed) {
+                    responses.forEach(response => assertTokenAccepted_(response, accessToken));
+                }
+                invalidateAccessToken_(accessToken);
+                accessToken = getFirestoreAccessToken_(props);
+                tokenRenewed = true;
+                Logger.log("AUTH PHASE: Access token rejected, the rejected batches are sent again with a new token.");
+            }
 
-            if (responseCode === 200) {
-                successCount++;
-            } else {
+            // 3. Map each write status back to its document
+            responses.forEach((response, index) => {
+                const batch = group[index];
+                const responseCode = response.getResponseCode();
                 const responseText = response.getContentText();
-                Logger.log(`[Error PATCH ${docId}] Code: ${responseCode}, Response: ${responseText}`);
-            }
-        });
-        
-        return `Restore complete. ${successCount} documents restored/updated in '${collection_name}'.`;
 
-    } catch (e) {
-        // Catch general errors from Auth, JSON.parse, or rethrown errors
-        const errorMessage = e.message && e.message.includes("Restore failed") 
-                             ? e.message 
-                             : `Restore failed: Check the Service Key, Project ID, or Firestore permissions. Cause: ${e.message}`;
-                             
-        Logger.log(`❌ FINAL RESTORATION ERROR: ${e.toString()}`);
-        throw new Error(errorMessage);
+                if (responseCode === 401) {
+                    // Nothing of this batch was written: it is sent again with the new token
+                    batch.forEach(writeIndex => retry.push(writeIndex));
+                    return;
+                }
+
+                if (responseCode !== 200) {
+                    Logger.log(`[Error batchWrite] Code: ${responseCode}, Response: ${responseText}`);
+                    batch.forEach(writeIndex => {
+                        results[writeIndex] = { path: writes[writeIndex].path, success: false, error: `HTTP ${responseCode}` };
+                    });
+                    return;
+                }
+
+                const statuses = JSON.parse(responseText).status || [];
+                batch.forEach((writeIndex, position) => {
+                    const item = writes[writeIndex];
+                    const status = statuses[position] || {};
+                    const createdBefore = status.code === ALREADY_EXISTS_WRITE_CODE && sendCounts[index] > 1 &&
+                        item.write.currentDocument && item.write.currentDocument.exists === false;
+                    if (createdBefore) {
+                        Logger.log(`[Write ${item.path}] Already created by the first attempt of its request.`);
+                    }
+                    if (!status.code || createdBefore) {
+                        results[writeIndex] = { path: item.path, success: true };
+                    } else if (RETRYABLE_WRITE_CODES.indexOf(status.code) !== -1 && attempt < policy.max_retries) {
+                        retry.push(writeIndex);
+                    } else {
+                        Logger.log(`[Error write ${item.path}] Code: ${status.code}, Message: ${status.message}`);
+                        results[writeIndex] = { path: item.path, success: false, error: status.message || `Code ${status.code}` };
+                    }
+                });
+            });
+        }
+        pending = retry;
     }
-}
\ No newline at end of file
+
+    return results;
+}
@@ -3,30 +3,97 @@
  */
 
 function doGet() {
+  // Visitors without a role in ACCESS_CONTROL get the reason instead of the UI (see Access.js)
+  try {
+    authorizeAction_(ACCESS_ROLE_VIEWER, "open", null);
+  } catch (e) {
+    return HtmlService.createHtmlOutput(
+      `<p>${e.message.replace(/&/g, "&amp;").replace(/</g, "&lt;")}</p>`
+    );
+  }
+
   let template = HtmlService.createTemplateFromFile("index");
 
   // You can pass data to the HTML template using template variables
   return template.evaluate();
 }
 
-function includeCSS(filename) {
+function includeCSS_(filename) {
   return HtmlService.createHtmlOutputFromFile(filename).getContent();
 }
 
-function includeJS(filename) {
+function includeJS_(filename) {
   return HtmlService.createHtmlOutputFromFile(filename).getContent();
 }
 
 
+/**
+ * Lists the configured backup profiles for the profile selector.
+ * @returns {Array<object>} The profiles ({ name, collections, output, project, filtered }).
+ */
+function getBackupProfileList() {
+  requireRole_(ACCESS_ROLE_VIEWER, "profiles.list");
+  const profiles = getBackupProfiles_();
+  return Object.keys(profiles).map((name) => {
+    const profile = profiles[name];
+    return {
+      name: name,
+      collections:
+        profile.collections === ALL_ROOT_COLLECTIONS
+          ? "all root collections"
+          : profile.collections.join(", "),
+      output: profile.output,
+      project: profile.project_id,
+      filtered: !!profile.query,
+    };
+  });
+}
+
+/**
+ * Lists the configured service accounts for the service account selector of the restore form.
+ * @returns {Array<object>} The accounts ({ name, project, email }).
+ */
+function getServiceAccountList() {
+  requireRole_(ACCESS_ROLE_ADMIN, "service_accounts.list");
+  return Object.keys(getServiceAccountDefinitions_()).map((name) => {
+    const account = getServiceAccount_(name);
+    return {
+      name: name,
+      project: account.project_id,
+      email: account.key.client_email,
+    };
+  });
+}
+
+/**
+ * Lists the configured migrations for the migration selector of the restore form.
+ * @returns {Array<object>} The migrations ({ name, anonymize, production_projects }).
+ */
+function getMigrationList() {
+  requireRole_(ACCESS_ROLE_ADMIN, "migrations.list");
+  const migrations = getMigrations_();
+  return Object.keys(migrations).map((name) => {
+    const migration = normalizeMigration_(name, migrations[name]);
+    return {
+      name: name,
+      anonymize: !!migration.anonymize,
+      production_projects: migration.production_projects,
+    };
+  });
+}
+
 /**
  * Fetches a segment of backup files for pagination, sorted by date (newest first).
  * @param {number} start The starting index (zero-based).
  * @param {number} limit The maximum number of elements to return (always 10).
+ * @param {string} [profileName] Optional: The profile whose backup folder is listed. Defaults to the "default" profile.
  * @returns {object} An object containing the paginated file data and the total file count.
  */
-function getBackupFiles(start, limit) {
+function getBackupFiles(start, limit, profileName) {
+  requireRole_(ACCESS_ROLE_VIEWER, "backups.list");
+
   try {
-    const folderId = getProjectProperties().backup_folder_id;
+    const folderId = getProfileProperties_(profileName).backup_folder_id;
     if (!folderId) {
       throw new Error("Backup folder ID is not configured in project properties.");
     }
@@ -38,11 +105,19 @@ function getBackupFiles(start, limit) {
     // 1. Get ALL data and convert the date string back to a Date object for sorting
     while (files_iterator.hasNext()) {
       const file = files_iterator.next();
+
+      // Skip the working files of jobs (partial backups, restore results)
+      if (isAuxiliaryFileName_(file.getName())) continue;
+
       all_files_array.push({
         date: file.getDateCreated(), // Keep it as a Date object initially
         name: file.getName(),
         size: `${(file.getSize() / 1024).toFixed(2)} KB`,
         id: file.getId(),
+        pinned: isBackupPinned_(file),
+        format: getBackupFileFormat_(file.getName()),
+        integrity: getBackupIntegrityState_(file),
+        chain: getBackupChainLabel_(file),
       });
     }
     
@@ -84,6 +159,8 @@ function getBackupFiles(start, limit) {
  * @returns {string}      // download url to get the actual file 
  */
 function generateDownloadUrl(fileId) {
+  authorizeAction_(ACCESS_ROLE_VIEWER, "download", fileId);
+
   try {
     const downloadUrl = `https://drive.google.com/uc?export=download&id=${fileId}`;
     return downloadUrl;
@@ -91,4 +168,132 @@ function generateDownloadUrl(fileId) {
     Logger.log("Error to generate the download link " + fileId + ": " + e.toString());
     throw new Error("Dowload link generation error. Make sure the file exist or you have permissions on it");
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Lists the scheduled backups for the Schedules section. Duplicated schedules are
+ * only flagged: they are removed by the next schedule change (see collapseDuplicateSchedules_).
+ * @returns {object} { schedules: [{ id, profileName, description, nextRun, lastRun, unmanaged, duplicate }], duplicates }.
+ */
+function getSchedules() {
+  requireRole_(ACCESS_ROLE_VIEWER, "schedules.list");
+  const schedules = readSchedules_();
+  const triggers = ScriptApp.getProjectTriggers().filter(
+    (trigger) => trigger.getHandlerFunction() === SCHEDULE_HANDLER
+  );
+  const duplicates = findDuplicateSchedules_(schedules, triggers);
+  const now = new Date();
+
+  const list = triggers.map((trigger) => {
+    const id = trigger.getUniqueId();
+    const schedule = schedules[id];
+
+    // Triggers created by hand in the editor: their timing cannot be read
+    if (!schedule) {
+      return {
+        id: id,
+        profileName: DEFAULT_PROFILE_NAME,
+        description: "Created in the Apps Script editor",
+        nextRun: null,
+        lastRun: null,
+        unmanaged: true,
+        duplicate: !!duplicates[id],
+      };
+    }
+
+    const job = schedule.lastJobId ? getJobStatus(schedule.lastJobId) : null;
+    return {
+      id: id,
+      profileName: schedule.profileName,
+      description: describeSchedule_(schedule),
+      nextRun: estimateNextRun_(schedule, now),
+      lastRun: schedule.lastRunAt
+        ? {
+            at: schedule.lastRunAt,
+            state: job ? job.state : "unknown",
+            message: job
+              ? job.error ||
+                (job.result
+                  ? `${job.result.documentCount} documents`
+                  : job.progress)
+              : "",
+          }
+        : null,
+      unmanaged: false,
+      duplicate: !!duplicates[id],
+    };
+  });
+
+  return { schedules: list, duplicates: Object.keys(duplicates).length };
+}
+
+/**
+ * Creates a scheduled backup. If the same schedule already exists, it is returned instead.
+ * Duplicated schedules are removed first (see collapseDuplicateSchedules_).
+ * @param {object} definition { profileName, frequency: 'hourly'|'daily'|'weekly', everyHours, hour, weekDay }.
+ * @returns {object} { id, created, collapsed } (created is false for an existing schedule, collapsed counts the duplicates removed).
+ */
+function createSchedule(definition) {
+  authorizeAction_(
+    ACCESS_ROLE_ADMIN,
+    "schedule.create",
+    definition && definition.profileName,
+    definition
+  );
+  const schedule = normalizeSchedule_(definition);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    const collapsed = collapseDuplicateSchedules_();
+    const schedules = readSchedules_();
+    const key = getScheduleKey_(schedule);
+
+    for (const id in schedules) {
+      if (getScheduleKey_(schedules[id]) === key) {
+        Logger.log(`SCHEDULE: ${describeSchedule_(schedule)} already exists for profile '${schedule.profileName}'.`);
+        return { id: id, created: false, collapsed: collapsed };
+      }
+    }
+
+    const trigger = createScheduleTrigger_(schedule);
+    schedule.createdAt = new Date().toISOString();
+    schedules[trigger.getUniqueId()] = schedule;
+    saveSchedules_(schedules);
+
+    Logger.log(`SCHEDULE: Created ${describeSchedule_(schedule)} for profile '${schedule.profileName}'.`);
+    return { id: trigger.getUniqueId(), created: true, collapsed: collapsed };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Deletes a scheduled backup (its trigger and its stored definition), and the
+ * duplicated schedules (see collapseDuplicateSchedules_).
+ * @param {string} scheduleId The trigger ID of the schedule.
+ * @returns {boolean} True if a trigger was deleted.
+ */
+function deleteSchedule(scheduleId) {
+  authorizeAction_(ACCESS_ROLE_ADMIN, "schedule.delete", scheduleId);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    // Only the backup triggers (the job continuations are not schedules)
+    const trigger = ScriptApp.getProjectTriggers().filter(
+      (trigger) =>
+        trigger.getUniqueId() === scheduleId &&
+        trigger.getHandlerFunction() === SCHEDULE_HANDLER,
+    )[0];
+    if (trigger) ScriptApp.deleteTrigger(trigger);
+
+    // Also drops the definition of the deleted trigger
+    collapseDuplicateSchedules_();
+
+    Logger.log(`SCHEDULE: Deleted schedule ${scheduleId}.`);
+    return !!trigger;
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Run history of backups and restores.
+ *
+ * Every job (see Jobs.js) is recorded in a JSON log saved in the backup folder of
+ * the default profile, newest first. An entry is added when the job starts and
+ * updated after each step until it ends:
+ *
+ * {
+ *   "id": "backup-1a2b3c4d5e6f",        // The job ID
+ *   "type": "backup" | "restore",
+ *   "target": "nightly",                // Profile of a backup, target collection of a restore
+ *   "trigger": "web" | "schedule" | "trigger" | "editor" | "restore", // "restore": safety snapshot of a restore
+ *   "state": "running" | "paused" | "failed" | "done" | "cancelled",
+ *   "startedAt", "endedAt",
+ *   "documentCount": 1200,
+ *   "bytes": 524288,                    // Size of the backup files written / read
+ *   "fileIds": ["1AbC..."],
+ *   "backupType": "full" | "incremental", // Backups only (see Incremental.js)
+ *   "snapshotFileId": "1XyZ...",        // Restores only: the backup taken before the restore (see Snapshots.js)
+ *   "rollbackOf": "restore-...",        // Restores only: the restore undone by this one
+ *   "error": null
+ * }
+ */
+
+const RUN_HISTORY_FILE_NAME = "firestore_runs.history.json";
+const RUN_HISTORY_LIMIT = 500; // Entries kept in the log
+
+/**
+ * Finds the run history file in the backup folder of the default profile.
+ * @param {boolean} create True to create the file if it does not exist.
+ * @returns {GoogleAppsScript.Drive.File|null} The file, or null if it does not exist and create is false.
+ */
+function getRunHistoryFile_(create) {
+  const props = getProjectProperties_();
+  const folder = getOrCreateFolder_(DRIVE_FOLDER_NAME, props.backup_folder_id);
+
+  const files = folder.getFilesByName(RUN_HISTORY_FILE_NAME);
+  if (files.hasNext()) return files.next();
+
+  return create
+    ? folder.createFile(RUN_HISTORY_FILE_NAME, "[]", "application/json")
+    : null;
+}
+
+/**
+ * Reads the run history.
+ * @returns {Array<object>} The entries, newest first.
+ */
+function readRunHistory_() {
+  const file = getRunHistoryFile_(false);
+  return file ? JSON.parse(file.getBlob().getDataAsString() || "[]") : [];
+}
+
+/**
+ * Builds the history entry of a job from its params, checkpoint and result.
+ * @param {object} job The job record.
+ * @returns {object} The history entry.
+ */
+function buildRunHistoryEntry_(job) {
+  const finished =
+    job.state !== JOB_STATE_RUNNING && job.state !== JOB_STATE_PAUSED;
+  const entry = {
+    id: job.id,
+    type: job.type,
+    target: null,
+    trigger: job.params.trigger || "editor",
+    state: job.state,
+    startedAt: job.createdAt,
+    endedAt: finished ? job.updatedAt : null,
+    documentCount: 0,
+    bytes: 0,
+    fileIds: [],
+    error: job.error || null,
+  };
+
+  if (job.type === "backup") {
+    const result = job.result || {};
+    const files = result.files || job.checkpoint.savedFiles || [];
+
+    entry.target = job.params.profileName;
+    entry.documentCount =
+      result.documentCount || job.checkpoint.documentCount || 0;
+    entry.bytes = files.reduce((total, file) => total + (file.bytes || 0), 0);
+    entry.fileIds = files.map((file) => file.fileId);
+    if (result.manifestFileId) entry.fileIds.push(result.manifestFileId);
+    entry.backupType =
+      result.backupType ||
+      (job.checkpoint.chain ? job.checkpoint.chain.type : "full");
+  } else if (job.type === "restore") {
+    entry.target = job.params.collectionName;
+    entry.documentCount = job.checkpoint.successCount || 0;
+    entry.bytes = job.checkpoint.sourceBytes || 0;
+    entry.fileIds = [job.params.fileId];
+    entry.snapshotFileId = job.checkpoint.snapshotFileId || null;
+    entry.rollbackOf = job.params.rollbackOf || null;
+  }
+
+  return entry;
+}
+
+/**
+ * Adds or updates the history entry of a job.
+ * @param {object} job The job record.
+ */
+function recordJobRun_(job) {
+  saveRunHistoryEntry_(buildRunHistoryEntry_(job));
+}
+
+/**
+ * Records a run that failed before its job could be created (e.g. an invalid profile)
+ * and notifies it (see Notifications.js).
+ * @param {string} type The run type ('backup' or 'restore').
+ * @param {string} target The profile or the target collection.
+ * @param {string} trigger What started the run.
+ * @param {string} error The error message.
+ */
+function recordFailedRun_(type, target, trigger, error) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: `${type}-${Utilities.getUuid().replace(/-/g, "").substring(0, 12)}`,
+    type: type,
+    target: target,
+    trigger: trigger || "editor",
+    state: JOB_STATE_FAILED,
+    startedAt: now,
+    endedAt: now,
+    documentCount: 0,
+    bytes: 0,
+    fileIds: [],
+    error: error,
+  };
+
+  saveRunHistoryEntry_(entry);
+  notifyRun_(entry);
+}
+
+/**
+ * Adds an entry to the run history, or replaces the entry with the same ID.
+ * A failure to write the history is logged but never fails the run itself.
+ * @param {object} entry The history entry.
+ */
+function saveRunHistoryEntry_(entry) {
+  const lock = LockService.getScriptLock();
+
+  try {
+    lock.waitLock(30000);
+    const file = getRunHistoryFile_(true);
+    const history = JSON.parse(file.getBlob().getDataAsString() || "[]");
+
+    const index = history.findIndex((item) => item.id === entry.id);
+    if (index === -1) {
+      history.unshift(entry);
+    } else {
+      history[index] = entry;
+    }
+
+    file.setContent(JSON.stringify(history.slice(0, RUN_HISTORY_LIMIT)));
+  } catch (e) {
+    Logger.log(`❌ HISTORY ERROR (${entry.id}): ${e.toString()}`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Lists the latest runs for the run history table of the web UI.
+ * @param {number} [limit] Optional: Maximum number of entries (default 50).
+ * @returns {Array<object>} The entries, newest first.
+ */
+function getRunHistory(limit) {
+  requireRole_(ACCESS_ROLE_VIEWER, "runs.list");
+  return readRunHistory_().slice(0, limit || 50);
+}
@@ -0,0 +1,236 @@
+/**
+ * Shared HTTP layer of the Google API calls (token exchange, Firestore reads and writes).
+ *
+ * Requests that fail with a transient error are retried with jittered exponential
+ * backoff: HTTP 408, 429, 500, 502, 503 and 504, and UrlFetch exceptions (timeouts,
+ * DNS or connection errors). A Retry-After header sets the delay instead. Writes are
+ * also capped per second (see throttleWrites_). The policy can be tuned with the
+ * HTTP_RETRY_POLICY script property:
+ *
+ * {
+ *   "max_retries": 5,           // Retries after the first attempt
+ *   "base_delay_ms": 500,       // Delay before the first retry, doubled on each retry
+ *   "max_delay_ms": 32000,      // Upper bound of a delay (Retry-After included)
+ *   "writes_per_second": 500    // Firestore writes sent per second, 0 = no cap
+ * }
+ *
+ * Other errors (e.g. 400, 403, 404) are returned at once. A 401 is not retried here:
+ * the jobs retry their step with a new token (see assertTokenAccepted_).
+ */
+
+const HTTP_RETRYABLE_CODES = [408, 429, 500, 502, 503, 504];
+const DEFAULT_HTTP_RETRY_POLICY = {
+  max_retries: 5,
+  base_delay_ms: 500,
+  max_delay_ms: 32000,
+  writes_per_second: 500,
+};
+
+// Per-execution state: the policy is read once and the write schedule is shared by all the restores
+let httpRetryPolicy = null;
+const httpWriteSchedule = { nextSlot: 0 };
+
+/**
+ * Reads the retry policy (HTTP_RETRY_POLICY merged over the defaults).
+ * @returns {object} { max_retries, base_delay_ms, max_delay_ms, writes_per_second }.
+ */
+function getHttpRetryPolicy_() {
+  if (httpRetryPolicy) return httpRetryPolicy;
+
+  const value =
+    PropertiesService.getScriptProperties().getProperty("HTTP_RETRY_POLICY");
+  let overrides = {};
+  if (value) {
+    try {
+      overrides = JSON.parse(value);
+    } catch (e) {
+      throw new Error(
+        `Configuration error: HTTP_RETRY_POLICY is not valid JSON (${e.message}).`,
+      );
+    }
+  }
+
+  const policy = Object.assign({}, DEFAULT_HTTP_RETRY_POLICY);
+  for (const name in DEFAULT_HTTP_RETRY_POLICY) {
+    if (overrides[name] === undefined) continue;
+    const number = Number(overrides[name]);
+    if (!isFinite(number) || number < 0) {
+      throw new Error(
+        `Configuration error: HTTP_RETRY_POLICY has an invalid "${name}" (${overrides[name]}). Use a number of 0 or more.`,
+      );
+    }
+    policy[name] = number;
+  }
+
+  httpRetryPolicy = policy;
+  return policy;
+}
+
+/**
+ * Tells if a response is worth another attempt.
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response The response.
+ * @returns {boolean} True for the transient HTTP codes.
+ */
+function isRetryableResponse_(response) {
+  return HTTP_RETRYABLE_CODES.indexOf(response.getResponseCode()) !== -1;
+}
+
+/**
+ * Computes the delay before a retry: the Retry-After header of the response when
+ * there is one, or else an exponential delay with jitter (half fixed, half random),
+ * so parallel executions do not retry all at once.
+ * @param {object} policy The retry policy (see getHttpRetryPolicy_).
+ * @param {number} attempt The number of the retry (0 for the first one).
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} [response] Optional: The failed response.
+ * @returns {number} The delay in ms.
+ */
+function computeRetryDelay_(policy, attempt, response) {
+  const retryAfter = response ? getRetryAfterMs_(response) : null;
+  if (retryAfter !== null) return Math.min(retryAfter, policy.max_delay_ms);
+
+  const delay = Math.min(
+    policy.base_delay_ms * Math.pow(2, attempt),
+    policy.max_delay_ms,
+  );
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Reads the Retry-After header of a response (a number of seconds or an HTTP date).
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response The response.
+ * @returns {number|null} The delay in ms, or null if the header is missing or invalid.
+ */
+function getRetryAfterMs_(response) {
+  const headers = response.getHeaders() || {};
+  const name = Object.keys(headers).filter(
+    (header) => header.toLowerCase() === "retry-after",
+  )[0];
+  if (!name) return null;
+
+  const value = String(headers[name]).trim();
+  if (/^\d+$/.test(value)) return parseInt(value, 10) * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Sends a request with retries (UrlFetchApp.fetch). HTTP errors never throw:
+ * the last response is returned and the caller checks its code.
+ * @param {string} url The URL.
+ * @param {object} options The UrlFetchApp options (muteHttpExceptions is forced).
+ * @param {string} label What the request does, for the logs (e.g. 'runQuery').
+ * @returns {GoogleAppsScript.URL_Fetch.HTTPResponse} The response.
+ */
+function fetchWithRetry_(url, options, label) {
+  const policy = getHttpRetryPolicy_();
+  const request = Object.assign({}, options, { muteHttpExceptions: true });
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    try {
+      response = UrlFetchApp.fetch(url, request);
+    } catch (e) {
+      // UrlFetch exceptions are network errors (HTTP errors are muted)
+      if (attempt >= policy.max_retries) throw e;
+      waitBeforeRetry_(policy, attempt, null, `${label} (${e.message})`);
+      continue;
+    }
+
+    if (!isRetryableResponse_(response) || attempt >= policy.max_retries) {
+      return response;
+    }
+    waitBeforeRetry_(
+      policy,
+      attempt,
+      response,
+      `${label} (HTTP ${response.getResponseCode()})`,
+    );
+  }
+}
+
+/**
+ * Sends requests in parallel with retries (UrlFetchApp.fetchAll). Only the failed
+ * requests are sent again. HTTP errors never throw: the last responses are returned.
+ * @param {Array<object>} requests The UrlFetchApp requests ({ url, ...options }, muteHttpExceptions is forced).
+ * @param {string} label What the requests do, for the logs (e.g. 'batchWrite').
+ * @param {Array<number>} [sendCounts] Optional: Filled with the number of times each request was sent
+ *   (above 1, a request that failed may still have been applied before it was sent again).
+ * @returns {Array<GoogleAppsScript.URL_Fetch.HTTPResponse>} The responses, in the order of the requests.
+ */
+function fetchAllWithRetry_(requests, label, sendCounts) {
+  const policy = getHttpRetryPolicy_();
+  const muted = requests.map((request) =>
+    Object.assign({}, request, { muteHttpExceptions: true }),
+  );
+  const responses = new Array(requests.length);
+  const counts = sendCounts || [];
+  let pending = muted.map((request, index) => index);
+
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    pending.forEach((index) => (counts[index] = (counts[index] || 0) + 1));
+    let batch;
+    try {
+      batch = UrlFetchApp.fetchAll(pending.map((index) => muted[index]));
+    } catch (e) {
+      if (attempt >= policy.max_retries) throw e;
+      waitBeforeRetry_(policy, attempt, null, `${label} (${e.message})`);
+      continue;
+    }
+
+    const failed = [];
+    batch.forEach((response, position) => {
+      responses[pending[position]] = response;
+      if (isRetryableResponse_(response)) failed.push(pending[position]);
+    });
+    if (failed.length === 0 || attempt >= policy.max_retries) break;
+
+    // Wait as long as the slowest Retry-After of the failed requests asks
+    const delays = failed.map((index) =>
+      computeRetryDelay_(policy, attempt, responses[index]),
+    );
+    Logger.log(
+      `HTTP: ${failed.length} of ${pending.length} ${label} requests failed (HTTP ${responses[failed[0]].getResponseCode()}), retry ${attempt + 1} of ${policy.max_retries}...`,
+    );
+    Utilities.sleep(Math.max.apply(null, delays));
+    pending = failed;
+  }
+
+  return responses;
+}
+
+/**
+ * Logs a retry and sleeps for its delay.
+ * @param {object} policy The retry policy.
+ * @param {number} attempt The number of the retry (0 for the first one).
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse|null} response The failed response, or null after an exception.
+ * @param {string} reason What failed, for the log.
+ */
+function waitBeforeRetry_(policy, attempt, response, reason) {
+  const delay = computeRetryDelay_(policy, attempt, response);
+  Logger.log(
+    `HTTP: ${reason} failed, retry ${attempt + 1} of ${policy.max_retries} in ${delay} ms...`,
+  );
+  Utilities.sleep(delay);
+}
+
+/**
+ * Waits until a group of writes can be sent without going over the
+ * "writes_per_second" cap of the retry policy.
+ * @param {number} count The number of writes about to be sent.
+ */
+function throttleWrites_(count) {
+  const policy = getHttpRetryPolicy_();
+  if (!policy.writes_per_second) return;
+
+  const now = Date.now();
+  const start = Math.max(now, httpWriteSchedule.nextSlot);
+  if (start > now) {
+    Logger.log(
+      `HTTP: Waiting ${start - now} ms to stay under ${policy.writes_per_second} writes per second...`,
+    );
+    Utilities.sleep(start - now);
+  }
+  httpWriteSchedule.nextSlot =
+    start + Math.ceil((count * 1000) / policy.writes_per_second);
+}
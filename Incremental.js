@@ -0,0 +1,530 @@
+/**
+ * Incremental backups and point-in-time rebuilds.
+ *
+ * A profile with an "incremental" setting (see Profiles.js) saves a full backup, then
+ * only the documents changed since the previous run, until the next full backup:
+ *
+ * "incremental": {
+ *   "field": "updatedAt",   // Optional: timestamp field set by the app on every write.
+ *                           // Without it, the update time of the documents is used
+ *                           // (every document is read, but only the changed ones are saved)
+ *   "full_every": 7         // Optional: a full backup every 7 runs (default 7)
+ * }
+ *
+ * The full backup and its increments form a chain. Every backup file of a chain has a
+ * "chain" key in its header:
+ *
+ * {
+ *   "id": "1a2b3c4d5e6f",
+ *   "type": "full" | "incremental",
+ *   "sequence": 2,                    // 0 for the full backup
+ *   "previousFileId": "1AbC...",      // The previous backup of the chain (null for the full backup)
+ *   "since": "2025-01-01T12:00:00.000Z", // Documents changed from this time on (start of the previous run)
+ *   "until": "2025-01-02T12:00:00.000Z", // Start of this run
+ *   "field": "updatedAt"              // null when the update time is used
+ * }
+ *
+ * Documents deleted since the previous run are saved as { "docId": "...", "deleted": true }.
+ * The state of the last run is kept in "<profile>.chain.json" in the backup folder
+ * ({ chainId, sequence, field, until, fullFileId, lastFileId, collections: { name: [docIds] } }),
+ * encrypted like the backups of the profile. The backup files are tagged with
+ * "[chain:<id>#<sequence>]" in their Drive description, so pruning keeps the backups
+ * that a kept increment depends on (see Retention.js).
+ *
+ * Restoring or comparing an incremental backup rebuilds the collection as it was at
+ * that run: the full backup is replayed with every increment up to the selected one.
+ */
+
+const INCREMENTAL_FULL_EVERY = 7; // Default runs per chain (the full backup included)
+const INCREMENTAL_ID_PAGE_SIZE = 5000; // Document IDs requested per keys-only query
+const CHAIN_FILE_SUFFIX = ".chain.json";
+const CHAIN_TAG_PATTERN = /\[chain:([0-9a-f]+)#(\d+)\]/;
+
+/**
+ * Validates the "incremental" setting of a profile.
+ * @param {string} name The profile name.
+ * @param {object} incremental The raw setting ({ field, full_every }).
+ * @param {number} subcollectionDepth The subcollection depth of the profile.
+ * @returns {object} The normalized setting ({ field, full_every }).
+ */
+function normalizeIncrementalSettings_(name, incremental, subcollectionDepth) {
+  if (subcollectionDepth > 0) {
+    throw new Error(
+      `Configuration error: Profile '${name}' is incremental, which does not support subcollections. Set "subcollection_depth" to 0.`,
+    );
+  }
+  if (
+    incremental.field !== undefined &&
+    (typeof incremental.field !== "string" || !incremental.field)
+  ) {
+    throw new Error(
+      `Configuration error: The incremental "field" of profile '${name}' must be a field name.`,
+    );
+  }
+
+  const fullEvery =
+    incremental.full_every === undefined
+      ? INCREMENTAL_FULL_EVERY
+      : incremental.full_every;
+  if (!Number.isInteger(fullEvery) || fullEvery < 1) {
+    throw new Error(
+      `Configuration error: The incremental "full_every" of profile '${name}' must be a whole number of 1 or more (got ${JSON.stringify(fullEvery)}).`,
+    );
+  }
+
+  return { field: incremental.field || null, full_every: fullEvery };
+}
+
+/**
+ * Reads a JSON working file of the backup folder, decrypting it if needed.
+ * @param {DriveApp.Folder} backupFolder The backup folder.
+ * @param {string} fileName The file name.
+ * @returns {object|null} The parsed content, or null if the file does not exist.
+ */
+function readJsonWorkingFile_(backupFolder, fileName) {
+  const files = backupFolder.getFilesByName(fileName);
+  if (!files.hasNext()) return null;
+
+  const content = files.next().getBlob().getDataAsString();
+  return JSON.parse(
+    isEncryptedBackupContent_(content)
+      ? Utilities.newBlob(decryptBackupContent_(content)).getDataAsString()
+      : content,
+  );
+}
+
+/**
+ * Creates or replaces a JSON working file of the backup folder, encrypted like the
+ * backups of the profile.
+ * @param {DriveApp.Folder} backupFolder The backup folder.
+ * @param {object} profile The normalized profile.
+ * @param {string} fileName The file name.
+ * @param {object} value The content.
+ */
+function writeJsonWorkingFile_(backupFolder, profile, fileName, value) {
+  const json = JSON.stringify(value);
+  const content = profile.encryption_key_version
+    ? encryptBackupBytes_(
+        Utilities.newBlob(json).getBytes(),
+        profile.encryption_key_version,
+      )
+    : json;
+
+  const files = backupFolder.getFilesByName(fileName);
+  if (files.hasNext()) {
+    files.next().setContent(content);
+  } else {
+    backupFolder.createFile(fileName, content, "application/json");
+  }
+}
+
+/**
+ * Reads the state of the last run of an incremental profile.
+ * @param {DriveApp.Folder} backupFolder The backup folder.
+ * @param {object} profile The normalized profile.
+ * @returns {object|null} The chain state, or null if the profile has no chain yet.
+ */
+function readBackupChain_(backupFolder, profile) {
+  return readJsonWorkingFile_(
+    backupFolder,
+    `${profile.name}${CHAIN_FILE_SUFFIX}`,
+  );
+}
+
+/**
+ * Checks that a backup file of a chain still exists (not deleted nor in the trash).
+ * @param {string} fileId The Drive File ID.
+ * @returns {boolean} True if the file can be read.
+ */
+function isChainFileAvailable_(fileId) {
+  try {
+    return !DriveApp.getFileById(fileId).isTrashed();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Decides if a run of an incremental profile is a full backup or an increment.
+ * @param {DriveApp.Folder} backupFolder The backup folder.
+ * @param {object} profile The normalized profile.
+ * @param {Array<string>} collections The collections of the run.
+ * @param {boolean} forceFull True to start a new chain with a full backup.
+ * @returns {object|null} The chain header of the run (see the top of this file), or null if the profile is not incremental.
+ */
+function planBackupRun_(backupFolder, profile, collections, forceFull) {
+  if (!profile.incremental) return null;
+
+  const settings = profile.incremental;
+  const chain = readBackupChain_(backupFolder, profile);
+  const until = new Date().toISOString();
+
+  let reason = null;
+  if (forceFull) {
+    reason = "a full backup was requested";
+  } else if (!chain) {
+    reason = "the profile has no previous backup";
+  } else if (chain.sequence + 1 >= settings.full_every) {
+    reason = `the chain has ${settings.full_every} backups`;
+  } else if (chain.field !== settings.field) {
+    reason = "the incremental field changed";
+  } else if (collections.some((name) => !chain.collections[name])) {
+    reason = "a collection is not in the previous backup";
+  } else if (!isChainFileAvailable_(chain.lastFileId)) {
+    reason = "the previous backup is missing";
+  }
+
+  if (reason) {
+    Logger.log(
+      `INCREMENTAL: Full backup for profile '${profile.name}' (${reason}).`,
+    );
+    return {
+      id: Utilities.getUuid().replace(/-/g, "").substring(0, 12),
+      type: "full",
+      sequence: 0,
+      previousFileId: null,
+      since: null,
+      until: until,
+      field: settings.field,
+    };
+  }
+
+  Logger.log(
+    `INCREMENTAL: Incremental backup ${chain.sequence + 1} of chain ${chain.chainId} for profile '${profile.name}' (changes since ${chain.until}).`,
+  );
+  return {
+    id: chain.chainId,
+    type: "incremental",
+    sequence: chain.sequence + 1,
+    previousFileId: chain.lastFileId,
+    since: chain.until,
+    until: until,
+    field: settings.field,
+  };
+}
+
+/**
+ * Reads the next page of an incremental run. With an incremental field, the changed
+ * documents are queried first, then the IDs of all the documents (keys only) to find
+ * the deleted ones. Without it, every document is listed and only the changed ones are kept.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {object} run The chain header of the run (see planBackupRun_).
+ * @param {string} collectionName The collection to read.
+ * @param {object|null} cursor Where the previous page stopped (null for the first page).
+ * @returns {object} { documents, ids (IDs of the documents that exist), nextPageToken (the next cursor, or null at the end) }.
+ */
+function fetchIncrementalPage_(
+  props,
+  accessToken,
+  run,
+  collectionName,
+  cursor,
+) {
+  const since = new Date(run.since).getTime();
+
+  if (!run.field) {
+    const pageResult = fetchFirestorePage_(
+      props,
+      accessToken,
+      cursor ? cursor.pageToken : null,
+      collectionName,
+    );
+    const documents = pageResult.documents || [];
+
+    // Documents written in the same millisecond as 'since' are read again: replaying them twice is harmless
+    return {
+      documents: documents.filter(
+        (doc) => new Date(doc.updateTime).getTime() >= since,
+      ),
+      ids: documents.map((doc) => doc.name.split("/").pop()),
+      nextPageToken: pageResult.nextPageToken
+        ? { pass: "list", pageToken: pageResult.nextPageToken }
+        : null,
+    };
+  }
+
+  const from = [{ collectionId: collectionName }];
+  const after = cursor ? cursor.after : null;
+
+  if (!cursor || cursor.pass === "changed") {
+    const query = {
+      from: from,
+      where: {
+        fieldFilter: {
+          field: { fieldPath: run.field },
+          op: "GREATER_THAN_OR_EQUAL",
+          value: { timestampValue: run.since },
+        },
+      },
+      orderBy: [
+        { field: { fieldPath: run.field }, direction: "ASCENDING" },
+        { field: { fieldPath: "__name__" }, direction: "ASCENDING" },
+      ],
+      limit: PAGE_SIZE,
+    };
+    if (after) {
+      query.startAt = {
+        values: [after.value, { referenceValue: after.name }],
+        before: false,
+      };
+    }
+
+    const documents = runFirestoreQuery_(props, accessToken, query);
+    const last = documents[documents.length - 1];
+    Logger.log(
+      `INCREMENTAL: ${documents.length} changed documents of ${collectionName} fetched (${run.field} >= ${run.since}).`,
+    );
+
+    return {
+      documents: documents,
+      ids: [],
+      nextPageToken:
+        documents.length < PAGE_SIZE
+          ? { pass: "ids", after: null }
+          : {
+              pass: "changed",
+              after: { value: last.fields[run.field], name: last.name },
+            },
+    };
+  }
+
+  // Keys-only pass: the IDs of every document, to detect the deleted ones
+  const query = {
+    from: from,
+    select: { fields: [{ fieldPath: "__name__" }] },
+    orderBy: [{ field: { fieldPath: "__name__" }, direction: "ASCENDING" }],
+    limit: INCREMENTAL_ID_PAGE_SIZE,
+  };
+  if (after) {
+    query.startAt = {
+      values: [{ referenceValue: after.name }],
+      before: false,
+    };
+  }
+
+  const documents = runFirestoreQuery_(props, accessToken, query);
+  Logger.log(
+    `INCREMENTAL: ${documents.length} document IDs of ${collectionName} fetched.`,
+  );
+
+  return {
+    documents: [],
+    ids: documents.map((doc) => doc.name.split("/").pop()),
+    nextPageToken:
+      documents.length < INCREMENTAL_ID_PAGE_SIZE
+        ? null
+        : {
+            pass: "ids",
+            after: { name: documents[documents.length - 1].name },
+          },
+  };
+}
+
+/**
+ * Builds the entries of the documents deleted since the previous run of the chain.
+ * @param {DriveApp.Folder} backupFolder The backup folder.
+ * @param {object} profile The normalized profile.
+ * @param {object} run The chain header of the run.
+ * @param {string} collectionName The collection.
+ * @param {Array<string>} ids The IDs of the documents that exist now.
+ * @returns {Array<object>} The deleted entries ({ docId, deleted: true }). Always empty for a full backup.
+ */
+function buildDeletedEntries_(backupFolder, profile, run, collectionName, ids) {
+  if (run.type !== "incremental") return [];
+
+  const existing = {};
+  ids.forEach((id) => (existing[id] = true));
+
+  const previousIds =
+    readBackupChain_(backupFolder, profile).collections[collectionName] || [];
+  return previousIds
+    .filter((id) => !existing[id])
+    .map((id) => ({ docId: id, deleted: true }));
+}
+
+/**
+ * Builds the name of the file where a backup job keeps the document IDs of the
+ * collections it finished (they become the chain state when the job ends).
+ * @param {string} jobId The job ID.
+ * @returns {string} The file name.
+ */
+function getRunIdsFileName_(jobId) {
+  return `${jobId}.ids.json`;
+}
+
+/**
+ * Adds the document IDs of finished collections to the working file of a backup job.
+ * @param {DriveApp.Folder} backupFolder The backup folder.
+ * @param {object} profile The normalized profile.
+ * @param {string} jobId The job ID.
+ * @param {object} idsByCollection Map of collection name to its document IDs.
+ */
+function saveRunDocumentIds_(backupFolder, profile, jobId, idsByCollection) {
+  const fileName = getRunIdsFileName_(jobId);
+  const saved = readJsonWorkingFile_(backupFolder, fileName) || {};
+
+  writeJsonWorkingFile_(
+    backupFolder,
+    profile,
+    fileName,
+    Object.assign(saved, idsByCollection),
+  );
+}
+
+/**
+ * Moves the document IDs file of a backup job to the trash.
+ * @param {DriveApp.Folder} backupFolder The backup folder.
+ * @param {string} jobId The job ID.
+ */
+function trashRunDocumentIds_(backupFolder, jobId) {
+  const files = backupFolder.getFilesByName(getRunIdsFileName_(jobId));
+  while (files.hasNext()) {
+    files.next().setTrashed(true);
+  }
+}
+
+/**
+ * Saves the chain state after a successful run and tags its backup files.
+ * @param {DriveApp.Folder} backupFolder The backup folder.
+ * @param {object} profile The normalized profile.
+ * @param {string} jobId The job ID.
+ * @param {object} run The chain header of the run.
+ * @param {string} entryFileId The file to restore the run from (its manifest, or its only file).
+ * @param {Array<string>} fileIds Every backup file of the run (manifest included).
+ */
+function finishBackupChain_(
+  backupFolder,
+  profile,
+  jobId,
+  run,
+  entryFileId,
+  fileIds,
+) {
+  const previous =
+    run.type === "incremental" ? readBackupChain_(backupFolder, profile) : null;
+
+  writeJsonWorkingFile_(
+    backupFolder,
+    profile,
+    `${profile.name}${CHAIN_FILE_SUFFIX}`,
+    {
+      chainId: run.id,
+      sequence: run.sequence,
+      field: run.field,
+      until: run.until,
+      fullFileId: previous ? previous.fullFileId : entryFileId,
+      lastFileId: entryFileId,
+      collections: readJsonWorkingFile_(
+        backupFolder,
+        getRunIdsFileName_(jobId),
+      ),
+    },
+  );
+  trashRunDocumentIds_(backupFolder, jobId);
+
+  const tag = `[chain:${run.id}#${run.sequence}]`;
+  fileIds.forEach((fileId) => {
+    const file = DriveApp.getFileById(fileId);
+    file.setDescription(`${file.getDescription() || ""} ${tag}`.trim());
+  });
+  Logger.log(
+    `INCREMENTAL: Chain ${run.id} of profile '${profile.name}' is at backup ${run.sequence} (${run.type}).`,
+  );
+}
+
+/**
+ * Reads the chain tag of a backup file.
+ * @param {GoogleAppsScript.Drive.File} file The backup file.
+ * @returns {object|null} { id, sequence }, or null if the file is not part of a chain.
+ */
+function getBackupChainTag_(file) {
+  const match = (file.getDescription() || "").match(CHAIN_TAG_PATTERN);
+  return match ? { id: match[1], sequence: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Describes the chain position of a backup file for the web UI.
+ * @param {GoogleAppsScript.Drive.File} file The backup file.
+ * @returns {string|null} 'full' or 'incremental #n', or null if the file is not part of a chain.
+ */
+function getBackupChainLabel_(file) {
+  const tag = getBackupChainTag_(file);
+  if (!tag) return null;
+  return tag.sequence === 0 ? "full" : `incremental #${tag.sequence}`;
+}
+
+/**
+ * Reads the documents of a collection from a backup. For an incremental backup, the
+ * collection is rebuilt as it was at that run: the full backup of the chain is read
+ * and every increment up to the selected one is applied in order.
+ * @param {string} fileId The Drive File ID of the backup.
+ * @param {string} [collectionName] Optional: The collection to read (required for backups with several collections).
+ * @returns {object} { header, collection, documents } (see resolveBackupCollection_).
+ */
+function readBackupCollection_(fileId, collectionName) {
+  const backup = resolveBackupCollection_(
+    readBackupFile_(fileId),
+    collectionName,
+  );
+  const chain = backup.header.chain;
+  if (!chain || chain.type !== "incremental") return backup;
+
+  // Walk back to the full backup of the chain
+  const increments = [backup];
+  let previousFileId = chain.previousFileId;
+  let base = null;
+
+  while (!base) {
+    let previous;
+    try {
+      previous = resolveBackupCollection_(
+        readBackupFile_(previousFileId),
+        backup.collection,
+      );
+    } catch (e) {
+      throw new Error(
+        `Cannot rebuild incremental backup ${chain.sequence} of chain ${chain.id}: the previous backup (${previousFileId}) cannot be read. ${e.message}`,
+      );
+    }
+
+    const previousChain = previous.header.chain;
+    if (!previousChain || previousChain.id !== chain.id) {
+      throw new Error(
+        `Cannot rebuild incremental backup ${chain.sequence} of chain ${chain.id}: file ${previousFileId} is not part of the chain.`,
+      );
+    }
+
+    if (previousChain.type === "full") {
+      base = previous;
+    } else {
+      increments.unshift(previous);
+      previousFileId = previousChain.previousFileId;
+    }
+  }
+
+  Logger.log(
+    `INCREMENTAL: Rebuilding ${backup.collection} from the full backup of chain ${chain.id} and ${increments.length} increments.`,
+  );
+
+  const documents = {};
+  base.documents.forEach((entry) => (documents[entry.docId] = entry));
+  increments.forEach((increment) =>
+    increment.documents.forEach((entry) => {
+      if (entry.deleted) {
+        delete documents[entry.docId];
+      } else {
+        documents[entry.docId] = entry;
+      }
+    }),
+  );
+
+  return {
+    header: backup.header,
+    collection: backup.collection,
+    // Same order as the Firestore listing
+    documents: Object.keys(documents)
+      .sort()
+      .map((docId) => documents[docId]),
+  };
+}
@@ -0,0 +1,429 @@
+/**
+ * Integrity checksums of backup files and the "verify backup" command.
+ *
+ * Every backup file gets an integrity record saved next to it as
+ * "<backup name>.integrity.json":
+ *
+ * {
+ *   "fileName": "users_backup_20250101_120000.json",
+ *   "algorithm": "SHA-256",
+ *   "digest": "9f86d0...",           // Digest of the file exactly as stored in Drive (hex)
+ *   "bytes": 524288,
+ *   "documentCount": 1200,           // Top-level documents (as in the run history)
+ *   "documents": {                   // Digest of the fields of every document, by path
+ *     "users/abc": "2c26b4...",
+ *     "users/abc/orders/o1": "fcde2b..."
+ *   },
+ *   "createdAt": "2025-01-01T12:00:00.000Z"
+ * }
+ *
+ * Encrypted backups have no per-document digests (they would leak information about
+ * the documents): their HMAC already covers every document. Manifests record the
+ * digest of each file they list.
+ *
+ * The outcome of the last verification is stored as a tag in the Drive description of
+ * the backup ("[verified]" or "[corrupt]"), like pinning (see Retention.js).
+ */
+
+const INTEGRITY_FILE_SUFFIX = ".integrity.json";
+const INTEGRITY_STATE_TAGS = { verified: "[verified]", corrupt: "[corrupt]" };
+const VERIFY_SAMPLE_SIZE = 10; // Live documents compared by verifyBackup
+const FIRESTORE_VALUE_TYPES = [
+  "nullValue",
+  "booleanValue",
+  "integerValue",
+  "doubleValue",
+  "timestampValue",
+  "stringValue",
+  "bytesValue",
+  "referenceValue",
+  "geoPointValue",
+  "arrayValue",
+  "mapValue",
+];
+
+/**
+ * Computes the SHA-256 digest of a value.
+ * @param {string|Array<number>} value A string (UTF-8) or bytes.
+ * @returns {string} The digest (hex).
+ */
+function computeSha256Hex_(value) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, value)
+    .map((b) => ("0" + (b & 0xff).toString(16)).slice(-2))
+    .join("");
+}
+
+/**
+ * Computes the digest of the fields of a document (map key order is ignored).
+ * @param {object} fields The typed fields of the document.
+ * @returns {string} The digest (hex).
+ */
+function computeDocumentDigest_(fields) {
+  return computeSha256Hex_(canonicalJson_(fields || {}));
+}
+
+/**
+ * Computes the per-document digests of backup entries.
+ * @param {object} collections Map of collection name to its backup entries.
+ * @returns {object} Map of document path to digest.
+ */
+function buildDocumentDigests_(collections) {
+  const digests = {};
+  for (const collectionName in collections) {
+    flattenBackupDocuments_(
+      collections[collectionName],
+      collectionName,
+    ).forEach((doc) => {
+      digests[doc.path] = computeDocumentDigest_(doc.fields);
+    });
+  }
+  return digests;
+}
+
+/**
+ * Saves the integrity record of a backup file.
+ * @param {DriveApp.Folder} backupFolder The folder of the backup.
+ * @param {string} fileName The backup file name.
+ * @param {string} digest The SHA-256 digest of the stored file (hex).
+ * @param {number} bytes The size of the stored file.
+ * @param {object|null} collections Map of collection name to the entries saved in the file, or null for manifests.
+ * @param {boolean} encrypted True if the file is encrypted (no per-document digests).
+ */
+function saveBackupIntegrity_(
+  backupFolder,
+  fileName,
+  digest,
+  bytes,
+  collections,
+  encrypted,
+) {
+  let documentCount = 0;
+  for (const collectionName in collections || {}) {
+    documentCount += collections[collectionName].length;
+  }
+
+  const record = {
+    fileName: fileName,
+    algorithm: "SHA-256",
+    digest: digest,
+    bytes: bytes,
+    documentCount: documentCount,
+    documents:
+      collections && !encrypted ? buildDocumentDigests_(collections) : {},
+    createdAt: new Date().toISOString(),
+  };
+
+  backupFolder.createFile(
+    `${fileName}${INTEGRITY_FILE_SUFFIX}`,
+    JSON.stringify(record),
+    "application/json",
+  );
+}
+
+/**
+ * Reads the integrity record of a backup file.
+ * @param {GoogleAppsScript.Drive.File} file The backup file.
+ * @returns {object|null} The record, or null for backups created before checksums were added.
+ */
+function readBackupIntegrity_(file) {
+  const parents = file.getParents();
+  if (!parents.hasNext()) return null;
+
+  const files = parents
+    .next()
+    .getFilesByName(`${file.getName()}${INTEGRITY_FILE_SUFFIX}`);
+  return files.hasNext()
+    ? JSON.parse(files.next().getBlob().getDataAsString())
+    : null;
+}
+
+/**
+ * Reads the outcome of the last verification of a backup.
+ * @param {GoogleAppsScript.Drive.File} file The backup file.
+ * @returns {string} 'verified', 'corrupt' or 'unverified'.
+ */
+function getBackupIntegrityState_(file) {
+  const description = file.getDescription() || "";
+  for (const state in INTEGRITY_STATE_TAGS) {
+    if (description.indexOf(INTEGRITY_STATE_TAGS[state]) !== -1) return state;
+  }
+  return "unverified";
+}
+
+/**
+ * Saves the outcome of a verification in the description of a backup.
+ * @param {GoogleAppsScript.Drive.File} file The backup file.
+ * @param {string} state 'verified', 'corrupt' or 'unverified'.
+ */
+function setBackupIntegrityState_(file, state) {
+  let description = file.getDescription() || "";
+  for (const tag in INTEGRITY_STATE_TAGS) {
+    description = description.replace(INTEGRITY_STATE_TAGS[tag], "");
+  }
+  description = description.trim();
+
+  file.setDescription(
+    INTEGRITY_STATE_TAGS[state]
+      ? `${description} ${INTEGRITY_STATE_TAGS[state]}`.trim()
+      : description,
+  );
+}
+
+/**
+ * Checks that a value is a typed Firestore value that can be written back.
+ * @param {object} value The value (e.g. { integerValue: '42' }).
+ * @returns {boolean} True if the value and everything nested in it is valid.
+ */
+function isRestorableFirestoreValue_(value) {
+  if (!value || typeof value !== "object") return false;
+
+  const keys = Object.keys(value);
+  if (keys.length !== 1 || FIRESTORE_VALUE_TYPES.indexOf(keys[0]) === -1) {
+    return false;
+  }
+
+  if (keys[0] === "arrayValue") {
+    return (value.arrayValue.values || []).every(isRestorableFirestoreValue_);
+  }
+  if (keys[0] === "mapValue") {
+    const fields = value.mapValue.fields || {};
+    return Object.keys(fields).every((key) =>
+      isRestorableFirestoreValue_(fields[key]),
+    );
+  }
+  return true;
+}
+
+/**
+ * Verifies a single backup file against its integrity record. The files listed by a
+ * manifest are not verified here (see verifyBackup).
+ * @param {GoogleAppsScript.Drive.File} file The backup file.
+ * @param {string} [expectedDigest] Optional: The digest recorded by a manifest.
+ * @returns {object} { fileId, fileName, state, message, project, database, documents: [{ path, fields }],
+ *   manifestFiles } (manifestFiles is only set for manifests).
+ */
+function verifyBackupFile_(file, expectedDigest) {
+  const result = {
+    fileId: file.getId(),
+    fileName: file.getName(),
+    state: "verified",
+    message: "",
+    project: null,
+    database: null,
+    documents: [],
+    manifestFiles: null,
+  };
+  const record = readBackupIntegrity_(file);
+  const digest = computeSha256Hex_(file.getBlob().getBytes());
+
+  if (expectedDigest && expectedDigest !== digest) {
+    result.state = "corrupt";
+    result.message = "The file digest does not match the manifest.";
+    return result;
+  }
+  if (record && record.digest !== digest) {
+    result.state = "corrupt";
+    result.message = "The file digest does not match its integrity record.";
+    return result;
+  }
+
+  let backup;
+  try {
+    backup = readBackupFile_(file.getId());
+  } catch (e) {
+    result.state = "corrupt";
+    result.message = `The file cannot be read: ${e.message}`;
+    return result;
+  }
+  result.project = backup.header.project;
+  result.database = backup.header.database || DEFAULT_DATABASE_ID;
+
+  if (backup.header.kind === BACKUP_KIND_MANIFEST) {
+    result.manifestFiles = backup.files;
+    result.message = record
+      ? "Manifest digest verified."
+      : "The manifest is readable, but it has no integrity record.";
+    if (!record) result.state = "unverified";
+    return result;
+  }
+
+  const collections =
+    backup.header.kind === BACKUP_KIND_ARCHIVE
+      ? backup.collections
+      : {
+          // Legacy backups do not record their collection
+          [backup.header.collection || getProjectProperties_().collection_name]:
+            backup.documents,
+        };
+  let documentCount = 0;
+  for (const collectionName in collections) {
+    documentCount += collections[collectionName].length;
+    result.documents = result.documents.concat(
+      flattenBackupDocuments_(collections[collectionName], collectionName),
+    );
+  }
+
+  if (!record) {
+    result.state = "unverified";
+    result.message = `The file is readable (${documentCount} documents), but it has no integrity record (created before checksums were added).`;
+    return result;
+  }
+
+  // Per-document digests (not recorded for encrypted backups)
+  const expected = record.documents || {};
+  const changed = result.documents
+    .filter(
+      (doc) =>
+        expected[doc.path] &&
+        expected[doc.path] !== computeDocumentDigest_(doc.fields),
+    )
+    .map((doc) => doc.path);
+
+  if (documentCount !== record.documentCount || changed.length > 0) {
+    result.state = "corrupt";
+    result.message =
+      changed.length > 0
+        ? `${changed.length} documents do not match their digest (e.g. ${changed.slice(0, 5).join(", ")}).`
+        : `The file holds ${documentCount} documents, ${record.documentCount} were saved.`;
+    return result;
+  }
+
+  result.message = `Digest and ${documentCount} documents verified.`;
+  return result;
+}
+
+/**
+ * Compares a sample of backed-up documents with the live database.
+ * @param {object} props Object containing firebase_project_id and service_account_key.
+ * @param {Array<object>} documents The backed-up documents ({ path, fields }).
+ * @returns {Array<object>} [{ path, restorable, live: 'unchanged'|'changed'|'missing'|'error' }].
+ */
+function sampleLiveDocuments_(props, documents) {
+  const step = Math.max(1, Math.floor(documents.length / VERIFY_SAMPLE_SIZE));
+  const sample = documents
+    .filter((doc, index) => index % step === 0)
+    .slice(0, VERIFY_SAMPLE_SIZE);
+  if (sample.length === 0) return [];
+
+  const accessToken = getFirestoreAccessToken_(props);
+  const responses = fetchAllWithRetry_(
+    sample.map((doc) => ({
+      url: `${getFirestoreDocumentsUrl_(props)}/${doc.path}`,
+      method: "get",
+      headers: { Authorization: `Bearer ${accessToken}` },
+      muteHttpExceptions: true,
+    })),
+    "Live sample",
+  );
+  responses.forEach((response) => assertTokenAccepted_(response, accessToken));
+
+  return sample.map((doc, index) => {
+    const responseCode = responses[index].getResponseCode();
+    let live = "error";
+    if (responseCode === 404) {
+      live = "missing";
+    } else if (responseCode === 200) {
+      const liveDoc = JSON.parse(responses[index].getContentText());
+      live =
+        computeDocumentDigest_(liveDoc.fields) ===
+        computeDocumentDigest_(doc.fields)
+          ? "unchanged"
+          : "changed";
+    }
+
+    const fields = doc.fields || {};
+    return {
+      path: doc.path,
+      restorable: Object.keys(fields).every((key) =>
+        isRestorableFirestoreValue_(fields[key]),
+      ),
+      live: live,
+    };
+  });
+}
+
+/**
+ * Re-reads a backup and checks it against its integrity records. Manifests are
+ * verified with every file they list.
+ * @param {string} fileId The Drive File ID of the backup (or of its manifest).
+ * @param {object} [options] Optional: { sampleLive: true } to also compare a sample of documents with the live database.
+ * @returns {object} { fileId, fileName, state: 'verified'|'unverified'|'corrupt', message,
+ *   files: [{ fileId, fileName, state, message }], samples: [{ path, restorable, live }] }.
+ */
+function verifyBackup(fileId, options) {
+  options = options || {};
+  authorizeAction_(ACCESS_ROLE_OPERATOR, "verify", fileId, {
+    sampleLive: !!options.sampleLive,
+  });
+  const file = DriveApp.getFileById(fileId);
+  Logger.log(`INTEGRITY: Verifying ${file.getName()}...`);
+
+  const top = verifyBackupFile_(file);
+  let results = [top];
+
+  if (top.manifestFiles && top.state !== "corrupt") {
+    results = top.manifestFiles.map((entry) => {
+      try {
+        return verifyBackupFile_(
+          DriveApp.getFileById(entry.fileId),
+          entry.sha256,
+        );
+      } catch (e) {
+        return {
+          fileId: entry.fileId,
+          fileName: entry.fileName,
+          state: "corrupt",
+          message: `The file cannot be opened: ${e.message}`,
+          documents: [],
+        };
+      }
+    });
+    // A manifest without an integrity record can not be fully verified
+    if (top.state === "unverified") results.push(top);
+  }
+
+  // The backup is as good as its worst file
+  const states = results.map((result) => result.state);
+  const state =
+    states.indexOf("corrupt") !== -1
+      ? "corrupt"
+      : states.indexOf("unverified") !== -1
+        ? "unverified"
+        : "verified";
+  setBackupIntegrityState_(file, state);
+
+  let samples = [];
+  if (options.sampleLive && state !== "corrupt") {
+    const props = getProjectProperties_();
+    props.firebase_project_id = top.project || props.firebase_project_id;
+    props.firestore_database_id = top.database || props.firestore_database_id;
+    applyServiceAccount_(props);
+    samples = sampleLiveDocuments_(
+      props,
+      results.reduce(
+        (documents, result) => documents.concat(result.documents),
+        [],
+      ),
+    );
+  }
+
+  const message =
+    results.length === 1
+      ? results[0].message
+      : `${states.filter((s) => s === "verified").length} of ${results.length} files verified.`;
+  Logger.log(`INTEGRITY: ${file.getName()} is ${state}. ${message}`);
+
+  return {
+    fileId: fileId,
+    fileName: file.getName(),
+    state: state,
+    message: message,
+    files: results.map((result) => ({
+      fileId: result.fileId,
+      fileName: result.fileName,
+      state: result.state,
+      message: result.message,
+    })),
+    samples: samples,
+  };
+}
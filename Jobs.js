@@ -0,0 +1,516 @@
+/**
+ * Resumable jobs for long-running backups and restores.
+ *
+ * Apps Script stops every execution after 6 minutes, so big backups and restores
+ * are split into steps. Each step works until JOB_TIME_BUDGET_MS is used, saves a
+ * checkpoint in the job record and schedules a time-based continuation trigger
+ * (handler: continueJobs, public because triggers cannot run functions ending with
+ * an underscore) that picks the job up again until it finishes.
+ *
+ * Job records are stored in Script Properties under "JOB_<id>":
+ * {
+ *   "id": "backup-1a2b3c4d5e6f",
+ *   "type": "backup" | "restore",
+ *   "state": "running" | "paused" | "failed" | "done" | "cancelled",
+ *   "params": { ... },       // Input of the job (never secrets)
+ *   "checkpoint": { ... },   // Progress, owned by the job step function
+ *   "result": { ... },       // Set when the job is done
+ *   "error": "...",          // Set when the job failed
+ *   "createdAt", "updatedAt", "lockedUntil"
+ * }
+ *
+ * A Script Property holds about 9 KB. When a record is larger (e.g. the saved files of a
+ * profile with many collections, or an inline migration), its params, checkpoint, result and
+ * error are kept in a working file of the backup folder ("<id>.job.json") and the property only
+ * keeps the rest of the record and the ID of that file ("stateFileId").
+ */
+
+const JOB_PROPERTY_PREFIX = "JOB_";
+const JOB_STATE_RUNNING = "running";
+const JOB_STATE_PAUSED = "paused";
+const JOB_STATE_FAILED = "failed";
+const JOB_STATE_DONE = "done";
+const JOB_STATE_CANCELLED = "cancelled";
+const JOB_TIME_BUDGET_MS = 4.5 * 60 * 1000; // Leave margin before the 6-minute execution limit
+const JOB_CONTINUATION_HANDLER = "continueJobs";
+const JOB_CONTINUATION_DELAY_MS = 60 * 1000;
+const JOB_HISTORY_LIMIT = 20; // Finished jobs kept in Script Properties
+const JOB_PROPERTY_MAX_BYTES = 8 * 1024; // Script Property values are limited to 9 KB
+const JOB_STATE_FILE_SUFFIX = ".job.json";
+
+/**
+ * Creates and saves a new job in the running state.
+ * @param {string} type The job type ('backup' or 'restore').
+ * @param {object} params The job input (must be JSON serializable and contain no secrets).
+ * @returns {object} The job record.
+ */
+function createJob_(type, params) {
+  cleanupFinishedJobs_();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: `${type}-${Utilities.getUuid().replace(/-/g, "").substring(0, 12)}`,
+    type: type,
+    state: JOB_STATE_RUNNING,
+    params: params,
+    checkpoint: {},
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    lockedUntil: 0,
+  };
+
+  saveJob_(job);
+  recordJobRun_(job);
+  Logger.log(`JOB: Created ${job.id}.`);
+  return job;
+}
+
+/**
+ * Reads a job record.
+ * @param {string} jobId The job ID.
+ * @returns {object|null} The job record, or null if it does not exist.
+ */
+function getJob_(jobId) {
+  const value = PropertiesService.getScriptProperties().getProperty(
+    JOB_PROPERTY_PREFIX + jobId,
+  );
+  return value ? parseJobRecord_(value) : null;
+}
+
+/**
+ * Parses a stored job record, reading its working file if it has one.
+ * @param {string} value The value of the job property.
+ * @returns {object} The job record.
+ */
+function parseJobRecord_(value) {
+  const job = JSON.parse(value);
+  if (job.stateFileId) {
+    Object.assign(
+      job,
+      JSON.parse(
+        DriveApp.getFileById(job.stateFileId).getBlob().getDataAsString(),
+      ),
+    );
+  }
+  return job;
+}
+
+/**
+ * Saves a job record (the checkpoint included). Records too large for a Script
+ * Property keep their params, checkpoint, result and error in a working file.
+ * @param {object} job The job record (its stateFileId is set when the working file is created).
+ */
+function saveJob_(job) {
+  job.updatedAt = new Date().toISOString();
+
+  let value = JSON.stringify(job);
+  if (job.stateFileId || getUtf8Size_(value) > JOB_PROPERTY_MAX_BYTES) {
+    saveJobStateFile_(job);
+    const record = Object.assign({}, job);
+    delete record.params;
+    delete record.checkpoint;
+    delete record.result;
+    delete record.error;
+    value = JSON.stringify(record);
+  }
+
+  if (getUtf8Size_(value) > JOB_PROPERTY_MAX_BYTES) {
+    throw new Error(
+      `Job ${job.id} cannot be saved: its record takes ${getUtf8Size_(value)} bytes without its params, checkpoint, result and error, more than the ${JOB_PROPERTY_MAX_BYTES} bytes a Script Property holds.`,
+    );
+  }
+  PropertiesService.getScriptProperties().setProperty(
+    JOB_PROPERTY_PREFIX + job.id,
+    value,
+  );
+}
+
+/**
+ * Writes the params, checkpoint, result and error of a job to its working file in the backup folder.
+ * @param {object} job The job record (its stateFileId is set when the file is created).
+ */
+function saveJobStateFile_(job) {
+  const content = JSON.stringify({
+    params: job.params,
+    checkpoint: job.checkpoint,
+    result: job.result,
+    error: job.error,
+  });
+
+  if (job.stateFileId) {
+    DriveApp.getFileById(job.stateFileId).setContent(content);
+    return;
+  }
+
+  const folder = getOrCreateFolder_(
+    DRIVE_FOLDER_NAME,
+    PropertiesService.getScriptProperties().getProperty("BACKUP_FOLDER_ID"),
+  );
+  job.stateFileId = folder
+    .createFile(job.id + JOB_STATE_FILE_SUFFIX, content, "application/json")
+    .getId();
+  Logger.log(
+    `JOB: ${job.id} is too large for Script Properties, its state is kept in ${job.id}${JOB_STATE_FILE_SUFFIX}.`,
+  );
+}
+
+/**
+ * Measures a string as Script Properties do (UTF-8 bytes).
+ * @param {string} value The string.
+ * @returns {number} Its size in bytes.
+ */
+function getUtf8Size_(value) {
+  return Utilities.newBlob(value).getBytes().length;
+}
+
+/**
+ * Saves the checkpoint of a job during a step, keeping a state change made
+ * meanwhile by another execution (pause or cancel from the web UI). The script
+ * lock keeps such a change from landing between the read and the save (see updateJobState_).
+ * @param {object} job The job record being run.
+ * @returns {boolean} True if the job is still running and the step can continue.
+ */
+function saveJobCheckpoint_(job) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    const latest = getJob_(job.id);
+    if (latest && latest.state !== JOB_STATE_RUNNING) {
+      job.state = latest.state;
+    }
+
+    saveJob_(job);
+  } finally {
+    lock.releaseLock();
+  }
+  return job.state === JOB_STATE_RUNNING;
+}
+
+/**
+ * Lists every stored job, newest first.
+ * @returns {Array<object>} The job records.
+ */
+function listJobRecords_() {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  const jobs = [];
+
+  for (const key in properties) {
+    if (key.indexOf(JOB_PROPERTY_PREFIX) === 0) {
+      jobs.push(parseJobRecord_(properties[key]));
+    }
+  }
+
+  return jobs.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/**
+ * Runs one step of a job: works until the time budget is used, then saves the
+ * checkpoint and schedules a continuation trigger.
+ * @param {string} jobId The job ID.
+ * @param {number} [deadline] Optional: Timestamp (ms) when the step must stop. Defaults to now + JOB_TIME_BUDGET_MS.
+ * @returns {object} The job record after the step.
+ */
+function runJob_(jobId, deadline) {
+  const stepDeadline = deadline || Date.now() + JOB_TIME_BUDGET_MS;
+  let job = claimJob_(jobId, stepDeadline);
+  if (!job) return getJob_(jobId);
+
+  try {
+    Logger.log(`JOB: Running step of ${job.id} (${job.type}).`);
+    let finished;
+    try {
+      finished = runJobStep_(job, stepDeadline);
+    } catch (e) {
+      if (!isTokenRejectedError_(e)) throw e;
+
+      // The token expired or was revoked outside the batch writes (which renew it themselves, see
+      // executeBatchWrites_): run the step again from the saved checkpoint with a new token
+      Logger.log(
+        `JOB: Access token rejected, retrying the step of ${job.id} with a new token.`,
+      );
+      job = getJob_(job.id);
+      finished = runJobStep_(job, stepDeadline);
+    }
+    if (finished) job.state = JOB_STATE_DONE;
+  } catch (e) {
+    job.state = JOB_STATE_FAILED;
+    job.error = e.message || e.toString();
+    Logger.log(`❌ JOB ERROR (${job.id}): ${e.toString()}`);
+  }
+
+  // The job could have been paused or cancelled from the UI during the step: that state is kept
+  job.lockedUntil = 0;
+  saveJobCheckpoint_(job);
+  if (job.state === JOB_STATE_DONE) {
+    Logger.log(`JOB: ${job.id} finished.`);
+  } else if (job.state === JOB_STATE_RUNNING) {
+    Logger.log(`JOB: ${job.id} reached the time budget. Checkpoint saved.`);
+    scheduleJobContinuation_();
+  }
+  recordJobRun_(job);
+
+  // A snapshot is part of its restore, which is notified on its own
+  if (
+    (job.state === JOB_STATE_DONE || job.state === JOB_STATE_FAILED) &&
+    !isRestoreSnapshotJob_(job)
+  ) {
+    notifyRun_(buildRunHistoryEntry_(job));
+  }
+  return job;
+}
+
+/**
+ * Dispatches a job step to the function of its type.
+ * @param {object} job The job record (its checkpoint is updated in place).
+ * @param {number} deadline Timestamp (ms) when the step must stop.
+ * @returns {boolean} True when the job is finished.
+ */
+function runJobStep_(job, deadline) {
+  switch (job.type) {
+    case "backup":
+      return runBackupJobStep_(job, deadline);
+    case "restore":
+      return runRestoreJobStep_(job, deadline);
+    default:
+      throw new Error(`Unknown job type: ${job.type}`);
+  }
+}
+
+/**
+ * Marks a running job as locked by the current execution, so two executions
+ * (e.g. a continuation trigger and the web UI) never run the same job at once.
+ * @param {string} jobId The job ID.
+ * @param {number} deadline Timestamp (ms) when the step will stop.
+ * @returns {object|null} The job record, or null if it cannot run now.
+ */
+function claimJob_(jobId, deadline) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    const job = getJob_(jobId);
+    if (!job) throw new Error(`Job ${jobId} does not exist.`);
+
+    if (job.state !== JOB_STATE_RUNNING) {
+      Logger.log(`JOB: ${jobId} is ${job.state}. Nothing to run.`);
+      return null;
+    }
+    if (job.lockedUntil > Date.now()) {
+      Logger.log(`JOB: ${jobId} is already being run by another execution.`);
+      return null;
+    }
+
+    // Keep a margin so an execution that dies without unlocking does not block the job forever
+    job.lockedUntil = deadline + 60 * 1000;
+    saveJob_(job);
+    return job;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Creates the continuation trigger if there is none pending.
+ */
+function scheduleJobContinuation_() {
+  const pending = ScriptApp.getProjectTriggers().some(
+    (trigger) => trigger.getHandlerFunction() === JOB_CONTINUATION_HANDLER,
+  );
+
+  if (!pending) {
+    ScriptApp.newTrigger(JOB_CONTINUATION_HANDLER)
+      .timeBased()
+      .after(JOB_CONTINUATION_DELAY_MS)
+      .create();
+    Logger.log("JOB: Continuation trigger scheduled.");
+  }
+}
+
+/**
+ * Continuation trigger handler: runs a step of every running job.
+ * The time budget is shared by all the jobs of this execution. It has no trailing
+ * underscore so triggers can run it, and only continues the jobs already running.
+ */
+function continueJobs() {
+  // One-off trigger: remove it so a new one can be scheduled if needed
+  ScriptApp.getProjectTriggers().forEach((trigger) => {
+    if (trigger.getHandlerFunction() === JOB_CONTINUATION_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  const deadline = Date.now() + JOB_TIME_BUDGET_MS;
+  listJobRecords_()
+    .filter((job) => job.state === JOB_STATE_RUNNING)
+    .reverse() // Oldest first
+    .forEach((job) => {
+      if (Date.now() < deadline) {
+        runJob_(job.id, deadline);
+      } else {
+        scheduleJobContinuation_();
+      }
+    });
+}
+
+/**
+ * Pauses a running job. The current step stops at its next checkpoint.
+ * @param {string} jobId The job ID.
+ * @returns {object} The job summary.
+ */
+function pauseJob(jobId) {
+  authorizeJobAction_(jobId, "pause");
+  return updateJobState_(jobId, [JOB_STATE_RUNNING], JOB_STATE_PAUSED);
+}
+
+/**
+ * Resumes a paused or failed job from its last checkpoint and runs a step right away.
+ * @param {string} jobId The job ID.
+ * @returns {object} The job summary.
+ */
+function resumeJob(jobId) {
+  authorizeJobAction_(jobId, "resume");
+  updateJobState_(
+    jobId,
+    [JOB_STATE_PAUSED, JOB_STATE_FAILED],
+    JOB_STATE_RUNNING,
+  );
+  return summarizeJob_(runJob_(jobId));
+}
+
+/**
+ * Cancels a job and removes its partial output.
+ * @param {string} jobId The job ID.
+ * @returns {object} The job summary.
+ */
+function cancelJob(jobId) {
+  authorizeJobAction_(jobId, "cancel");
+  const summary = updateJobState_(
+    jobId,
+    [JOB_STATE_RUNNING, JOB_STATE_PAUSED, JOB_STATE_FAILED],
+    JOB_STATE_CANCELLED,
+  );
+
+  const job = getJob_(jobId);
+  if (job.type === "backup") {
+    discardBackupJobOutput_(job);
+  } else if (job.type === "restore") {
+    cancelRestoreSnapshot_(job);
+  }
+
+  return summary;
+}
+
+/**
+ * Changes the state of a job, checking that the transition is allowed.
+ * @param {string} jobId The job ID.
+ * @param {Array<string>} allowedStates States the job can be in.
+ * @param {string} newState The new state.
+ * @returns {object} The job summary.
+ */
+function updateJobState_(jobId, allowedStates, newState) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  let job;
+
+  try {
+    job = getJob_(jobId);
+    if (!job) throw new Error(`Job ${jobId} does not exist.`);
+
+    if (allowedStates.indexOf(job.state) === -1) {
+      throw new Error(
+        `Job ${jobId} is ${job.state} and cannot be ${newState}.`,
+      );
+    }
+
+    job.state = newState;
+    if (newState === JOB_STATE_RUNNING) {
+      job.error = null;
+      job.lockedUntil = 0;
+    }
+    saveJob_(job);
+    Logger.log(`JOB: ${jobId} is now ${newState}.`);
+  } finally {
+    lock.releaseLock();
+  }
+
+  recordJobRun_(job);
+  return summarizeJob_(job);
+}
+
+/**
+ * Builds the public view of a job (for the web UI).
+ * @param {object} job The job record.
+ * @returns {object} The job summary ({ id, type, state, progress, result, error, createdAt, updatedAt }).
+ */
+function summarizeJob_(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    progress: job.checkpoint.progress || "",
+    result: job.result,
+    error: job.error,
+    // Restores: their safety snapshot and the job that rolled them back (see Snapshots.js)
+    snapshotFileId: job.checkpoint.snapshotFileId || null,
+    rollbackJobId: job.rollbackJobId || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+/**
+ * Lists the jobs for the web UI, newest first.
+ * @returns {Array<object>} The job summaries.
+ */
+function listJobs() {
+  requireRole_(ACCESS_ROLE_VIEWER, "jobs.list");
+  return listJobRecords_().map(summarizeJob_);
+}
+
+/**
+ * Gets the summary of a single job (used to poll its status from the web UI).
+ * @param {string} jobId The job ID.
+ * @returns {object|null} The job summary, or null if it does not exist.
+ */
+function getJobStatus(jobId) {
+  requireRole_(ACCESS_ROLE_VIEWER, "jobs.status");
+  const job = getJob_(jobId);
+  return job ? summarizeJob_(job) : null;
+}
+
+/**
+ * Removes the oldest finished jobs so Script Properties do not fill up. The safety
+ * snapshots of the restores do not count: they are removed with their restore.
+ */
+function cleanupFinishedJobs_() {
+  const PROPERTIES = PropertiesService.getScriptProperties();
+  const jobs = listJobRecords_();
+  const isFinished = (job) =>
+    job.state === JOB_STATE_DONE || job.state === JOB_STATE_CANCELLED;
+
+  const removed = jobs
+    .filter((job) => isFinished(job) && !isRestoreSnapshotJob_(job))
+    .slice(JOB_HISTORY_LIMIT);
+  const kept = {};
+  jobs.forEach((job) => (kept[job.id] = true));
+  removed.forEach((job) => delete kept[job.id]);
+  const orphanSnapshots = jobs.filter(
+    (job) =>
+      isFinished(job) &&
+      isRestoreSnapshotJob_(job) &&
+      !kept[job.params.restoreJobId],
+  );
+
+  removed.concat(orphanSnapshots).forEach((job) => {
+    if (job.type === "restore") {
+      trashRestoreResults_(job);
+    }
+    if (job.stateFileId) {
+      DriveApp.getFileById(job.stateFileId).setTrashed(true);
+    }
+    PROPERTIES.deleteProperty(JOB_PROPERTY_PREFIX + job.id);
+  });
+}
@@ -0,0 +1,444 @@
+/**
+ * Migrations: reshape the documents of a backup while restoring them, e.g. to copy
+ * data from a staging project to a production project (or the reverse).
+ *
+ * Migrations are declared as a JSON object in the MIGRATIONS script property and
+ * chosen in the restore form (or passed to executeRestore as "migration"):
+ *
+ * {
+ *   "staging-to-prod": {
+ *     "rename": { "fullName": "name", "address.zip": "address.postalCode" },
+ *     "drop": ["debug", "address.legacyId"],
+ *     "defaults": { "status": "active", "plan": { "integerValue": "1" } },
+ *     "rewrite_references": true,                // Optional: default true
+ *     "ids": {                                   // Optional: new document IDs
+ *       "prefix": "eu_", "suffix": "",
+ *       "map": { "user1": "customer1" },         // Lookup table (wins over prefix/suffix)
+ *       "map_file_id": "1AbC..."                 // Optional: Drive file with a JSON lookup table
+ *     },
+ *     "anonymize": { "fields": ["email", "phone"], "method": "hash" },
+ *     "production_projects": ["my-app-prod"]     // Targets that are never anonymized
+ *   }
+ * }
+ *
+ * The steps run in this order: rename, drop, defaults (only set on documents that do not
+ * have the field), reference rewrite, anonymization, ID mapping. Field paths use dots for
+ * nested map fields. Default values are converted like query values (see Queries.js).
+ *
+ * - Reference rewrite: references to the source project and database point to the target ones,
+ *   and references to the documents of the restored collection point to their new
+ *   path (target collection and mapped ID).
+ * - Anonymization runs when the target project is not in "production_projects":
+ *   "hash" (default) replaces a value with a stable token (the same value always gives
+ *   the same token). The tokens are keyed with a secret salt, created on first use in the
+ *   ANONYMIZATION_SALT script property, so they cannot be reversed by hashing guesses. "mask" hides the characters of strings (keeping the domain of
+ *   emails), "remove" deletes the field.
+ * - Renames, drops, defaults and ID mapping apply to the documents of the collection:
+ *   the documents of their subcollections follow their parent. References and
+ *   anonymized fields are migrated in every document, so no personal data is left behind.
+ *
+ * A document selection (see RestoreSelection.js) uses the IDs and field names of the backup.
+ */
+
+const MIGRATION_ANONYMIZE_METHODS = ["hash", "mask", "remove"];
+const ANONYMIZATION_SALT_PROPERTY = "ANONYMIZATION_SALT";
+const MIGRATION_DOCUMENTS_ROOT_PATTERN =
+  /^projects\/([^/]+)\/databases\/([^/]+)\/documents\/(.+)$/;
+
+/**
+ * Reads the migrations declared in the MIGRATIONS script property.
+ * @returns {object} The raw migrations by name ({} if MIGRATIONS is not set).
+ */
+function getMigrations_() {
+  const value =
+    PropertiesService.getScriptProperties().getProperty("MIGRATIONS");
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error(
+      `Configuration error: MIGRATIONS is not valid JSON (${e.message}).`,
+    );
+  }
+}
+
+/**
+ * Validates a migration.
+ * @param {string} name The migration name.
+ * @param {object} migration The raw migration (see the format above).
+ * @returns {object} The normalized migration: { name, rename, drop, defaults (typed values), rewrite_references, ids: { prefix, suffix, map, map_file_id }, anonymize: { fields, method }, production_projects }.
+ */
+function normalizeMigration_(name, migration) {
+  const fail = (message) => {
+    throw new Error(`Configuration error: Migration '${name}' ${message}.`);
+  };
+  const isMap = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const isList = (value) =>
+    Array.isArray(value) &&
+    value.every((item) => typeof item === "string" && item);
+
+  if (!isMap(migration)) fail("must be a JSON object");
+
+  const rename = migration.rename || {};
+  if (!isMap(rename) || !Object.keys(rename).every((from) => rename[from])) {
+    fail('has an invalid "rename". Use { "oldField": "newField" }');
+  }
+
+  const drop = migration.drop || [];
+  if (!isList(drop)) fail('has an invalid "drop". Use a list of field paths');
+
+  const defaults = migration.defaults || {};
+  if (!isMap(defaults)) {
+    fail('has invalid "defaults". Use { "field": value }');
+  }
+  const typedDefaults = {};
+  for (const path in defaults) {
+    typedDefaults[path] = toQueryValue_(defaults[path]);
+  }
+
+  const ids = migration.ids || {};
+  if (!isMap(ids) || (ids.map !== undefined && !isMap(ids.map))) {
+    fail(
+      'has an invalid "ids". Use { "prefix", "suffix", "map": { "oldId": "newId" } }',
+    );
+  }
+  const idMap = ids.map || {};
+  Object.keys(idMap).forEach((id) => {
+    if (
+      typeof idMap[id] !== "string" ||
+      !idMap[id] ||
+      idMap[id].indexOf("/") !== -1
+    ) {
+      fail(
+        `maps document '${id}' to an invalid ID (${JSON.stringify(idMap[id])})`,
+      );
+    }
+  });
+  if (/\//.test((ids.prefix || "") + (ids.suffix || ""))) {
+    fail('has an ID "prefix" or "suffix" with a slash');
+  }
+
+  const anonymize = migration.anonymize || null;
+  if (anonymize) {
+    if (!isMap(anonymize) || !isList(anonymize.fields || [])) {
+      fail(
+        'has an invalid "anonymize". Use { "fields": [...], "method": "hash" }',
+      );
+    }
+    if (
+      anonymize.method !== undefined &&
+      MIGRATION_ANONYMIZE_METHODS.indexOf(anonymize.method) === -1
+    ) {
+      fail(
+        `has an invalid anonymize "method" (${anonymize.method}). Use one of: ${MIGRATION_ANONYMIZE_METHODS.join(", ")}`,
+      );
+    }
+  }
+
+  const productionProjects = migration.production_projects || [];
+  if (!isList(productionProjects)) {
+    fail('has invalid "production_projects". Use a list of project IDs');
+  }
+
+  return {
+    name: name,
+    rename: rename,
+    drop: drop,
+    defaults: typedDefaults,
+    rewrite_references: migration.rewrite_references !== false,
+    ids: {
+      prefix: ids.prefix || "",
+      suffix: ids.suffix || "",
+      map: idMap,
+      map_file_id: ids.map_file_id || null,
+    },
+    anonymize:
+      anonymize && (anonymize.fields || []).length
+        ? {
+            fields: anonymize.fields,
+            method: anonymize.method || MIGRATION_ANONYMIZE_METHODS[0],
+          }
+        : null,
+    production_projects: productionProjects,
+  };
+}
+
+/**
+ * Resolves the migration of a restore.
+ * @param {string|object} [migration] Optional: The name of a migration of MIGRATIONS, or an inline migration.
+ * @returns {object|null} The normalized migration, or null if there is none.
+ */
+function resolveMigration_(migration) {
+  if (!migration) return null;
+  if (typeof migration === "object") {
+    return normalizeMigration_("inline", migration);
+  }
+
+  const migrations = getMigrations_();
+  if (!migrations.hasOwnProperty(migration)) {
+    throw new Error(
+      `Configuration error: Migration '${migration}' does not exist. Check the MIGRATIONS property.`,
+    );
+  }
+  return normalizeMigration_(migration, migrations[migration]);
+}
+
+/**
+ * Removes a field of a document by its path (e.g. 'address.city').
+ * @param {object} fields The typed fields of the document (modified).
+ * @param {string} fieldPath The field path.
+ * @returns {object|undefined} The removed typed value, or undefined if the field does not exist.
+ */
+function removeDocumentField_(fields, fieldPath) {
+  const names = fieldPath.split(".");
+  const last = names.pop();
+  const parent = names.length
+    ? findDocumentField_(fields, names.join("."))
+    : { mapValue: { fields: fields } };
+
+  if (!parent || !parent.mapValue || !parent.mapValue.fields) return undefined;
+  const value = parent.mapValue.fields[last];
+  delete parent.mapValue.fields[last];
+  return value;
+}
+
+/**
+ * Sets a field of a document by its path, creating the missing parent maps.
+ * @param {object} fields The typed fields of the document (modified).
+ * @param {string} fieldPath The field path.
+ * @param {object} value The typed value.
+ */
+function setDocumentField_(fields, fieldPath, value) {
+  const names = fieldPath.split(".");
+  const last = names.pop();
+  let current = fields;
+
+  names.forEach((name) => {
+    if (!current[name] || !current[name].mapValue) {
+      current[name] = { mapValue: { fields: {} } };
+    }
+    current = current[name].mapValue.fields =
+      current[name].mapValue.fields || {};
+  });
+  current[last] = value;
+}
+
+/**
+ * Gets the new ID of a document of the migrated collection.
+ * @param {object} migration The normalized migration.
+ * @param {object} idMap The lookup table (inline map and map file).
+ * @param {string} id The ID in the backup.
+ * @returns {string} The new ID.
+ */
+function mapMigratedDocumentId_(migration, idMap, id) {
+  if (idMap.hasOwnProperty(id)) return idMap[id];
+  return `${migration.ids.prefix}${id}${migration.ids.suffix}`;
+}
+
+/**
+ * Rewrites the references of a typed value, in place (maps and arrays included).
+ * @param {object} value The typed value.
+ * @param {function(string): string} rewrite Returns the new document name of a reference.
+ */
+function rewriteReferenceValues_(value, rewrite) {
+  if (value.referenceValue !== undefined) {
+    value.referenceValue = rewrite(value.referenceValue);
+  } else if (value.mapValue) {
+    const fields = value.mapValue.fields || {};
+    for (const name in fields) rewriteReferenceValues_(fields[name], rewrite);
+  } else if (value.arrayValue) {
+    (value.arrayValue.values || []).forEach((item) =>
+      rewriteReferenceValues_(item, rewrite),
+    );
+  }
+}
+
+/**
+ * Reads the secret salt of the anonymization tokens, creating it on first use.
+ * @returns {string} The salt (64 random hex characters).
+ */
+function getAnonymizationSalt_() {
+  const PROPERTIES = PropertiesService.getScriptProperties();
+  const salt = PROPERTIES.getProperty(ANONYMIZATION_SALT_PROPERTY);
+  if (salt) return salt;
+
+  // Two executions must never create different salts: the tokens would not match
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    let created = PROPERTIES.getProperty(ANONYMIZATION_SALT_PROPERTY);
+    if (!created) {
+      created = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, "");
+      PROPERTIES.setProperty(ANONYMIZATION_SALT_PROPERTY, created);
+      Logger.log(
+        `MIGRATION: ${ANONYMIZATION_SALT_PROPERTY} created for the anonymization tokens.`,
+      );
+    }
+    return created;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Anonymizes a typed value.
+ * @param {object} value The typed value.
+ * @param {string} method 'hash' or 'mask'.
+ * @param {string} salt The secret salt and the migration name, so the tokens cannot be reversed and each migration has its own.
+ * @returns {object} The anonymized typed value.
+ */
+function anonymizeFieldValue_(value, method, salt) {
+  const plain = extractFieldValue_(value);
+  if (plain === null) return value;
+
+  if (method === "hash") {
+    const token = computeSha256Hex_(`${salt}:${JSON.stringify(plain)}`).slice(
+      0,
+      16,
+    );
+    return { stringValue: `anon_${token}` };
+  }
+
+  // 'mask': strings keep their length (and the domain of emails), other values are cleared
+  if (typeof plain !== "string" || value.stringValue === undefined) {
+    return { nullValue: null };
+  }
+  const at = plain.lastIndexOf("@");
+  const local = at > 0 ? plain.slice(0, at) : plain;
+  const masked =
+    local.length > 1 ? local[0] + "*".repeat(local.length - 1) : "*";
+  return { stringValue: at > 0 ? masked + plain.slice(at) : masked };
+}
+
+/**
+ * Applies a migration to the documents of a restore.
+ * @param {Array<object>} documents The documents to write ({ path, fields, fieldMask }), under the target collection.
+ * @param {object} migration The normalized migration.
+ * @param {object} context { sourceProject (of the backup, may be null), sourceDatabase, targetProject, targetDatabase, sourceCollection (of the backup), targetCollection }.
+ * @returns {Array<object>} The migrated documents (new objects: the input is not modified).
+ */
+function applyMigration_(documents, migration, context) {
+  const idMap = Object.assign({}, migration.ids.map);
+  if (migration.ids.map_file_id) {
+    try {
+      Object.assign(
+        idMap,
+        JSON.parse(
+          DriveApp.getFileById(migration.ids.map_file_id)
+            .getBlob()
+            .getDataAsString(),
+        ),
+      );
+    } catch (e) {
+      throw new Error(
+        `Migration '${migration.name}' failed: cannot read the ID lookup table (${migration.ids.map_file_id}). ${e.message}`,
+      );
+    }
+  }
+
+  const anonymize =
+    migration.anonymize &&
+    migration.production_projects.indexOf(context.targetProject) === -1;
+  if (migration.anonymize && !anonymize) {
+    Logger.log(
+      `MIGRATION: '${context.targetProject}' is a production project, the fields are not anonymized.`,
+    );
+  }
+  const salt =
+    anonymize && migration.anonymize.method === "hash"
+      ? `${getAnonymizationSalt_()}:${migration.name}`
+      : null;
+
+  // Maps a path relative to the database (e.g. 'users/u1/orders/o1') to its new path
+  const mapPath = (path, collection) => {
+    if (path.indexOf(`${collection}/`) !== 0) return path;
+    const segments = path.substring(collection.length + 1).split("/");
+    segments[0] = mapMigratedDocumentId_(migration, idMap, segments[0]);
+    return `${context.targetCollection}/${segments.join("/")}`;
+  };
+  const targetRoot = getFirestoreDocumentsRoot_({
+    firebase_project_id: context.targetProject,
+    firestore_database_id: context.targetDatabase,
+  });
+  const rewrite = (name) => {
+    const match = name.match(MIGRATION_DOCUMENTS_ROOT_PATTERN);
+    if (!match) return name;
+    if (context.sourceProject && match[1] !== context.sourceProject)
+      return name;
+    if (context.sourceDatabase && match[2] !== context.sourceDatabase)
+      return name;
+    return `${targetRoot}/${mapPath(match[3], context.sourceCollection)}`;
+  };
+
+  const counts = { renamed: 0, dropped: 0, defaulted: 0, anonymized: 0 };
+  const migrated = documents.map((doc) => {
+    const fields = JSON.parse(JSON.stringify(doc.fields));
+    // The documents of subcollections have their own shape: only their references and personal data are migrated
+    const topLevel =
+      doc.path.split("/").length ===
+      context.targetCollection.split("/").length + 1;
+
+    for (const from in topLevel ? migration.rename : {}) {
+      const value = removeDocumentField_(fields, from);
+      if (value !== undefined) {
+        setDocumentField_(fields, migration.rename[from], value);
+        counts.renamed++;
+      }
+    }
+    (topLevel ? migration.drop : []).forEach((path) => {
+      if (removeDocumentField_(fields, path) !== undefined) counts.dropped++;
+    });
+    for (const path in topLevel ? migration.defaults : {}) {
+      if (findDocumentField_(fields, path) === undefined) {
+        setDocumentField_(fields, path, migration.defaults[path]);
+        counts.defaulted++;
+      }
+    }
+    if (migration.rewrite_references) {
+      for (const name in fields) rewriteReferenceValues_(fields[name], rewrite);
+    }
+    if (anonymize) {
+      migration.anonymize.fields.forEach((path) => {
+        const value = findDocumentField_(fields, path);
+        if (value === undefined) return;
+
+        if (migration.anonymize.method === "remove") {
+          removeDocumentField_(fields, path);
+        } else {
+          setDocumentField_(
+            fields,
+            path,
+            anonymizeFieldValue_(value, migration.anonymize.method, salt),
+          );
+        }
+        counts.anonymized++;
+      });
+    }
+
+    const result = {
+      path: mapPath(doc.path, context.targetCollection),
+      fields: fields,
+    };
+    if (doc.fieldMask) {
+      // The selected fields are named as in the backup
+      result.fieldMask = !topLevel
+        ? doc.fieldMask
+        : doc.fieldMask
+            .filter((name) => migration.drop.indexOf(name) === -1)
+            .map((name) =>
+              migration.rename[name]
+                ? migration.rename[name].split(".")[0]
+                : name,
+            );
+    }
+    return result;
+  });
+
+  Logger.log(
+    `MIGRATION: '${migration.name}' applied to ${migrated.length} documents (${counts.renamed} fields renamed, ${counts.dropped} dropped, ` +
+      `${counts.defaulted} defaults set, ${counts.anonymized} anonymized).`,
+  );
+  return migrated;
+}
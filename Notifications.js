@@ -0,0 +1,228 @@
+/**
+ * Notifications of backup and restore outcomes (email and webhooks).
+ *
+ * Channels are configured as JSON in the NOTIFICATIONS script property:
+ *
+ * {
+ *   "channels": [
+ *     { "type": "email", "to": "ops@example.com", "when": "failure" },
+ *     { "type": "slack", "url": "https://hooks.slack.com/services/...", "when": "always" },
+ *     { "type": "webhook", "url": "https://example.com/firestore-backups", "when": "failure" }
+ *   ],
+ *   "drop_threshold": 0.2   // Optional: alert when a backup has 20% fewer documents than the previous one
+ * }
+ *
+ * "when": "always" notifies every finished run, "failure" (default) only failed runs
+ * and document-count drops. Slack channels receive { text }, generic webhooks the
+ * event, the message and the run history entry (see History.js).
+ */
+
+const NOTIFICATION_CHANNEL_TYPES = ["email", "slack", "webhook"];
+const NOTIFICATION_WHEN = ["failure", "always"];
+const DEFAULT_DROP_THRESHOLD = 0.2;
+
+/**
+ * Reads the notification settings.
+ * @returns {object} { channels: [{ type, to, url, when }], drop_threshold }. No channels if NOTIFICATIONS is not set.
+ */
+function getNotificationSettings_() {
+  const value =
+    PropertiesService.getScriptProperties().getProperty("NOTIFICATIONS");
+  if (!value) return { channels: [], drop_threshold: DEFAULT_DROP_THRESHOLD };
+
+  let settings;
+  try {
+    settings = JSON.parse(value);
+  } catch (e) {
+    throw new Error(
+      `Configuration error: NOTIFICATIONS is not valid JSON (${e.message}).`,
+    );
+  }
+
+  const channels = (settings.channels || []).map((channel, index) => {
+    const when = channel.when || NOTIFICATION_WHEN[0];
+
+    if (NOTIFICATION_CHANNEL_TYPES.indexOf(channel.type) === -1) {
+      throw new Error(
+        `Configuration error: Notification channel ${index + 1} has an invalid "type" (${channel.type}). Use one of: ${NOTIFICATION_CHANNEL_TYPES.join(", ")}.`,
+      );
+    }
+    if (NOTIFICATION_WHEN.indexOf(when) === -1) {
+      throw new Error(
+        `Configuration error: Notification channel ${index + 1} has an invalid "when" (${when}). Use one of: ${NOTIFICATION_WHEN.join(", ")}.`,
+      );
+    }
+    if (channel.type === "email" ? !channel.to : !channel.url) {
+      throw new Error(
+        `Configuration error: Notification channel ${index + 1} needs ${channel.type === "email" ? '"to"' : '"url"'}.`,
+      );
+    }
+
+    return { type: channel.type, to: channel.to, url: channel.url, when: when };
+  });
+
+  return {
+    channels: channels,
+    drop_threshold:
+      settings.drop_threshold !== undefined
+        ? Number(settings.drop_threshold)
+        : DEFAULT_DROP_THRESHOLD,
+  };
+}
+
+/**
+ * Finds the last successful full backup of the same profile before a run
+ * (incremental backups only hold the changed documents, so their counts are not comparable).
+ * @param {object} entry The run history entry.
+ * @returns {object|null} The previous history entry, or null if there is none.
+ */
+function findPreviousBackupRun_(entry) {
+  return (
+    readRunHistory_().filter(
+      (item) =>
+        item.id !== entry.id &&
+        item.type === "backup" &&
+        item.target === entry.target &&
+        item.state === JOB_STATE_DONE &&
+        item.backupType !== "incremental" &&
+        item.startedAt < entry.startedAt,
+    )[0] || null
+  );
+}
+
+/**
+ * Builds the notification of a finished run.
+ * @param {object} entry The run history entry.
+ * @param {number} dropThreshold Relative drop of documents that triggers an alert (0.2 = 20%).
+ * @returns {object|null} { event: 'success'|'failure'|'count_drop', subject, message }, or null if the run is not finished.
+ */
+function buildRunNotification_(entry, dropThreshold) {
+  const name = `${entry.type === "backup" ? "Backup" : "Restore"} '${entry.target}' (${entry.id})`;
+
+  if (entry.state === JOB_STATE_FAILED) {
+    return {
+      event: "failure",
+      subject: `❌ Firestore ${entry.type} failed: ${entry.target}`,
+      message: `${name} failed: ${entry.error}`,
+    };
+  }
+  if (entry.state !== JOB_STATE_DONE) return null;
+
+  // The safety snapshots of restores are not compared with the previous backups
+  if (
+    entry.type === "backup" &&
+    entry.backupType !== "incremental" &&
+    entry.trigger !== "restore"
+  ) {
+    const previous = findPreviousBackupRun_(entry);
+
+    if (
+      previous &&
+      previous.documentCount > 0 &&
+      (previous.documentCount - entry.documentCount) / previous.documentCount >=
+        dropThreshold
+    ) {
+      return {
+        event: "count_drop",
+        subject: `⚠️ Firestore backup document count dropped: ${entry.target}`,
+        message: `${name} saved ${entry.documentCount} documents, ${previous.documentCount} in the previous backup (${previous.startedAt}).`,
+      };
+    }
+  }
+
+  return {
+    event: "success",
+    subject: `✅ Firestore ${entry.type} done: ${entry.target}`,
+    message: `${name} finished: ${entry.documentCount} documents.`,
+  };
+}
+
+/**
+ * Notifies the configured channels about a finished run. Errors are logged and never
+ * fail the run itself.
+ * @param {object} entry The run history entry (see buildRunHistoryEntry_).
+ */
+function notifyRun_(entry) {
+  let settings;
+  try {
+    settings = getNotificationSettings_();
+  } catch (e) {
+    Logger.log(`❌ NOTIFICATION ERROR: ${e.toString()}`);
+    return;
+  }
+  if (settings.channels.length === 0) return;
+
+  const notification = buildRunNotification_(entry, settings.drop_threshold);
+  if (!notification) return;
+
+  settings.channels.forEach((channel) => {
+    if (channel.when === "failure" && notification.event === "success") return;
+
+    try {
+      sendNotification_(channel, notification, entry);
+      Logger.log(
+        `NOTIFICATION: ${notification.event} sent to ${channel.type} channel.`,
+      );
+    } catch (e) {
+      Logger.log(`❌ NOTIFICATION ERROR (${channel.type}): ${e.toString()}`);
+    }
+  });
+}
+
+/**
+ * Sends a notification to a single channel.
+ * @param {object} channel The channel ({ type, to, url }).
+ * @param {object} notification The notification ({ event, subject, message }).
+ * @param {object} entry The run history entry.
+ */
+function sendNotification_(channel, notification, entry) {
+  if (channel.type === "email") {
+    MailApp.sendEmail({
+      to: channel.to,
+      subject: notification.subject,
+      body: `${notification.message}\n\n${JSON.stringify(entry, null, 2)}`,
+    });
+    return;
+  }
+
+  const payload =
+    channel.type === "slack"
+      ? { text: `${notification.subject}\n${notification.message}` }
+      : {
+          event: notification.event,
+          message: notification.message,
+          run: entry,
+        };
+
+  const response = UrlFetchApp.fetch(channel.url, {
+    method: "post",
+    contentType: "application/json",
+    muteHttpExceptions: true,
+    payload: JSON.stringify(payload),
+  });
+
+  const responseCode = response.getResponseCode();
+  if (responseCode < 200 || responseCode >= 300) {
+    throw new Error(
+      `Webhook answered with code ${responseCode}: ${response.getContentText()}`,
+    );
+  }
+}
+
+/**
+ * Sends a test notification to every configured channel (run it from the editor
+ * after changing NOTIFICATIONS). Admin only.
+ */
+function sendTestNotification() {
+  authorizeAction_(ACCESS_ROLE_ADMIN, "notification.test");
+  const notification = {
+    event: "test",
+    subject: "Firestore Backup Manager: test notification",
+    message: "The notification channel is configured correctly.",
+  };
+
+  getNotificationSettings_().channels.forEach((channel) => {
+    sendNotification_(channel, notification, {});
+    Logger.log(`NOTIFICATION: Test sent to ${channel.type} channel.`);
+  });
+}
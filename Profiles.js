@@ -0,0 +1,271 @@
+/**
+ * Backup profiles.
+ *
+ * A profile describes what a backup run saves and where. Profiles are defined
+ * as a JSON object in the BACKUP_PROFILES script property, e.g.:
+ *
+ * {
+ *   "nightly": {
+ *     "collections": ["users", "orders"],   // or "*" for all root collections
+ *     "project_id": "my-project-12345",     // Optional: defaults to the project of the service account, then FIREBASE_PROJECT_ID
+ *     "service_account": "staging",         // Optional: see ServiceAccounts.js, defaults to the account of the project
+ *     "database_id": "analytics",           // Optional: named database, defaults to FIRESTORE_DATABASE_ID, then "(default)"
+ *     "api_url": "https://...",             // Optional: Firestore API base URL, defaults to FIRESTORE_API_URL (*.googleapis.com unless "emulator")
+ *     "emulator": false,                    // Optional: true to use the emulator "owner" token (needs "api_url")
+ *     "backup_folder_id": "1AbC...",        // Optional: defaults to BACKUP_FOLDER_ID
+ *     "file_name_pattern": "{collection}_backup_{timestamp}",
+ *     "output": "per_collection",           // or "archive" (one combined file)
+ *     "subcollection_depth": 1,             // Optional: defaults to SUBCOLLECTION_DEPTH
+ *     "retention": { "keep_last": 5 },      // Optional: defaults to RETENTION_POLICY (see Retention.js)
+ *     "encoding": "ndjson",                 // Optional: "json" or "ndjson", defaults to BACKUP_ENCODING
+ *     "compression": "gzip",                // Optional: "none" or "gzip", defaults to BACKUP_COMPRESSION
+ *     "chunk_size_mb": 25,                  // Optional: defaults to BACKUP_CHUNK_SIZE_MB
+ *     "encrypt": true,                      // Optional: defaults to true when BACKUP_ENCRYPTION_KEY_VERSION is set
+ *     "incremental": { "field": "updatedAt", "full_every": 7 }, // Optional: see Incremental.js
+ *     "query": { "where": [["tenantId", "==", "acme"]] }      // Optional: see Queries.js
+ *   }
+ * }
+ *
+ * The "default" profile is built from the legacy single-collection properties
+ * (COLLECTION_NAME, FIREBASE_PROJECT_ID, BACKUP_FOLDER_ID) unless BACKUP_PROFILES
+ * defines a profile with that name.
+ *
+ * File name pattern placeholders: {profile}, {project}, {collection}, {timestamp}.
+ * For archives and manifests, {collection} is replaced by '<profile>_archive'
+ * and '<profile>_manifest'.
+ */
+
+const DEFAULT_PROFILE_NAME = "default";
+const DEFAULT_FILE_NAME_PATTERN = "{collection}_backup_{timestamp}";
+const ALL_ROOT_COLLECTIONS = "*";
+const PROFILE_OUTPUTS = ["per_collection", "archive"];
+
+/**
+ * Reads all the configured backup profiles.
+ * @returns {object} Map of profile name to its normalized profile object.
+ */
+function getBackupProfiles_() {
+  const PROPERTIES = PropertiesService.getScriptProperties();
+  const legacy = getProjectProperties_();
+  const profiles = {};
+
+  // 1. Default profile from the single-collection properties (backwards compatible)
+  if (legacy.collection_name) {
+    profiles[DEFAULT_PROFILE_NAME] = normalizeBackupProfile_(
+      DEFAULT_PROFILE_NAME,
+      { collections: [legacy.collection_name] },
+      legacy,
+    );
+  }
+
+  // 2. Profiles from BACKUP_PROFILES
+  const BACKUP_PROFILES = PROPERTIES.getProperty("BACKUP_PROFILES");
+  if (BACKUP_PROFILES) {
+    let definitions;
+    try {
+      definitions = JSON.parse(BACKUP_PROFILES);
+    } catch (e) {
+      throw new Error(
+        "Configuration error: BACKUP_PROFILES property is not valid JSON.",
+      );
+    }
+
+    for (const name in definitions) {
+      if (definitions.hasOwnProperty(name)) {
+        profiles[name] = normalizeBackupProfile_(
+          name,
+          definitions[name],
+          legacy,
+        );
+      }
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Gets a single backup profile by name.
+ * @param {string} [profileName] Optional: The profile name. Defaults to the "default" profile.
+ * @returns {object} The normalized profile.
+ */
+function getBackupProfile_(profileName) {
+  const name = profileName || DEFAULT_PROFILE_NAME;
+  const profiles = getBackupProfiles_();
+
+  if (!profiles[name]) {
+    throw new Error(
+      `Configuration error: Backup profile '${name}' does not exist. Check COLLECTION_NAME or BACKUP_PROFILES properties.`,
+    );
+  }
+
+  return profiles[name];
+}
+
+/**
+ * Gets the project properties with the values of a backup profile applied
+ * (project, database and endpoint, service account, Drive folder and subcollection depth).
+ * @param {string} [profileName] Optional: The profile name. Defaults to the "default" profile.
+ * @param {object} [definition] Optional: A profile definition to use instead of BACKUP_PROFILES (e.g. the safety snapshots, see Snapshots.js).
+ * @returns {object} The project properties plus a 'profile' key with the profile.
+ */
+function getProfileProperties_(profileName, definition) {
+  const props = getProjectProperties_();
+  const profile = definition
+    ? normalizeBackupProfile_(profileName, definition, props)
+    : getBackupProfile_(profileName);
+
+  props.profile = profile;
+  props.firebase_project_id = profile.project_id;
+  props.backup_folder_id = profile.backup_folder_id;
+  props.subcollection_depth = profile.subcollection_depth;
+  applyFirestoreEndpoint_(props, profile.endpoint);
+  applyServiceAccount_(props, profile.service_account);
+
+  return props;
+}
+
+/**
+ * Validates a profile definition and fills in the defaults.
+ * @param {string} name The profile name.
+ * @param {object} definition The raw profile definition from BACKUP_PROFILES.
+ * @param {object} legacy The project properties (used as defaults).
+ * @returns {object} The normalized profile.
+ */
+function normalizeBackupProfile_(name, definition, legacy) {
+  const collections = definition.collections;
+  const isAll = collections === ALL_ROOT_COLLECTIONS;
+
+  if (!isAll && (!Array.isArray(collections) || collections.length === 0)) {
+    throw new Error(
+      `Configuration error: Profile '${name}' must define "collections" as a list of names or "${ALL_ROOT_COLLECTIONS}".`,
+    );
+  }
+
+  const output = definition.output || PROFILE_OUTPUTS[0];
+  if (PROFILE_OUTPUTS.indexOf(output) === -1) {
+    throw new Error(
+      `Configuration error: Profile '${name}' has an invalid "output" (${output}). Use one of: ${PROFILE_OUTPUTS.join(", ")}.`,
+    );
+  }
+
+  const fileNamePattern =
+    definition.file_name_pattern || DEFAULT_FILE_NAME_PATTERN;
+  if (fileNamePattern.indexOf("{timestamp}") === -1) {
+    throw new Error(
+      `Configuration error: The "file_name_pattern" of profile '${name}' must contain {timestamp}.`,
+    );
+  }
+
+  const encoding = definition.encoding || legacy.backup_encoding;
+  if (BACKUP_ENCODINGS.indexOf(encoding) === -1) {
+    throw new Error(
+      `Configuration error: Profile '${name}' has an invalid "encoding" (${encoding}). Use one of: ${BACKUP_ENCODINGS.join(", ")}.`,
+    );
+  }
+
+  const compression = definition.compression || legacy.backup_compression;
+  if (BACKUP_COMPRESSIONS.indexOf(compression) === -1) {
+    throw new Error(
+      `Configuration error: Profile '${name}' has an invalid "compression" (${compression}). Use one of: ${BACKUP_COMPRESSIONS.join(", ")}.`,
+    );
+  }
+
+  const encrypt =
+    definition.encrypt !== undefined
+      ? !!definition.encrypt
+      : !!legacy.backup_encryption_key_version;
+  if (encrypt && !legacy.backup_encryption_key_version) {
+    throw new Error(
+      `Configuration error: Profile '${name}' is encrypted but BACKUP_ENCRYPTION_KEY_VERSION is not set (see Encryption.js).`,
+    );
+  }
+
+  const subcollectionDepth =
+    definition.subcollection_depth !== undefined
+      ? parseInt(definition.subcollection_depth, 10) || 0
+      : legacy.subcollection_depth;
+
+  if (definition.query && definition.incremental) {
+    throw new Error(
+      `Configuration error: Profile '${name}' cannot have both a "query" and an "incremental" setting.`,
+    );
+  }
+
+  const endpoint = normalizeFirestoreEndpoint_(
+    {
+      database_id: definition.database_id,
+      api_url: definition.api_url,
+      emulator: definition.emulator,
+    },
+    `Profile '${name}'`,
+  );
+  if (
+    endpoint.emulator &&
+    !endpoint.api_url &&
+    legacy.firestore_api_url === DEFAULT_FIRESTORE_API_URL
+  ) {
+    throw new Error(
+      `Configuration error: Profile '${name}' uses the emulator but has no "api_url".`,
+    );
+  }
+
+  // The project defaults to the project of the service account of the profile
+  const serviceAccount = definition.service_account
+    ? getServiceAccount_(definition.service_account)
+    : null;
+  const projectId =
+    definition.project_id ||
+    (serviceAccount && serviceAccount.project_id) ||
+    legacy.firebase_project_id;
+  if (!projectId) {
+    throw new Error(
+      `Configuration error: Profile '${name}' has no "project_id" and FIREBASE_PROJECT_ID is missing.`,
+    );
+  }
+
+  return {
+    name: name,
+    collections: isAll ? ALL_ROOT_COLLECTIONS : collections,
+    project_id: projectId,
+    service_account: serviceAccount ? serviceAccount.name : null,
+    endpoint: endpoint,
+    backup_folder_id: definition.backup_folder_id || legacy.backup_folder_id,
+    file_name_pattern: fileNamePattern,
+    output: output,
+    subcollection_depth: subcollectionDepth,
+    retention: definition.retention || null,
+    encoding: encoding,
+    compression: compression,
+    chunk_size_mb:
+      parseFloat(definition.chunk_size_mb) || legacy.backup_chunk_size_mb,
+    encryption_key_version: encrypt
+      ? legacy.backup_encryption_key_version
+      : null,
+    incremental: definition.incremental
+      ? normalizeIncrementalSettings_(
+          name,
+          definition.incremental,
+          subcollectionDepth,
+        )
+      : null,
+    query: definition.query
+      ? normalizeBackupQuery_(name, definition.query)
+      : null,
+  };
+}
+
+/**
+ * Builds a backup file name (without extension) from the profile pattern.
+ * @param {object} profile The normalized profile.
+ * @param {string} collectionName Value for the {collection} placeholder.
+ * @param {string} timestamp Value for the {timestamp} placeholder.
+ * @returns {string} The file name.
+ */
+function formatBackupFileName_(profile, collectionName, timestamp) {
+  return profile.file_name_pattern
+    .replace(/\{profile\}/g, profile.name)
+    .replace(/\{project\}/g, profile.project_id)
+    .replace(/\{collection\}/g, collectionName.replace(/\//g, "_"))
+    .replace(/\{timestamp\}/g, timestamp);
+}
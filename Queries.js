@@ -0,0 +1,344 @@
+/**
+ * Filtered (partial) backups with Firestore structured queries.
+ *
+ * A profile with a "query" (see Profiles.js) only saves the documents of its collections
+ * that match the query, read with runQuery and cursor-based pagination:
+ *
+ * "query": {
+ *   "where": [                                  // Optional: all the filters must match
+ *     ["tenantId", "==", "acme"],
+ *     ["createdAt", ">=", "2025-01-01T00:00:00.000Z"]
+ *   ],
+ *   "order_by": [["createdAt", "desc"]],        // Optional: "asc" (default) or "desc"
+ *   "limit": 10000,                             // Optional: maximum documents per collection
+ *   "select": ["tenantId", "createdAt", "email"] // Optional: only save these fields
+ * }
+ *
+ * Operators: ==, !=, <, <=, >, >=, array-contains, in, not-in, array-contains-any
+ * (in, not-in and array-contains-any take a list). Values are converted like the
+ * legacy backups (ISO timestamps become timestamps); a typed value such as
+ * { "integerValue": "42" } is used as it is. Field paths use dots for nested fields.
+ *
+ * The query is recorded in the header of the backup files ("query"), so restores and
+ * comparisons know the backup is partial: the 'replace' restore strategy is refused and
+ * a comparison with the live collection runs the same query.
+ */
+
+const QUERY_OPERATORS = {
+  "==": "EQUAL",
+  "!=": "NOT_EQUAL",
+  "<": "LESS_THAN",
+  "<=": "LESS_THAN_OR_EQUAL",
+  ">": "GREATER_THAN",
+  ">=": "GREATER_THAN_OR_EQUAL",
+  "array-contains": "ARRAY_CONTAINS",
+  in: "IN",
+  "not-in": "NOT_IN",
+  "array-contains-any": "ARRAY_CONTAINS_ANY",
+};
+const QUERY_LIST_OPERATORS = ["in", "not-in", "array-contains-any"];
+const QUERY_RANGE_OPERATORS = ["<", "<=", ">", ">=", "!=", "not-in"];
+const QUERY_DIRECTIONS = { asc: "ASCENDING", desc: "DESCENDING" };
+
+/**
+ * Converts a query value into a typed Firestore value.
+ * @param {*} value A plain JSON value, or a typed value (e.g. { integerValue: '42' }).
+ * @returns {object} The typed value.
+ */
+function toQueryValue_(value) {
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && FIRESTORE_VALUE_TYPES.indexOf(keys[0]) !== -1) {
+      return value;
+    }
+  }
+  return formatToFirestoreField_(value);
+}
+
+/**
+ * Validates the "query" of a profile.
+ * @param {string} name The profile name.
+ * @param {object} query The raw query ({ where, order_by, limit, select }).
+ * @returns {object} The normalized query: { where: [{ field, op, value }], order_by: [{ field, direction }], limit, select }.
+ */
+function normalizeBackupQuery_(name, query) {
+  const fail = (message) => {
+    throw new Error(
+      `Configuration error: The "query" of profile '${name}' ${message}.`,
+    );
+  };
+
+  const where = (query.where || []).map((filter) => {
+    if (!Array.isArray(filter) || filter.length !== 3) {
+      fail(
+        `has an invalid filter (${JSON.stringify(filter)}). Use [field, operator, value]`,
+      );
+    }
+    const [field, op, value] = filter;
+
+    if (typeof field !== "string" || !field) fail("has a filter without field");
+    if (!QUERY_OPERATORS[op]) {
+      fail(
+        `has an invalid operator (${op}). Use one of: ${Object.keys(QUERY_OPERATORS).join(", ")}`,
+      );
+    }
+    if (QUERY_LIST_OPERATORS.indexOf(op) !== -1 && !Array.isArray(value)) {
+      fail(`needs a list of values for the '${op}' operator on '${field}'`);
+    }
+    return { field: field, op: op, value: toQueryValue_(value) };
+  });
+
+  const orderBy = (query.order_by || []).map((order) => {
+    const [field, direction] = Array.isArray(order) ? order : [order];
+    if (typeof field !== "string" || !field) fail("has an invalid order_by");
+    if (direction !== undefined && !QUERY_DIRECTIONS[direction]) {
+      fail(
+        `has an invalid order_by direction (${direction}). Use "asc" or "desc"`,
+      );
+    }
+    return { field: field, direction: direction || "asc" };
+  });
+
+  const limit = query.limit === undefined ? null : query.limit;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    fail(`has an invalid limit (${JSON.stringify(limit)})`);
+  }
+
+  const select = query.select || null;
+  if (select && (!Array.isArray(select) || select.length === 0)) {
+    fail('has an invalid "select". Use a list of field paths');
+  }
+
+  const normalized = {
+    where: where,
+    order_by: orderBy,
+    limit: limit,
+    select: select,
+  };
+
+  // The cursor of each page is built from the ordered fields of the last document
+  if (select) {
+    getQueryOrderFields_(normalized).forEach((order) => {
+      if (select.indexOf(order.field) === -1) {
+        fail(
+          `must include '${order.field}' in "select" (it is ordered or range-filtered, and needed to read the next pages)`,
+        );
+      }
+    });
+  }
+
+  return normalized;
+}
+
+/**
+ * Lists the fields a query is ordered by, as Firestore applies them: the order_by
+ * fields, then the range-filtered fields that are not ordered explicitly.
+ * @param {object} query The normalized query.
+ * @returns {Array<object>} The orders ({ field, direction }), without the document name.
+ */
+function getQueryOrderFields_(query) {
+  const orders = query.order_by.slice();
+  const direction = orders.length ? orders[orders.length - 1].direction : "asc";
+
+  query.where
+    .filter((filter) => QUERY_RANGE_OPERATORS.indexOf(filter.op) !== -1)
+    .map((filter) => filter.field)
+    .filter((field, index, fields) => fields.indexOf(field) === index)
+    .sort()
+    .forEach((field) => {
+      if (!orders.some((order) => order.field === field)) {
+        orders.push({ field: field, direction: direction });
+      }
+    });
+
+  return orders;
+}
+
+/**
+ * Builds the structuredQuery of a backup query for one collection.
+ * @param {object} query The normalized query.
+ * @param {string} collectionName The collection ID.
+ * @returns {object} The Firestore structuredQuery (without cursor nor limit).
+ */
+function buildStructuredQuery_(query, collectionName) {
+  const orders = getQueryOrderFields_(query);
+  const lastDirection = orders.length
+    ? orders[orders.length - 1].direction
+    : "asc";
+  const structuredQuery = {
+    from: [{ collectionId: collectionName }],
+    // The document name makes the order total, so a cursor never skips documents
+    orderBy: orders
+      .concat([{ field: "__name__", direction: lastDirection }])
+      .map((order) => ({
+        field: { fieldPath: order.field },
+        direction: QUERY_DIRECTIONS[order.direction],
+      })),
+  };
+
+  const filters = query.where.map((filter) => ({
+    fieldFilter: {
+      field: { fieldPath: filter.field },
+      op: QUERY_OPERATORS[filter.op],
+      value: filter.value,
+    },
+  }));
+  if (filters.length === 1) {
+    structuredQuery.where = filters[0];
+  } else if (filters.length > 1) {
+    structuredQuery.where = {
+      compositeFilter: { op: "AND", filters: filters },
+    };
+  }
+
+  if (query.select) {
+    structuredQuery.select = {
+      fields: query.select.map((field) => ({ fieldPath: field })),
+    };
+  }
+
+  return structuredQuery;
+}
+
+/**
+ * Finds a field of a document by its path (e.g. 'address.city').
+ * @param {object} fields The typed fields of the document.
+ * @param {string} fieldPath The field path.
+ * @returns {object|undefined} The typed value, or undefined if the field does not exist.
+ */
+function findDocumentField_(fields, fieldPath) {
+  let value = { mapValue: { fields: fields } };
+
+  fieldPath.split(".").forEach((name) => {
+    value =
+      value && value.mapValue && value.mapValue.fields
+        ? value.mapValue.fields[name]
+        : undefined;
+  });
+
+  return value;
+}
+
+/**
+ * Reads a field of a document by its path, as a cursor value.
+ * @param {object} fields The typed fields of the document.
+ * @param {string} fieldPath The field path.
+ * @returns {object} The typed value ({ nullValue: null } if the field does not exist).
+ */
+function getDocumentFieldValue_(fields, fieldPath) {
+  return findDocumentField_(fields, fieldPath) || { nullValue: null };
+}
+
+/**
+ * Reads the next page of a collection that matches a backup query.
+ * @param {object} props Object containing firebase_project_id.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {object} query The normalized query.
+ * @param {string} collectionName The collection to read.
+ * @param {object|null} cursor Where the previous page stopped (null for the first page).
+ * @returns {object} { documents, nextPageToken (the next cursor, or null at the end) }.
+ */
+function fetchQueryPage_(props, accessToken, query, collectionName, cursor) {
+  const fetched = cursor ? cursor.fetched : 0;
+  const pageSize = query.limit
+    ? Math.min(PAGE_SIZE, query.limit - fetched)
+    : PAGE_SIZE;
+  const structuredQuery = buildStructuredQuery_(query, collectionName);
+
+  structuredQuery.limit = pageSize;
+  if (cursor) {
+    structuredQuery.startAt = { values: cursor.after, before: false };
+  }
+
+  const documents = runFirestoreQuery_(props, accessToken, structuredQuery);
+  Logger.log(
+    `QUERY: ${documents.length} documents of ${collectionName} fetched (${fetched + documents.length} so far).`,
+  );
+
+  const last = documents[documents.length - 1];
+  const done =
+    documents.length < pageSize ||
+    (query.limit && fetched + documents.length >= query.limit);
+
+  return {
+    documents: documents,
+    nextPageToken: done
+      ? null
+      : {
+          after: getQueryOrderFields_(query)
+            .map((order) => getDocumentFieldValue_(last.fields, order.field))
+            .concat([{ referenceValue: last.name }]),
+          fetched: fetched + documents.length,
+        },
+  };
+}
+
+/**
+ * Reads every document of a collection that matches a backup query.
+ * @param {object} props Object containing firebase_project_id and subcollection_depth.
+ * @param {string} accessToken The OAuth 2.0 Bearer token.
+ * @param {object} query The normalized query.
+ * @param {string} collectionName The collection to read.
+ * @returns {Array<object>} The backup entries.
+ */
+function fetchQueryEntries_(props, accessToken, query, collectionName) {
+  let entries = [];
+  let cursor = null;
+
+  do {
+    const page = fetchQueryPage_(
+      props,
+      accessToken,
+      query,
+      collectionName,
+      cursor,
+    );
+    entries = entries.concat(
+      page.documents.map((doc) =>
+        createBackupEntryWithSubcollections_(
+          props,
+          accessToken,
+          doc,
+          props.subcollection_depth || 0,
+        ),
+      ),
+    );
+    cursor = page.nextPageToken;
+  } while (cursor);
+
+  return entries;
+}
+
+/**
+ * Describes a filter for logs and messages (e.g. 'age >= 18').
+ * @param {object} filter The normalized filter ({ field, op, value }).
+ * @returns {string} The description.
+ */
+function describeQueryFilter_(filter) {
+  // Integers are stored as strings by Firestore, but read better as numbers
+  const value =
+    filter.value.integerValue !== undefined
+      ? filter.value.integerValue
+      : JSON.stringify(extractFieldValue_(filter.value));
+  return `${filter.field} ${filter.op} ${value}`;
+}
+
+/**
+ * Describes a backup query for logs and messages
+ * (e.g. 'tenantId == "acme", order by createdAt desc, limit 100').
+ * @param {object} query The normalized query.
+ * @returns {string} The description.
+ */
+function describeBackupQuery_(query) {
+  const parts = query.where.map(describeQueryFilter_);
+
+  if (query.order_by.length) {
+    parts.push(
+      `order by ${query.order_by.map((order) => `${order.field} ${order.direction}`).join(", ")}`,
+    );
+  }
+  if (query.limit) parts.push(`limit ${query.limit}`);
+  if (query.select) parts.push(`fields ${query.select.join(", ")}`);
+
+  return parts.join(", ") || "all documents";
+}
@@ -0,0 +1,265 @@
+/**
+ * Selective restore: restore some documents of a backup, or some of their fields.
+ *
+ * The selection is passed in the options of executeRestore (and searchBackupDocuments
+ * helps to find the documents from the web UI):
+ *
+ * "selection": {
+ *   "ids": ["user123", "user456"],     // Optional: document IDs
+ *   "pattern": "user_*",              // Optional: * matches any characters, ? one character.
+ *                                     // A pattern without wildcards matches the IDs starting with it
+ *   "where": "status == \"active\"",  // Optional: a field condition, as text or [field, operator, value]
+ *   "fields": ["profile", "email"]    // Optional: only restore these top-level fields
+ * }
+ *
+ * A document is restored if its ID is listed or matches the pattern (any document when
+ * there is neither) and it matches the condition. IDs are relative to the collection:
+ * 'user123', or 'user123/orders/o1' for a document of a subcollection. The condition uses
+ * the operators of backup queries (see Queries.js).
+ *
+ * A selective restore never deletes documents: with the 'replace' strategy only the
+ * selected documents are replaced. Restoring some fields uses the 'merge' strategy: the
+ * selected fields get their backed-up value, or are removed if the backed-up document
+ * does not have them.
+ */
+
+const RESTORE_SEARCH_LIMIT = 50; // Documents returned by searchBackupDocuments
+const RESTORE_CONDITION_PATTERN =
+  /^\s*(\S+)\s+(==|!=|<=|>=|<|>|array-contains-any|array-contains|not-in|in)\s+(.+?)\s*$/;
+
+/**
+ * Parses a field condition written as text (e.g. 'age >= 18', 'status == "active"').
+ * @param {string} text The condition.
+ * @returns {Array} [field, operator, value]. The value is read as JSON, or kept as text.
+ */
+function parseRestoreCondition_(text) {
+  const match = text.match(RESTORE_CONDITION_PATTERN);
+  if (!match) {
+    throw new Error(
+      `Invalid field condition '${text}'. Write it as: field operator value (e.g. status == "active").`,
+    );
+  }
+
+  let value;
+  try {
+    value = JSON.parse(match[3]);
+  } catch (e) {
+    value = match[3];
+  }
+  return [match[1], match[2], value];
+}
+
+/**
+ * Validates the selection of a restore.
+ * @param {object} [selection] Optional: { ids, pattern, where, fields }. Text lists separated by commas are accepted.
+ * @returns {object|null} The normalized selection ({ ids, pattern, where: { field, op, value }, fields }), or null to restore everything.
+ */
+function normalizeRestoreSelection_(selection) {
+  if (!selection) return null;
+
+  const toList = (value) =>
+    (Array.isArray(value) ? value : String(value || "").split(","))
+      .map((item) => String(item).trim())
+      .filter((item) => item);
+
+  const ids = toList(selection.ids);
+  const fields = toList(selection.fields);
+  const pattern = String(selection.pattern || "").trim();
+
+  let where = null;
+  if (selection.where && selection.where.length) {
+    const [field, op, value] =
+      typeof selection.where === "string"
+        ? parseRestoreCondition_(selection.where)
+        : selection.where;
+
+    if (!QUERY_OPERATORS[op]) {
+      throw new Error(
+        `Invalid operator '${op}' in the field condition. Use one of: ${Object.keys(QUERY_OPERATORS).join(", ")}.`,
+      );
+    }
+    if (QUERY_LIST_OPERATORS.indexOf(op) !== -1 && !Array.isArray(value)) {
+      throw new Error(
+        `The '${op}' operator needs a list of values (e.g. ["a", "b"]).`,
+      );
+    }
+    where = { field: field, op: op, value: toQueryValue_(value) };
+  }
+
+  if (!ids.length && !pattern && !where && !fields.length) return null;
+
+  return {
+    ids: ids.length ? ids : null,
+    pattern: pattern || null,
+    where: where,
+    fields: fields.length ? fields : null,
+  };
+}
+
+/**
+ * Converts an ID pattern into a regular expression.
+ * @param {string} pattern The pattern ('user_*', 'user_??', or a prefix such as 'user_').
+ * @returns {RegExp} The expression, matching whole relative IDs.
+ */
+function restorePatternToRegExp_(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+
+  return new RegExp(/[*?]/.test(pattern) ? `^${source}$` : `^${source}`);
+}
+
+/**
+ * Converts a typed Firestore value into a plain value that can be compared.
+ * @param {object} value The typed value.
+ * @returns {*} A number, string, boolean, null or list (maps and geo points become their canonical JSON).
+ */
+function toComparableValue_(value) {
+  const type = Object.keys(value)[0];
+
+  switch (type) {
+    case "integerValue":
+    case "doubleValue":
+      return Number(value[type]);
+    case "timestampValue":
+      return new Date(value[type]).getTime();
+    case "arrayValue":
+      return (value.arrayValue.values || []).map(toComparableValue_);
+    case "mapValue":
+    case "geoPointValue":
+      return canonicalJson_(value);
+    case "nullValue":
+      return null;
+    default:
+      return value[type];
+  }
+}
+
+/**
+ * Checks a document against the field condition of a selection.
+ * @param {object} fields The typed fields of the document.
+ * @param {object} where The condition ({ field, op, value }).
+ * @returns {boolean} True if the document matches. A document without the field never matches.
+ */
+function matchesRestoreCondition_(fields, where) {
+  const field = findDocumentField_(fields, where.field);
+  if (field === undefined) return false;
+
+  const actual = toComparableValue_(field);
+  const expected = toComparableValue_(where.value);
+  const equals = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const comparable =
+    actual !== null &&
+    typeof actual === typeof expected &&
+    !Array.isArray(actual);
+
+  switch (where.op) {
+    case "==":
+      return equals(actual, expected);
+    case "!=":
+      return !equals(actual, expected);
+    case "<":
+      return comparable && actual < expected;
+    case "<=":
+      return comparable && actual <= expected;
+    case ">":
+      return comparable && actual > expected;
+    case ">=":
+      return comparable && actual >= expected;
+    case "array-contains":
+      return Array.isArray(actual) && actual.some((a) => equals(a, expected));
+    case "in":
+      return expected.some((b) => equals(actual, b));
+    case "not-in":
+      return !expected.some((b) => equals(actual, b));
+    case "array-contains-any":
+      return (
+        Array.isArray(actual) &&
+        actual.some((a) => expected.some((b) => equals(a, b)))
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Keeps the documents of a restore that match a selection, with only its fields.
+ * @param {Array<object>} documents The documents to write ({ path, fields }).
+ * @param {string} collectionPath The target collection (IDs are relative to it).
+ * @param {object} selection The normalized selection.
+ * @returns {Array<object>} The selected documents. With selected fields, each one has a fieldMask (the fields to write or remove).
+ */
+function selectRestoreDocuments_(documents, collectionPath, selection) {
+  const ids = {};
+  (selection.ids || []).forEach((id) => (ids[id] = true));
+  const pattern = selection.pattern
+    ? restorePatternToRegExp_(selection.pattern)
+    : null;
+
+  return documents
+    .filter((doc) => {
+      const id = doc.path.substring(collectionPath.length + 1);
+
+      if (selection.ids || pattern) {
+        if (!ids[id] && !(pattern && pattern.test(id))) return false;
+      }
+      return (
+        !selection.where ||
+        matchesRestoreCondition_(doc.fields, selection.where)
+      );
+    })
+    .map((doc) => {
+      if (!selection.fields) return doc;
+
+      const fields = {};
+      selection.fields.forEach((name) => {
+        if (doc.fields.hasOwnProperty(name)) fields[name] = doc.fields[name];
+      });
+      return { path: doc.path, fields: fields, fieldMask: selection.fields };
+    });
+}
+
+/**
+ * Describes a selection for logs and messages (e.g. '2 IDs, pattern user_*, fields email').
+ * @param {object} selection The normalized selection.
+ * @returns {string} The description.
+ */
+function describeRestoreSelection_(selection) {
+  const parts = [];
+
+  if (selection.ids) parts.push(`IDs ${selection.ids.join(", ")}`);
+  if (selection.pattern) parts.push(`pattern ${selection.pattern}`);
+  if (selection.where) parts.push(describeQueryFilter_(selection.where));
+  if (selection.fields) parts.push(`fields ${selection.fields.join(", ")}`);
+
+  return parts.join("; ");
+}
+
+/**
+ * Searches the documents of a backup for the selective restore of the web UI.
+ * @param {string} fileId The Drive File ID of the backup.
+ * @param {string} [sourceCollection] Optional: Collection to pick from archive/manifest backups.
+ * @param {string} [text] Optional: Text to find in the document IDs and field values (case insensitive). Empty lists every document.
+ * @returns {object} { collection, total (matching documents), documents: [{ id, summary }] } with at most RESTORE_SEARCH_LIMIT documents.
+ */
+function searchBackupDocuments(fileId, sourceCollection, text) {
+  authorizeAction_(ACCESS_ROLE_VIEWER, "search", fileId, {
+    sourceCollection: sourceCollection || null,
+    text: text || null,
+  });
+  const backup = readBackupCollection_(fileId, sourceCollection);
+  const matches = findBackupDocuments_(backup, text);
+
+  return {
+    collection: backup.collection,
+    total: matches.length,
+    documents: matches.slice(0, RESTORE_SEARCH_LIMIT).map((doc) => ({
+      id: doc.id,
+      summary:
+        doc.summary.length > 200
+          ? `${doc.summary.slice(0, 200)}...`
+          : doc.summary,
+    })),
+  };
+}
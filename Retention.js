@@ -0,0 +1,405 @@
+/**
+ * Retention policy and pruning of old backups (grandfather-father-son).
+ *
+ * The policy is a JSON object, set in the RETENTION_POLICY script property or in
+ * the "retention" field of a backup profile:
+ *
+ * {
+ *   "keep_last": 5,     // The 5 newest backups
+ *   "keep_daily": 7,    // The newest backup of each day, for the last 7 days
+ *   "keep_weekly": 4,   // The newest backup of each week, for the last 4 weeks
+ *   "keep_monthly": 12  // The newest backup of each month, for the last 12 months
+ * }
+ *
+ * The rules are applied to each series of backups separately: the files of a profile
+ * whose names only differ by their timestamp (e.g. all 'users_backup_{timestamp}'
+ * files). A backup is kept if any rule keeps it, the newest backup of a series is
+ * always kept, and pinned backups (see setBackupPinned) are never pruned. The backups
+ * of an incremental chain that a kept backup depends on are kept too (see Incremental.js).
+ * Pruned files are moved to the Drive trash. Days, weeks and months are calendar days
+ * of the script time zone: the 7 days of keep_daily start on the same day a week ago.
+ *
+ * Backup files are tagged with their profile in their Drive description ("[profile:nightly]"),
+ * so profiles that share a folder and a file name pattern never prune each other's backups.
+ * Untagged files (saved before the tag existed) are matched by their name, and left alone
+ * when the name pattern of another profile of the folder matches them too.
+ */
+
+const RETENTION_RULES = [
+  "keep_last",
+  "keep_daily",
+  "keep_weekly",
+  "keep_monthly",
+];
+const PINNED_BACKUP_TAG = "[pinned]"; // Added to the Drive file description of pinned backups
+const PROFILE_TAG_PATTERN = /\[profile:([^\]]+)\]/; // Added to the Drive file description of backups
+const BACKUP_TIMESTAMP_PATTERN = /\d{8}_\d{6}/; // The {timestamp} of the file names (yyyyMMdd_HHmmss)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the retention policy of a profile.
+ * @param {object} profile The normalized profile (see normalizeBackupProfile_).
+ * @returns {object|null} The normalized policy, or null if pruning is disabled.
+ */
+function getRetentionPolicy_(profile) {
+  if (profile.retention) {
+    return normalizeRetentionPolicy_(profile.retention);
+  }
+
+  const value =
+    PropertiesService.getScriptProperties().getProperty("RETENTION_POLICY");
+  if (!value) return null;
+
+  let policy;
+  try {
+    policy = JSON.parse(value);
+  } catch (e) {
+    throw new Error(
+      `Configuration error: RETENTION_POLICY is not valid JSON (${e.message}).`,
+    );
+  }
+  return normalizeRetentionPolicy_(policy);
+}
+
+/**
+ * Validates a retention policy.
+ * @param {object} policy The policy ({ keep_last, keep_daily, keep_weekly, keep_monthly }).
+ * @returns {object} The policy with every rule set (missing rules are 0).
+ */
+function normalizeRetentionPolicy_(policy) {
+  const normalized = {};
+
+  RETENTION_RULES.forEach((rule) => {
+    const value = policy[rule] === undefined ? 0 : policy[rule];
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(
+        `Configuration error: The retention rule "${rule}" must be a whole number of 0 or more (got ${JSON.stringify(value)}).`,
+      );
+    }
+    normalized[rule] = value;
+  });
+
+  return normalized;
+}
+
+/**
+ * Builds a regular expression matching the backup file names of a profile.
+ * @param {object} profile The normalized profile.
+ * @returns {RegExp} The expression.
+ */
+function getProfileFileNameRegExp_(profile) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = escape(profile.file_name_pattern)
+    .replace(/\\\{profile\\\}/g, escape(profile.name))
+    .replace(/\\\{project\\\}/g, escape(profile.project_id))
+    .replace(/\\\{collection\\\}/g, ".+")
+    .replace(/\\\{timestamp\\\}/g, BACKUP_TIMESTAMP_PATTERN.source);
+
+  return new RegExp(`^${pattern}\\..+$`);
+}
+
+/**
+ * Builds the profile tag of a backup file (see the top of this file).
+ * @param {string} profileName The profile name.
+ * @returns {string} The tag (e.g. '[profile:nightly]').
+ */
+function formatProfileTag_(profileName) {
+  return `[profile:${profileName}]`;
+}
+
+/**
+ * Reads the profile tag of a backup file.
+ * @param {GoogleAppsScript.Drive.File} file The backup file.
+ * @returns {string|null} The profile name, or null for untagged files.
+ */
+function getBackupProfileTag_(file) {
+  const match = (file.getDescription() || "").match(PROFILE_TAG_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Checks if a backup file is pinned.
+ * @param {GoogleAppsScript.Drive.File} file The Drive file.
+ * @returns {boolean} True if the file must never be pruned.
+ */
+function isBackupPinned_(file) {
+  return (file.getDescription() || "").indexOf(PINNED_BACKUP_TAG) !== -1;
+}
+
+/**
+ * Pins or unpins a backup file, so it is never pruned.
+ * @param {string} fileId The Drive File ID of the backup.
+ * @param {boolean} pinned True to pin, false to unpin.
+ * @returns {boolean} The new pinned state.
+ */
+function setBackupPinned(fileId, pinned) {
+  authorizeAction_(ACCESS_ROLE_OPERATOR, pinned ? "pin" : "unpin", fileId);
+  const file = DriveApp.getFileById(fileId);
+  const description = (file.getDescription() || "")
+    .replace(PINNED_BACKUP_TAG, "")
+    .trim();
+
+  file.setDescription(
+    pinned ? `${PINNED_BACKUP_TAG} ${description}`.trim() : description,
+  );
+  Logger.log(`RETENTION: ${file.getName()} ${pinned ? "pinned" : "unpinned"}.`);
+  return pinned;
+}
+
+/**
+ * Decides which backups of a folder are kept by a retention policy.
+ * @param {Array<object>} backups The backups: { id, name, date (Date), pinned, chain ({ id, sequence } or null) }.
+ * @param {object} policy The normalized policy.
+ * @param {Date} now The reference date.
+ * @returns {object} { kept: [{ id, name, date, reasons }], pruned: [{ id, name, date }] }.
+ */
+function planBackupPruning_(backups, policy, now) {
+  const timeZone = Session.getScriptTimeZone();
+  const kept = [];
+  const pruned = [];
+
+  // Group the backups in series (same name without the timestamp)
+  const series = {};
+  backups.forEach((backup) => {
+    const key = backup.name.replace(BACKUP_TIMESTAMP_PATTERN, "{timestamp}");
+    (series[key] = series[key] || []).push(backup);
+  });
+
+  /**
+   * Gets the calendar day of a date in the script time zone, as a UTC midnight
+   * (so days and months can be counted without daylight saving shifts).
+   * @param {Date} date The date.
+   * @returns {Date} The day.
+   */
+  const toScriptDay = (date) => {
+    const parts = Utilities.formatDate(date, timeZone, "yyyy-MM-dd")
+      .split("-")
+      .map(Number);
+    return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+  };
+
+  /**
+   * Builds the bucket key of a date for a rule (one backup is kept per bucket).
+   * @param {string} rule The rule name.
+   * @param {Date} date The backup date.
+   * @returns {string} The bucket key (day, Monday of the week or month).
+   */
+  const bucketOf = (rule, date) => {
+    if (rule === "keep_daily") {
+      return Utilities.formatDate(date, timeZone, "yyyy-MM-dd");
+    }
+    if (rule === "keep_weekly") {
+      const day = toScriptDay(date);
+      const monday = new Date(
+        day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS,
+      );
+      return Utilities.formatDate(monday, "UTC", "yyyy-MM-dd");
+    }
+    return Utilities.formatDate(date, timeZone, "yyyy-MM");
+  };
+
+  // The windows start on the same calendar day, keep_daily days, keep_weekly weeks or
+  // keep_monthly months ago, in the script time zone (whatever the time of day)
+  const today = toScriptDay(now);
+  const startDay = (days, months) =>
+    Utilities.formatDate(
+      new Date(
+        Date.UTC(
+          today.getUTCFullYear(),
+          today.getUTCMonth() - months,
+          today.getUTCDate() - days,
+        ),
+      ),
+      "UTC",
+      "yyyy-MM-dd",
+    );
+  const windowStart = {
+    keep_daily: startDay(policy.keep_daily, 0),
+    keep_weekly: startDay(policy.keep_weekly * 7, 0),
+    keep_monthly: startDay(0, policy.keep_monthly),
+  };
+  const isInWindow = (rule, date) =>
+    Utilities.formatDate(date, timeZone, "yyyy-MM-dd") >= windowStart[rule];
+
+  Object.keys(series).forEach((key) => {
+    const files = series[key].sort((a, b) => b.date - a.date); // Newest first
+    const usedBuckets = { keep_daily: {}, keep_weekly: {}, keep_monthly: {} };
+
+    files.forEach((backup, index) => {
+      const reasons = [];
+
+      if (index === 0) reasons.push("newest");
+      if (backup.pinned) reasons.push("pinned");
+      if (index < policy.keep_last) reasons.push("last");
+
+      ["keep_daily", "keep_weekly", "keep_monthly"].forEach((rule) => {
+        if (policy[rule] === 0 || !isInWindow(rule, backup.date)) return;
+
+        const bucket = bucketOf(rule, backup.date);
+        if (!usedBuckets[rule][bucket]) {
+          usedBuckets[rule][bucket] = true;
+          reasons.push(rule.replace("keep_", ""));
+        }
+      });
+
+      const entry = {
+        id: backup.id,
+        name: backup.name,
+        date: backup.date.toISOString(),
+      };
+      if (reasons.length > 0) {
+        kept.push(Object.assign(entry, { reasons: reasons }));
+      } else {
+        pruned.push(entry);
+      }
+    });
+  });
+
+  // An incremental backup can only be rebuilt with the older backups of its chain
+  const chainOf = {};
+  const keptSequence = {};
+  backups.forEach((backup) => (chainOf[backup.id] = backup.chain));
+  kept.forEach((entry) => {
+    const chain = chainOf[entry.id];
+    if (chain && !(keptSequence[chain.id] >= chain.sequence)) {
+      keptSequence[chain.id] = chain.sequence;
+    }
+  });
+
+  return {
+    kept: kept.concat(
+      pruned
+        .filter((entry) => {
+          const chain = chainOf[entry.id];
+          return chain && keptSequence[chain.id] >= chain.sequence;
+        })
+        .map((entry) => Object.assign(entry, { reasons: ["chain"] })),
+    ),
+    pruned: pruned.filter((entry) => !entry.reasons),
+  };
+}
+
+/**
+ * Applies the retention policy of a profile to its backup folder.
+ * @param {string} [profileName] Optional: The profile. Defaults to the "default" profile.
+ * @param {boolean} [preview] Optional: True to only list the files that would be pruned.
+ * @returns {object} { profile, policy, preview, kept, pruned } (see planBackupPruning_). policy is null if pruning is disabled.
+ */
+function pruneBackups(profileName, preview) {
+  authorizeAction_(
+    preview ? ACCESS_ROLE_OPERATOR : ACCESS_ROLE_ADMIN,
+    preview ? "prune.preview" : "prune",
+    profileName || DEFAULT_PROFILE_NAME,
+  );
+  return pruneProfileBackups_(profileName, preview);
+}
+
+/**
+ * Applies the retention policy without checking the role of the user, for the backup
+ * jobs started by a schedule (the trailing underscore keeps it out of google.script.run).
+ * @param {string} [profileName] Optional: The profile. Defaults to the "default" profile.
+ * @param {boolean} [preview] Optional: True to only list the files that would be pruned.
+ * @returns {object} The pruning plan (see pruneBackups).
+ */
+function pruneProfileBackups_(profileName, preview) {
+  const props = getProfileProperties_(profileName);
+  const profile = props.profile;
+  const policy = getRetentionPolicy_(profile);
+
+  if (!policy) {
+    Logger.log(
+      `RETENTION: No retention policy for profile '${profile.name}'. Nothing pruned.`,
+    );
+    return {
+      profile: profile.name,
+      policy: null,
+      preview: !!preview,
+      kept: [],
+      pruned: [],
+    };
+  }
+
+  const folder = getOrCreateFolder_(DRIVE_FOLDER_NAME, props.backup_folder_id);
+  const fileNameRegExp = getProfileFileNameRegExp_(profile);
+
+  // The name patterns of the other profiles of the folder, for the untagged files
+  const allProfiles = getBackupProfiles_();
+  const otherFileNameRegExps = Object.keys(allProfiles)
+    .filter(
+      (name) =>
+        name !== profile.name &&
+        allProfiles[name].backup_folder_id === profile.backup_folder_id,
+    )
+    .map((name) => getProfileFileNameRegExp_(allProfiles[name]));
+  const files = {};
+  const backups = {};
+  const integrityFiles = {};
+
+  const iterator = folder.getFiles();
+  while (iterator.hasNext()) {
+    const file = iterator.next();
+    const name = file.getName();
+    const isChunk = isBackupChunkFileName_(name);
+
+    if (name.endsWith(INTEGRITY_FILE_SUFFIX)) {
+      integrityFiles[name] = file;
+      continue;
+    }
+
+    // Only the backups of this profile (job working files and reports are left alone)
+    if (isAuxiliaryFileName_(name) && !isChunk) continue;
+    const profileTag = getBackupProfileTag_(file);
+    if (profileTag !== null) {
+      if (profileTag !== profile.name) continue;
+    } else if (
+      !fileNameRegExp.test(name) ||
+      otherFileNameRegExps.some((regExp) => regExp.test(name))
+    ) {
+      continue;
+    }
+
+    // The parts of a chunked backup are kept or pruned together, as one backup
+    const backupName = isChunk ? name.replace(/\.chunk-\d+/, "") : name;
+    const backup = backups[backupName] || {
+      id: file.getId(),
+      name: backupName,
+      date: file.getDateCreated(),
+      pinned: false,
+      chain: null,
+    };
+    backup.pinned = backup.pinned || isBackupPinned_(file);
+    backup.chain = backup.chain || getBackupChainTag_(file);
+    backups[backupName] = backup;
+    (files[backup.id] = files[backup.id] || []).push(file);
+  }
+
+  const plan = planBackupPruning_(
+    Object.keys(backups).map((name) => backups[name]),
+    policy,
+    new Date(),
+  );
+
+  if (!preview) {
+    plan.pruned.forEach((backup) =>
+      files[backup.id].forEach((file) => {
+        file.setTrashed(true);
+
+        // The integrity record goes with its backup
+        const integrityFile =
+          integrityFiles[`${file.getName()}${INTEGRITY_FILE_SUFFIX}`];
+        if (integrityFile) integrityFile.setTrashed(true);
+      }),
+    );
+  }
+  Logger.log(
+    `RETENTION: ${plan.pruned.length} backups ${preview ? "would be" : "were"} moved to the trash, ${plan.kept.length} kept (profile '${profile.name}').`,
+  );
+
+  return {
+    profile: profile.name,
+    policy: policy,
+    preview: !!preview,
+    kept: plan.kept,
+    pruned: plan.pruned,
+  };
+}
@@ -0,0 +1,292 @@
+/**
+ * Scheduled backups (time-based triggers managed from the web UI).
+ *
+ * Every schedule is a time-based trigger for backupFirestoreToDriveSimple. As a
+ * trigger cannot carry arguments, the schedule definition is stored in the
+ * SCHEDULES script property, keyed by the unique ID of its trigger:
+ *
+ * {
+ *   "<trigger id>": {
+ *     "profileName": "nightly",
+ *     "frequency": "hourly" | "daily" | "weekly",
+ *     "everyHours": 6,        // hourly only (1, 2, 4, 6, 8 or 12)
+ *     "hour": 2,              // daily and weekly (0-23, script time zone)
+ *     "weekDay": "MONDAY",    // weekly only
+ *     "createdAt": "...", "lastRunAt": "...", "lastJobId": "backup-1a2b3c4d5e6f"
+ *   }
+ * }
+ */
+
+const SCHEDULES_PROPERTY = "SCHEDULES";
+const SCHEDULE_HANDLER = "backupFirestoreToDriveSimple";
+const SCHEDULE_FREQUENCIES = ["hourly", "daily", "weekly"];
+const SCHEDULE_EVERY_HOURS = [1, 2, 4, 6, 8, 12]; // Intervals allowed by Apps Script
+const SCHEDULE_WEEK_DAYS = [
+  "MONDAY",
+  "TUESDAY",
+  "WEDNESDAY",
+  "THURSDAY",
+  "FRIDAY",
+  "SATURDAY",
+  "SUNDAY",
+];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reads the stored schedule definitions.
+ * @returns {object} Map of trigger ID to schedule definition.
+ */
+function readSchedules_() {
+  const value =
+    PropertiesService.getScriptProperties().getProperty(SCHEDULES_PROPERTY);
+  return value ? JSON.parse(value) : {};
+}
+
+/**
+ * Saves the schedule definitions.
+ * @param {object} schedules Map of trigger ID to schedule definition.
+ */
+function saveSchedules_(schedules) {
+  PropertiesService.getScriptProperties().setProperty(
+    SCHEDULES_PROPERTY,
+    JSON.stringify(schedules),
+  );
+}
+
+/**
+ * Validates a schedule definition sent by the web UI.
+ * @param {object} definition { profileName, frequency, everyHours, hour, weekDay }.
+ * @returns {object} The normalized definition (only the fields used by its frequency).
+ */
+function normalizeSchedule_(definition) {
+  // Throws if the profile does not exist
+  const profile = getBackupProfile_(definition.profileName || undefined);
+  const frequency = definition.frequency;
+
+  if (SCHEDULE_FREQUENCIES.indexOf(frequency) === -1) {
+    throw new Error(
+      `Invalid schedule frequency '${frequency}'. Use one of: ${SCHEDULE_FREQUENCIES.join(", ")}.`,
+    );
+  }
+
+  const schedule = { profileName: profile.name, frequency: frequency };
+
+  if (frequency === "hourly") {
+    const everyHours = parseInt(definition.everyHours, 10) || 1;
+    if (SCHEDULE_EVERY_HOURS.indexOf(everyHours) === -1) {
+      throw new Error(
+        `Hourly schedules can run every ${SCHEDULE_EVERY_HOURS.join(", ")} hours.`,
+      );
+    }
+    schedule.everyHours = everyHours;
+    return schedule;
+  }
+
+  const hour = parseInt(definition.hour, 10);
+  if (!(hour >= 0 && hour <= 23)) {
+    throw new Error("The hour of a schedule must be between 0 and 23.");
+  }
+  schedule.hour = hour;
+
+  if (frequency === "weekly") {
+    if (SCHEDULE_WEEK_DAYS.indexOf(definition.weekDay) === -1) {
+      throw new Error(
+        `Invalid week day '${definition.weekDay}'. Use one of: ${SCHEDULE_WEEK_DAYS.join(", ")}.`,
+      );
+    }
+    schedule.weekDay = definition.weekDay;
+  }
+
+  return schedule;
+}
+
+/**
+ * Builds a key that is equal for two schedules doing the same thing (used to find duplicates).
+ * @param {object} schedule The schedule definition.
+ * @returns {string} The key.
+ */
+function getScheduleKey_(schedule) {
+  return [
+    schedule.profileName,
+    schedule.frequency,
+    schedule.everyHours,
+    schedule.hour,
+    schedule.weekDay,
+  ].join("|");
+}
+
+/**
+ * Creates the time-based trigger of a schedule.
+ * @param {object} schedule The normalized schedule definition.
+ * @returns {GoogleAppsScript.Script.Trigger} The trigger.
+ */
+function createScheduleTrigger_(schedule) {
+  const builder = ScriptApp.newTrigger(SCHEDULE_HANDLER).timeBased();
+
+  if (schedule.frequency === "hourly") {
+    return builder.everyHours(schedule.everyHours).create();
+  }
+  if (schedule.frequency === "daily") {
+    return builder.everyDays(1).atHour(schedule.hour).create();
+  }
+  return builder
+    .onWeekDay(ScriptApp.WeekDay[schedule.weekDay])
+    .atHour(schedule.hour)
+    .create();
+}
+
+/**
+ * Describes a schedule for the web UI (e.g. 'Every Monday at 02:00').
+ * @param {object} schedule The schedule definition.
+ * @returns {string} The description.
+ */
+function describeSchedule_(schedule) {
+  const at = `${("0" + schedule.hour).slice(-2)}:00`;
+
+  if (schedule.frequency === "hourly") {
+    return schedule.everyHours === 1
+      ? "Every hour"
+      : `Every ${schedule.everyHours} hours`;
+  }
+  if (schedule.frequency === "daily") return `Every day at ${at}`;
+
+  const day =
+    schedule.weekDay.charAt(0) + schedule.weekDay.substring(1).toLowerCase();
+  return `Every ${day} at ${at}`;
+}
+
+/**
+ * Estimates the next run of a schedule. Apps Script only guarantees that a trigger
+ * runs within the chosen hour, so the result is the start of that hour.
+ * @param {object} schedule The schedule definition.
+ * @param {Date} now The reference date.
+ * @returns {string} The estimated next run (ISO string).
+ */
+function estimateNextRun_(schedule, now) {
+  if (schedule.frequency === "hourly") {
+    const interval = schedule.everyHours * HOUR_MS;
+    const since = new Date(schedule.lastRunAt || schedule.createdAt).getTime();
+    const elapsed = Math.max(0, now.getTime() - since);
+    return new Date(
+      since + (Math.floor(elapsed / interval) + 1) * interval,
+    ).toISOString();
+  }
+
+  // Current time in the script time zone
+  const timeZone = Session.getScriptTimeZone();
+  const weekDay = parseInt(Utilities.formatDate(now, timeZone, "u"), 10) - 1; // 0 = Monday
+  const hour = parseInt(Utilities.formatDate(now, timeZone, "HH"), 10);
+  const minute = parseInt(Utilities.formatDate(now, timeZone, "mm"), 10);
+  const second = parseInt(Utilities.formatDate(now, timeZone, "ss"), 10);
+
+  let daysAhead = 0;
+  if (schedule.frequency === "weekly") {
+    daysAhead =
+      (SCHEDULE_WEEK_DAYS.indexOf(schedule.weekDay) - weekDay + 7) % 7;
+  }
+  if (daysAhead === 0 && hour >= schedule.hour) {
+    daysAhead = schedule.frequency === "weekly" ? 7 : 1;
+  }
+
+  const startOfCurrentHour =
+    now.getTime() - minute * 60 * 1000 - second * 1000 - now.getMilliseconds();
+  return new Date(
+    startOfCurrentHour + (daysAhead * 24 + schedule.hour - hour) * HOUR_MS,
+  ).toISOString();
+}
+
+/**
+ * Finds the schedule of the trigger that started the current execution.
+ * @param {string} triggerUid The triggerUid of the trigger event.
+ * @returns {object|null} The schedule definition, or null for triggers created in the editor.
+ */
+function getScheduleForTrigger_(triggerUid) {
+  return readSchedules_()[triggerUid] || null;
+}
+
+/**
+ * Saves the last run of a schedule.
+ * @param {string} triggerUid The trigger ID.
+ * @param {object} jobSummary The summary of the backup job started by the run.
+ */
+function recordScheduledRun_(triggerUid, jobSummary) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    const schedules = readSchedules_();
+    if (!schedules[triggerUid]) return;
+
+    schedules[triggerUid].lastRunAt = new Date().toISOString();
+    schedules[triggerUid].lastJobId = jobSummary.id;
+    saveSchedules_(schedules);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Finds the duplicated schedules: the triggers doing the same thing (same profile and
+ * timing) as an earlier one. Triggers created by hand in the editor have no definition
+ * and their timing cannot be read, so they are never duplicates: the web UI marks them
+ * as unmanaged, and only deletes them when asked to.
+ * @param {object} schedules Map of trigger ID to schedule definition.
+ * @param {Array<GoogleAppsScript.Script.Trigger>} triggers The triggers of the schedules.
+ * @returns {object} Map of the trigger IDs of the duplicates to true.
+ */
+function findDuplicateSchedules_(schedules, triggers) {
+  const duplicates = {};
+  const seen = {};
+
+  triggers.forEach((trigger) => {
+    const id = trigger.getUniqueId();
+    const schedule = schedules[id];
+    if (!schedule) return;
+
+    const key = getScheduleKey_(schedule);
+    if (seen[key]) {
+      duplicates[id] = true;
+    } else {
+      seen[key] = true;
+    }
+  });
+  return duplicates;
+}
+
+/**
+ * Removes the duplicated schedules (see findDuplicateSchedules_) and the definitions
+ * whose trigger was deleted in the editor. Called by the schedule changes of the web UI,
+ * under the script lock.
+ * @returns {number} The number of duplicated triggers deleted.
+ */
+function collapseDuplicateSchedules_() {
+  const schedules = readSchedules_();
+  const triggers = ScriptApp.getProjectTriggers().filter(
+    (trigger) => trigger.getHandlerFunction() === SCHEDULE_HANDLER,
+  );
+  const duplicates = findDuplicateSchedules_(schedules, triggers);
+  const existing = {};
+  let collapsed = 0;
+
+  triggers.forEach((trigger) => {
+    const id = trigger.getUniqueId();
+    const schedule = schedules[id];
+    existing[id] = true;
+
+    if (duplicates[id]) {
+      ScriptApp.deleteTrigger(trigger);
+      delete schedules[id];
+      collapsed++;
+      Logger.log(
+        `SCHEDULE: Duplicate trigger ${id} deleted (${describeSchedule_(schedule)}, profile '${schedule.profileName}').`,
+      );
+    }
+  });
+
+  Object.keys(schedules).forEach((id) => {
+    if (!existing[id]) delete schedules[id];
+  });
+  saveSchedules_(schedules);
+
+  return collapsed;
+}
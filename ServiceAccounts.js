@@ -0,0 +1,157 @@
+/**
+ * Named service accounts, to manage the backups of several Firebase projects from one deployment.
+ *
+ * SERVICE_ACCOUNT_KEY_JSON holds the "default" account. More accounts are declared as
+ * JSON in the SERVICE_ACCOUNTS script property, each key being stored in its own property:
+ *
+ * {
+ *   "staging": {
+ *     "key_property": "STAGING_SERVICE_ACCOUNT_KEY_JSON", // Script property with the key JSON
+ *     "project_id": "my-app-staging",   // Optional: defaults to the project_id of the key
+ *     "scopes": ["https://www.googleapis.com/auth/datastore"] // Optional: OAuth scopes of the tokens
+ *   }
+ * }
+ *
+ * Profiles choose their account with "service_account" (see Profiles.js). Restores use the
+ * account chosen in the form; restores, comparisons and live checks without one use the
+ * account of the target project, or else the default account.
+ */
+
+const DEFAULT_SERVICE_ACCOUNT = "default";
+const DEFAULT_SERVICE_ACCOUNT_PROPERTY = "SERVICE_ACCOUNT_KEY_JSON";
+
+/**
+ * Reads the service account definitions.
+ * @returns {object} Map of account name to { key_property, project_id, scopes }. The default account is included when SERVICE_ACCOUNT_KEY_JSON is set.
+ */
+function getServiceAccountDefinitions_() {
+  const PROPERTIES = PropertiesService.getScriptProperties();
+  const definitions = {};
+
+  if (PROPERTIES.getProperty(DEFAULT_SERVICE_ACCOUNT_PROPERTY)) {
+    definitions[DEFAULT_SERVICE_ACCOUNT] = {
+      key_property: DEFAULT_SERVICE_ACCOUNT_PROPERTY,
+      project_id: null,
+      scopes: null,
+    };
+  }
+
+  const value = PROPERTIES.getProperty("SERVICE_ACCOUNTS");
+  if (!value) return definitions;
+
+  let accounts;
+  try {
+    accounts = JSON.parse(value);
+  } catch (e) {
+    throw new Error(
+      `Configuration error: SERVICE_ACCOUNTS is not valid JSON (${e.message}).`,
+    );
+  }
+
+  for (const name in accounts) {
+    const account = accounts[name] || {};
+    if (typeof account.key_property !== "string" || !account.key_property) {
+      throw new Error(
+        `Configuration error: Service account '${name}' needs a "key_property" (the script property with its key JSON).`,
+      );
+    }
+    if (
+      account.scopes !== undefined &&
+      (!Array.isArray(account.scopes) || account.scopes.length === 0)
+    ) {
+      throw new Error(
+        `Configuration error: Service account '${name}' has invalid "scopes". Use a list of OAuth scopes.`,
+      );
+    }
+    definitions[name] = {
+      key_property: account.key_property,
+      project_id: account.project_id || null,
+      scopes: account.scopes || null,
+    };
+  }
+
+  return definitions;
+}
+
+/**
+ * Reads a service account and its key.
+ * @param {string} [name] Optional: The account name. Defaults to the default account.
+ * @returns {object} { name, key (the parsed key JSON), project_id (from the definition or the key), scopes (null for the default scope) }.
+ */
+function getServiceAccount_(name) {
+  const accountName = name || DEFAULT_SERVICE_ACCOUNT;
+  const definition = getServiceAccountDefinitions_()[accountName];
+  if (!definition) {
+    throw new Error(
+      `Configuration error: Service account '${accountName}' does not exist. Check the SERVICE_ACCOUNT_KEY_JSON and SERVICE_ACCOUNTS properties.`,
+    );
+  }
+
+  const value = PropertiesService.getScriptProperties().getProperty(
+    definition.key_property,
+  );
+  if (!value) {
+    throw new Error(
+      `Configuration error: The ${definition.key_property} property of service account '${accountName}' is missing.`,
+    );
+  }
+
+  let key;
+  try {
+    key = JSON.parse(value);
+  } catch (e) {
+    throw new Error(
+      `Configuration error: The ${definition.key_property} property of service account '${accountName}' is not valid JSON.`,
+    );
+  }
+
+  return {
+    name: accountName,
+    key: key,
+    project_id: definition.project_id || key.project_id || null,
+    scopes: definition.scopes,
+  };
+}
+
+/**
+ * Finds the service account of a project: the named account whose project matches,
+ * or else the default account.
+ * @param {string} projectId The Firebase project ID.
+ * @returns {string} The account name.
+ */
+function findServiceAccountName_(projectId) {
+  const definitions = getServiceAccountDefinitions_();
+  const names = Object.keys(definitions).filter(
+    (name) => name !== DEFAULT_SERVICE_ACCOUNT,
+  );
+
+  const match = names.filter(
+    (name) => getServiceAccount_(name).project_id === projectId,
+  )[0];
+  if (match) return match;
+
+  if (!definitions[DEFAULT_SERVICE_ACCOUNT] && names.length === 1) {
+    return names[0];
+  }
+  return DEFAULT_SERVICE_ACCOUNT;
+}
+
+/**
+ * Sets the service account used by an operation in its properties. In emulator mode,
+ * no account is needed: the props are kept unless an account is named.
+ * @param {object} props Object containing firebase_project_id and firestore_emulator (updated with service_account, service_account_key and service_account_scopes).
+ * @param {string} [name] Optional: The account name. Defaults to the account of the project (see findServiceAccountName_).
+ * @returns {object} The updated props.
+ */
+function applyServiceAccount_(props, name) {
+  if (props.firestore_emulator && !name) return props;
+
+  const account = getServiceAccount_(
+    name || findServiceAccountName_(props.firebase_project_id),
+  );
+
+  props.service_account = account.name;
+  props.service_account_key = account.key;
+  props.service_account_scopes = account.scopes;
+  return props;
+}
@@ -0,0 +1,211 @@
+/**
+ * Safety snapshots and rollback of the restores.
+ *
+ * Before its first write, every restore backs up its whole target collection (down to the
+ * subcollection depth of the restored backup) with a backup job of an inline profile:
+ *
+ * {
+ *   "collections": ["users"],                       // The target collection
+ *   "project_id", "service_account", "database_id", "api_url", "emulator", // The target of the restore
+ *   "file_name_pattern": "{collection}_pre_restore_{timestamp}",
+ *   "subcollection_depth": 1
+ * }
+ *
+ * The snapshot is saved in the backup folder of the default profile, encoded, compressed and
+ * encrypted like the other backups, and is linked to the restore job (checkpoint.snapshotJobId,
+ * checkpoint.snapshotFileId) and to its run history entry. If the snapshot fails, nothing is written.
+ *
+ * rollbackRestore undoes a restore: it restores the snapshot documents that the restore wrote
+ * or deleted (whole documents, 'replace' strategy) and deletes the documents that the restore
+ * created. The other documents are left alone. A rollback is a restore too, with its own snapshot.
+ */
+
+const SNAPSHOT_PROFILE_NAME = "restore_snapshot";
+const SNAPSHOT_FILE_NAME_PATTERN = "{collection}_pre_restore_{timestamp}";
+
+/**
+ * Builds the inline profile of the safety snapshot of a restore.
+ * @param {object} params The restore job params ({ projectId, collectionName, serviceAccount, endpoint }).
+ * @param {number} subcollectionDepth The subcollection depth of the restored backup.
+ * @returns {object} The profile definition (see Profiles.js).
+ */
+function buildSnapshotProfile_(params, subcollectionDepth) {
+  const endpoint = params.endpoint || {};
+  return {
+    collections: [params.collectionName],
+    project_id: params.projectId,
+    service_account: params.serviceAccount || undefined,
+    database_id: endpoint.database_id || undefined,
+    api_url: endpoint.api_url || undefined,
+    emulator: endpoint.emulator === null ? undefined : endpoint.emulator,
+    file_name_pattern: SNAPSHOT_FILE_NAME_PATTERN,
+    subcollection_depth: subcollectionDepth,
+  };
+}
+
+/**
+ * Tells if a job is the safety snapshot of a restore. Snapshots are not notified, and are
+ * removed with their restore instead of counting in the finished jobs kept.
+ * @param {object} job The job record.
+ * @returns {boolean} True for a snapshot job.
+ */
+function isRestoreSnapshotJob_(job) {
+  return job.type === "backup" && !!(job.params && job.params.restoreJobId);
+}
+
+/**
+ * Takes the safety snapshot of a restore, or continues it: the snapshot is a backup job,
+ * run within the step of the restore. Once it is done, its file is set in the checkpoint.
+ * @param {object} job The restore job record (checkpoint.snapshotJobId and snapshotFileId are updated).
+ * @param {number} subcollectionDepth The subcollection depth of the restored backup.
+ * @param {number} deadline Timestamp (ms) when the step must stop.
+ * @returns {boolean} True when the snapshot is saved, false if it continues in a later step.
+ */
+function runRestoreSnapshot_(job, subcollectionDepth, deadline) {
+  const checkpoint = job.checkpoint;
+
+  if (!checkpoint.snapshotJobId) {
+    const snapshotJob = createJob_("backup", {
+      profileName: SNAPSHOT_PROFILE_NAME,
+      profile: buildSnapshotProfile_(job.params, subcollectionDepth),
+      trigger: "restore",
+      restoreJobId: job.id,
+    });
+    checkpoint.snapshotJobId = snapshotJob.id;
+    Logger.log(
+      `SNAPSHOT: Backing up '${job.params.collectionName}' before restoring (job ${snapshotJob.id})...`,
+    );
+  }
+
+  let snapshotJob = getJob_(checkpoint.snapshotJobId);
+  if (snapshotJob && snapshotJob.state === JOB_STATE_RUNNING) {
+    snapshotJob = runJob_(snapshotJob.id, deadline);
+  }
+  if (!snapshotJob || snapshotJob.state === JOB_STATE_CANCELLED) {
+    throw new Error(
+      `Restore failed: The safety snapshot (job ${checkpoint.snapshotJobId}) was cancelled. Nothing was written.`,
+    );
+  }
+  if (snapshotJob.state === JOB_STATE_FAILED) {
+    throw new Error(
+      `Restore failed: The safety snapshot of '${job.params.collectionName}' failed (${snapshotJob.error}). Nothing was written.`,
+    );
+  }
+  if (snapshotJob.state === JOB_STATE_PAUSED) {
+    throw new Error(
+      `Restore failed: The safety snapshot (job ${snapshotJob.id}) is paused. Resume it, then resume this restore. Nothing was written.`,
+    );
+  }
+  if (snapshotJob.state !== JOB_STATE_DONE) {
+    checkpoint.progress = `Taking the safety snapshot: ${snapshotJob.checkpoint.progress}`;
+    return false;
+  }
+
+  const result = snapshotJob.result;
+  checkpoint.snapshotFileId = result.manifestFileId || result.files[0].fileId;
+  Logger.log(
+    `SNAPSHOT: ${result.documentCount} documents of '${job.params.collectionName}' saved before the restore.`,
+  );
+  return true;
+}
+
+/**
+ * Cancels the safety snapshot of a cancelled restore, if it is still running.
+ * @param {object} job The restore job record.
+ */
+function cancelRestoreSnapshot_(job) {
+  const snapshotJobId = job.checkpoint.snapshotJobId;
+  const snapshotJob = snapshotJobId ? getJob_(snapshotJobId) : null;
+  if (
+    !snapshotJob ||
+    (snapshotJob.state !== JOB_STATE_RUNNING &&
+      snapshotJob.state !== JOB_STATE_PAUSED)
+  ) {
+    return;
+  }
+
+  updateJobState_(
+    snapshotJobId,
+    [JOB_STATE_RUNNING, JOB_STATE_PAUSED],
+    JOB_STATE_CANCELLED,
+  );
+  discardBackupJobOutput_(getJob_(snapshotJobId));
+}
+
+/**
+ * Lists the documents a restore wrote or deleted successfully.
+ * @param {string} jobId The ID of the restore job.
+ * @returns {object} Map of document path to true.
+ */
+function getRestoreTouchedPaths_(jobId) {
+  const job = getJob_(jobId);
+  if (!job) {
+    throw new Error(
+      `Restore failed: The restore job ${jobId} to roll back no longer exists.`,
+    );
+  }
+
+  const touched = {};
+  readRestoreResults_(job).forEach((result) => {
+    if (result.success) touched[result.path] = true;
+  });
+  return touched;
+}
+
+/**
+ * Undoes a finished, failed or cancelled restore from its safety snapshot (see the top of this file).
+ * The rollback runs as a restore job.
+ * @param {string} jobId The ID of the restore job to undo.
+ * @returns {object} Restore result of the rollback (see restoreFirestoreFromDriveCore_).
+ */
+function rollbackRestore(jobId) {
+  authorizeAction_(ACCESS_ROLE_ADMIN, "restore.rollback", jobId);
+
+  const job = getJob_(jobId);
+  if (!job || job.type !== "restore") {
+    throw new Error(
+      `Restore job ${jobId} does not exist (old jobs are removed). Restore its '_pre_restore_' snapshot from the backup list instead.`,
+    );
+  }
+  if (job.state === JOB_STATE_RUNNING || job.state === JOB_STATE_PAUSED) {
+    throw new Error(
+      `Restore job ${jobId} is ${job.state}. Cancel it or let it finish before rolling it back.`,
+    );
+  }
+  if (!job.checkpoint.snapshotFileId) {
+    throw new Error(
+      `Restore job ${jobId} has no safety snapshot: it did not write anything, or it ran before snapshots were taken.`,
+    );
+  }
+  if (job.rollbackJobId) {
+    throw new Error(
+      `Restore job ${jobId} was already rolled back by job ${job.rollbackJobId}.`,
+    );
+  }
+
+  const params = job.params;
+  const props = getProjectProperties_();
+  props.collection_name = params.collectionName;
+  props.firebase_project_id = params.projectId;
+  if (params.endpoint) applyFirestoreEndpoint_(props, params.endpoint);
+  applyServiceAccount_(props, params.serviceAccount);
+
+  Logger.log(
+    `SNAPSHOT: Rolling back ${jobId} from its snapshot ${job.checkpoint.snapshotFileId}...`,
+  );
+  const result = restoreFirestoreFromDriveCore_(
+    job.checkpoint.snapshotFileId,
+    props,
+    {
+      mode: "overwrite",
+      strategy: "replace",
+      rollbackOf: jobId,
+    },
+  );
+
+  // A restore is rolled back once (the rollback has its own snapshot to undo it)
+  const latest = getJob_(jobId);
+  latest.rollbackJobId = result.jobId;
+  saveJob_(latest);
+  return result;
+}